@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseSpecDocument, createRequestEngine, runDataset } from '../src/utils/engine.js';
+import { parseDataFile, getColumns, suggestColumnMapping, applyColumnMapping } from '../src/utils/dataFiles.js';
+import { listFieldPaths } from '../src/utils/schema.js';
+import { parseSpecText, joinPath } from '../src/utils/specLoader.js';
+import { createEnvironment } from '../src/utils/environments.js';
+import { importWorkspace, WORKSPACE_FILE_FORMAT } from '../src/utils/workspaceStore.js';
+import { DEFAULT_BATCH_OPTIONS, createBatchController } from '../src/utils/batchRunner.js';
+import { hasRowTargets, resolveRowEndpoint } from '../src/utils/batchTargets.js';
+import { summarizeBatch, renderBatchReport, REPORT_FORMATS } from '../src/utils/reports.js';
+import { apiKeyNames } from '../src/utils/secrets.js';
+import { runVmScripts } from './scriptRunner.js';
+import { startMockServer, DEFAULT_MOCK_PORT } from '../server/mock.js';
+
+/**
+ * API-PORTAL CLI
+ * Runs a batch dataset against a spec without the browser, through the same engine
+ * (src/utils/engine.js) as the portal's Batch tab, and writes the same reports.
+ * Exit code 0 when every row passed, 1 when any failed / timed out, 2 for bad input.
+ * `mock` serves a spec from server/mock.js until Ctrl+C.
+ */
+
+const DEFAULT_WORKSPACE_FILE = 'api-portal.workspace.json';
+
+const USAGE = `Usage: api-portal run --spec <file> --data <file> [options]
+
+  --spec <file>          OpenAPI / Swagger (JSON or YAML), Postman collection, HAR or Insomnia export.
+                         Files it reaches through cross-file $refs are read from next to it.
+  --data <file>          Dataset: .csv, .tsv, .xlsx, .json or .ndjson (same columns as the Batch tab)
+  --sheet <name>         Worksheet of an .xlsx dataset (default: the first)
+  --endpoint <op>        Endpoint for rows without _operationId / _method + _path columns:
+                         an operationId or "POST /users"
+  --workspace <file>     Exported portal workspace: its environments (and spec, if --spec is omitted)
+  --env <name|file>      Environment by name, or a JSON file (a portal environment, a Postman
+                         environment export or a workspace export). Names are looked up in
+                         --workspace, else in ./${DEFAULT_WORKSPACE_FILE} or the only
+                         *.workspace.json in the current directory
+  --base-url <url>       Override the environment's base URL
+  --token <token>        Override the environment's auth token
+  --var <key=value>      Set an environment variable (repeatable)
+  --concurrency <n>      Rows in flight at once (default ${DEFAULT_BATCH_OPTIONS.concurrency})
+  --rps <n>              Requests per second cap, 0 = none (default ${DEFAULT_BATCH_OPTIONS.rps})
+  --retries <n>          Retries for 429 / 5xx / network errors (default ${DEFAULT_BATCH_OPTIONS.retries})
+  --backoff <ms>         First retry delay, doubled each time (default ${DEFAULT_BATCH_OPTIONS.backoffMs})
+  --timeout <ms>         Per-request timeout, 0 = none (default ${DEFAULT_BATCH_OPTIONS.timeoutMs})
+  --report <formats>     Comma-separated: ${REPORT_FORMATS.join(', ')} (default csv,junit,json)
+  --out <dir>            Report directory (default api-portal-reports)
+  --quiet                Only print failures and the summary
+
+Extra CA certificates: set NODE_EXTRA_CA_CERTS=/path/to/ca.pem.
+Postman pre-request / test scripts run with the CLI's own permissions: only run collections you trust.
+
+Usage: api-portal mock --spec <file> [options]
+
+  --spec <file>          Spec to answer for (or a --workspace that includes one)
+  --workspace <file>     Exported portal workspace: its spec and mock overrides
+  --port <n>             Port on 127.0.0.1 (default ${DEFAULT_MOCK_PORT})
+  --allow-origin <url>   Let a page on another origin call the mock (repeatable)`;
+
+const NUMERIC_OPTIONS = { concurrency: 'concurrency', rps: 'rps', retries: 'retries', backoff: 'backoffMs', timeout: 'timeoutMs' };
+const VALUE_OPTIONS = ['spec', 'data', 'sheet', 'endpoint', 'workspace', 'env', 'base-url', 'token', 'report', 'out', 'port'];
+
+const parseArgs = (argv) => {
+  const options = { vars: [], allowOrigins: [], batch: { ...DEFAULT_BATCH_OPTIONS }, report: 'csv,junit,json', out: 'api-portal-reports', quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.replace(/^--/, '');
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--quiet') options.quiet = true;
+    else if (arg === '--var') options.vars.push(value());
+    else if (arg === '--allow-origin') options.allowOrigins.push(value());
+    else if (name in NUMERIC_OPTIONS && arg.startsWith('--')) {
+      const number = Number(value());
+      if (!(number >= 0)) throw new Error(`${arg} must be a number >= 0`);
+      options.batch[NUMERIC_OPTIONS[name]] = number;
+    } else if (VALUE_OPTIONS.includes(name) && arg.startsWith('--')) options[name] = value();
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+};
+
+const readText = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+};
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(readText(file));
+  } catch (err) {
+    throw new Error(err.message.startsWith('Could not read') ? err.message : `${file} is not valid JSON: ${err.message}`);
+  }
+};
+
+// --- Spec ---
+
+const SPEC_FILE_PATTERN = /\.(ya?ml|json)$/i;
+const REMOTE_REF = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+// Files a parsed document's $refs point into ("./schemas/pet.yaml#/Pet" -> "./schemas/pet.yaml")
+const collectRefFiles = (node, found = new Set()) => {
+  if (Array.isArray(node)) node.forEach(item => collectRefFiles(item, found));
+  else if (node && typeof node === 'object') {
+    const refFile = typeof node.$ref === 'string' ? node.$ref.split('#')[0] : '';
+    if (refFile && !REMOTE_REF.test(refFile)) found.add(refFile);
+    Object.values(node).forEach(value => collectRefFiles(value, found));
+  }
+  return found;
+};
+
+// The files the spec reaches through cross-file $refs, keyed relative to its folder. Only
+// those are read; one that is missing or won't parse is left for the bundler to report.
+const readReferencedFiles = (specFile, input) => {
+  const dir = path.dirname(specFile);
+  const files = {};
+  const visit = (relative, text) => {
+    let doc;
+    try {
+      doc = parseSpecText(text, relative);
+    } catch {
+      return;
+    }
+    collectRefFiles(doc).forEach(ref => {
+      const target = joinPath(path.posix.dirname(relative).replace(/^\.$/, ''), ref);
+      if (target in files || !SPEC_FILE_PATTERN.test(target)) return;
+      const file = path.join(dir, target);
+      if (!fs.existsSync(file) || !fs.statSync(file).isFile()) return;
+      files[target] = fs.readFileSync(file, 'utf8');
+      visit(target, files[target]);
+    });
+  };
+  visit(path.basename(specFile), input);
+  return files;
+};
+
+const loadSpec = (options, workspace) => {
+  if (options.spec) {
+    const rootPath = path.basename(options.spec);
+    const input = readText(options.spec);
+    const files = SPEC_FILE_PATTERN.test(rootPath) ? readReferencedFiles(options.spec, input) : {};
+    return parseSpecDocument(input, rootPath, files);
+  }
+  if (workspace?.spec?.input) return parseSpecDocument(workspace.spec.input, workspace.spec.rootPath, workspace.spec.files || {});
+  throw new Error('--spec is required (or a --workspace that includes a spec)');
+};
+
+// --- Environment ---
+
+// A portal environment, a Postman environment export or a whole workspace export
+const environmentFromFile = (file) => {
+  const json = readJson(file);
+  if (json?.format === WORKSPACE_FILE_FORMAT) {
+    const workspace = importWorkspace(JSON.stringify(json));
+    return workspace.environments.find(env => env.id === workspace.activeEnvId);
+  }
+  const name = json.name || path.basename(file, path.extname(file));
+  if (Array.isArray(json.values)) {
+    return createEnvironment(name, {
+      variables: json.values.filter(v => v.enabled !== false).map(v => ({ key: v.key, value: String(v.value ?? '') }))
+    });
+  }
+  return createEnvironment(name, json);
+};
+
+// Where `--env <name>` looks without --workspace: api-portal.workspace.json, else the
+// only workspace export (as the portal names them) in the current directory
+const findDefaultWorkspace = () => {
+  if (fs.existsSync(DEFAULT_WORKSPACE_FILE)) return DEFAULT_WORKSPACE_FILE;
+  const exports = fs.readdirSync('.').filter(file => file.endsWith('.workspace.json'));
+  return exports.length === 1 ? exports[0] : null;
+};
+
+const loadEnvironment = (options, workspace) => {
+  let env;
+  if (options.env && fs.existsSync(options.env)) {
+    env = environmentFromFile(options.env);
+  } else if (workspace || options.env) {
+    const file = workspace ? options.workspace : findDefaultWorkspace();
+    if (!file) {
+      throw new Error(`--env ${options.env} is not a file, and there is no ${DEFAULT_WORKSPACE_FILE} (or single *.workspace.json) here to look the name up in; pass --workspace <file>`);
+    }
+    const source = workspace || importWorkspace(readText(file));
+    const names = source.environments.map(e => e.name);
+    env = options.env
+      ? source.environments.find(e => e.name.toLowerCase() === options.env.toLowerCase())
+      : source.environments.find(e => e.id === source.activeEnvId);
+    if (!env) throw new Error(`No environment "${options.env}" in ${file} (it has: ${names.join(', ')})`);
+  } else {
+    env = createEnvironment('CLI');
+  }
+
+  const variables = [...(env.variables || [])];
+  options.vars.forEach(pair => {
+    const eq = pair.indexOf('=');
+    if (eq < 1) throw new Error(`--var expects key=value, got "${pair}"`);
+    const key = pair.slice(0, eq);
+    const entry = { key, value: pair.slice(eq + 1) };
+    const existing = variables.findIndex(v => v.key === key);
+    if (existing === -1) variables.push(entry);
+    else variables[existing] = entry;
+  });
+  return {
+    ...env,
+    headers: env.headers || [],
+    variables,
+    baseUrl: options['base-url'] ?? env.baseUrl,
+    token: options.token ?? env.token
+  };
+};
+
+// --- Dataset ---
+
+const loadRows = async (options) => {
+  if (!options.data) throw new Error('--data is required');
+  let content;
+  try {
+    content = /\.xlsx$/i.test(options.data)
+      ? new Uint8Array(fs.readFileSync(options.data)).buffer
+      : fs.readFileSync(options.data, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read ${options.data}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+  const { sheets } = await parseDataFile(path.basename(options.data), content);
+  const sheet = options.sheet ? sheets.find(sh => sh.name === options.sheet) : sheets[0];
+  if (!sheet) throw new Error(`No sheet "${options.sheet}" in ${options.data} (it has: ${sheets.map(sh => sh.name).join(', ')})`);
+  return sheet.rows;
+};
+
+// --endpoint as an operationId or "METHOD /path", matched the way data rows are
+const findEndpoint = (endpoints, value) => {
+  const [first, ...rest] = value.trim().split(/\s+/);
+  const row = rest.length ? { _method: first, _path: rest.join(' ') } : first.startsWith('/') ? { _path: first } : { _operationId: first };
+  const target = resolveRowEndpoint(endpoints, row);
+  if (target.error) throw new Error(`--endpoint ${value}: ${target.error}`);
+  return target.endpoint;
+};
+
+// --- Output ---
+
+const describeRow = (row) => {
+  const status = row._status || (row._success === 'TIMEOUT' ? 'TIMEOUT' : 'ERR');
+  const line = `${row._success.padEnd(9)} #${row._rowIndex} ${row._endpoint} ${status} ${row._time ?? 0}ms${row._case ? ` - ${row._case}` : ''}`;
+  return row._success === 'PASS' ? line : `${line}\n          ${row._assertions}`;
+};
+
+const writeReports = (results, formats, outDir, meta, options) => {
+  fs.mkdirSync(outDir, { recursive: true });
+  return formats.map(format => {
+    const report = renderBatchReport(results, format, meta, options);
+    const file = path.join(outDir, report.fileName);
+    fs.writeFileSync(file, report.content);
+    return file;
+  });
+};
+
+// --- Commands ---
+
+const run = async (options) => {
+  const formats = options.report.split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(f => !REPORT_FORMATS.includes(f));
+  if (unknown.length) throw new Error(`Unknown report format ${unknown.join(', ')} (use ${REPORT_FORMATS.join(', ')})`);
+
+  const workspace = options.workspace ? importWorkspace(readText(options.workspace)) : null;
+  const spec = loadSpec(options, workspace);
+  const environment = loadEnvironment(options, workspace);
+  const defaultEndpoint = options.endpoint ? findEndpoint(spec.endpoints, options.endpoint) : null;
+  const fileRows = await loadRows(options);
+  if (!defaultEndpoint && !hasRowTargets(fileRows)) {
+    throw new Error('The rows have no _operationId or _method / _path columns; pass --endpoint to say which endpoint to call');
+  }
+  // Column names are matched to field names the same way the Batch tab suggests it
+  const rows = applyColumnMapping(fileRows, suggestColumnMapping(getColumns(fileRows), defaultEndpoint ? listFieldPaths(defaultEndpoint) : []));
+
+  const engine = createRequestEngine({
+    securitySchemes: spec.securitySchemes,
+    environment,
+    runScripts: runVmScripts,
+    pickProxy: async () => null // no CORS outside the browser
+  });
+  const controller = createBatchController();
+  process.once('SIGINT', () => {
+    console.error('Cancelling...');
+    controller.cancel();
+  });
+
+  console.log(`${spec.info?.title || 'API'}: ${rows.length} rows against ${environment.baseUrl || '(no base URL)'} [${environment.name}]`);
+  const startedAt = new Date().toISOString();
+  const results = [];
+  await runDataset(engine, rows, {
+    endpoints: spec.endpoints,
+    defaultEndpoint,
+    options: options.batch,
+    controller,
+    onResults: (finished) => {
+      results.push(...finished);
+      finished.forEach(row => {
+        if (!options.quiet || row._success !== 'PASS') console.log(describeRow(row));
+      });
+    }
+  });
+  results.sort((a, b) => a._rowIndex - b._rowIndex);
+
+  const summary = summarizeBatch(results);
+  const files = writeReports(results, formats, options.out, {
+    title: `${spec.info?.title || 'API'} batch report`,
+    spec: spec.info?.title,
+    environment: environment.name,
+    baseUrl: environment.baseUrl,
+    file: path.basename(options.data),
+    startedAt,
+    finishedAt: new Date().toISOString()
+  }, { secretNames: apiKeyNames(spec.securitySchemes) });
+
+  console.log(`\n${summary.passed} passed, ${summary.failed} failed, ${summary.timeouts} timed out${summary.cancelled ? `, ${summary.cancelled} cancelled` : ''} of ${summary.total}`
+    + ` (p50 ${summary.latency.p50}ms, p95 ${summary.latency.p95}ms)`);
+  files.forEach(file => console.log(`Report: ${file}`));
+  return summary.passed === summary.total ? 0 : 1;
+};
+
+// Serves until Ctrl+C; resolves with the exit code once the server has closed
+const mock = async (options) => {
+  const port = options.port === undefined ? DEFAULT_MOCK_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 0) throw new Error('--port must be a port number');
+  const workspace = options.workspace ? importWorkspace(readText(options.workspace)) : null;
+  const spec = loadSpec(options, workspace);
+  const server = await startMockServer({ port, spec, overrides: workspace?.mockOverrides || {}, allowOrigins: options.allowOrigins });
+  console.log(`Mocking ${spec.endpoints.length} endpoints of ${spec.info?.title || 'the spec'}`);
+  console.log(`Base URL: http://localhost:${server.address().port}/__mock/api`);
+  return new Promise(resolve => {
+    process.once('SIGINT', () => server.close(() => resolve(0)));
+  });
+};
+
+const COMMANDS = { run, mock };
+
+const main = async (argv) => {
+  const [command, ...rest] = argv;
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return command ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+  let options;
+  try {
+    options = parseArgs(rest);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    return await COMMANDS[command](options);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 2;
+  }
+};
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,21 @@
+import vm from 'node:vm';
+import { runScripts } from '../src/utils/postmanSandbox.js';
+import { SCRIPT_TIMEOUT_MS } from '../src/utils/scriptSandbox.js';
+
+/**
+ * SCRIPT RUNNER (Node)
+ * The CLI's stand-in for the browser worker. Each script runs in a fresh node:vm
+ * context, so it starts without `process` or `require` in scope and a runaway loop
+ * is cut off after timeoutMs. This is NOT a sandbox: `pm`, `postman` and `console`
+ * come from the CLI's own realm, so a script can climb their constructors to
+ * `process` and do anything the CLI can. Only run collections you trust.
+ */
+
+// Same signature and result shape as runSandboxedScripts() in src/utils/scriptSandbox.js
+export const runVmScripts = async (scripts, input, { timeoutMs = SCRIPT_TIMEOUT_MS } = {}) => {
+  const compile = (code) => (pm, postman, console) => {
+    const context = vm.createContext({ pm, postman, console });
+    vm.runInContext(`"use strict";\n${code}`, context, { timeout: timeoutMs, filename: input.requestName || 'script' });
+  };
+  return runScripts(scripts, input, { compile });
+};
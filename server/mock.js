@@ -0,0 +1,190 @@
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { isAllowedHost, isAllowedOrigin, corsHeaders, readBody, sendJson } from './proxy.js';
+import { findMockRoute, mockResponse } from '../src/utils/mockData.js';
+import { unpackMockSpec } from '../src/utils/mockServer.js';
+
+/**
+ * MOCK SERVER
+ * Answers every operation in the loaded spec from its examples, or with fake data
+ * generated from the response schema, so the portal works before the real API exists.
+ *
+ *   GET  /__mock/health     -> { mock: 'api-portal', version, endpoints }
+ *   PUT  /__mock/config     <- { spec, overrides } (src/utils/mockServer.js packs the spec)
+ *   ANY  /__mock/api/<path> -> the mocked response for <path>
+ *
+ * Per-endpoint overrides (keyed by endpoint id): { status, delayMs, errorRate, errorStatus }
+ * where errorRate is the percentage of calls that fail with errorStatus (0 drops the
+ * connection instead). A request can also ask for a response itself, Prism-style:
+ *   Prefer: code=404, example=notFound, dynamic=true
+ * Responses carry X-Mock-Source: example | schema | empty | error.
+ *
+ * `npm run dev` mounts it on the Vite dev server; `npm run mock` runs it on its own:
+ *   node server/mock.js [--port 8788] [--allow-origin https://me.github.io]
+ * `api-portal mock --spec openapi.yaml` also loads a spec from disk first.
+ */
+
+export const MOCK_PREFIX = '/__mock';
+export const DEFAULT_MOCK_PORT = 8788;
+const VERSION = 1;
+const API_PREFIX = `${MOCK_PREFIX}/api`;
+
+// "code=404, example=notFound, dynamic=true" -> { code: '404', example: 'notFound', dynamic: 'true' }
+const parsePrefer = (value = '') => {
+  const prefer = {};
+  value.split(/[,;]/).forEach(part => {
+    const [key, ...rest] = part.trim().split('=');
+    if (key) prefer[key.toLowerCase()] = rest.join('=').replace(/^"|"$/g, '') || 'true';
+  });
+  return prefer;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isHttpStatus = (code) => /^[1-5]\d\d$/.test(String(code));
+
+/**
+ * Connect-style (req, res, next) handler for /__mock/*; other paths go to `next`
+ * (or 404 when there is none). Options: { spec, overrides, allowOrigins: [origin] },
+ * where spec is a parsed spec ({ endpoints }) to answer for until the portal sends one.
+ */
+export const createMockHandler = ({ spec = null, overrides = {}, allowOrigins = [] } = {}) => {
+  const state = { spec, overrides };
+
+  const handle = async (req, res, next) => {
+    const { pathname } = new URL(req.url, 'http://mock.local');
+    if (!pathname.startsWith(MOCK_PREFIX)) {
+      if (next) next();
+      else sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (!isAllowedHost(req, allowOrigins)) {
+      sendJson(res, 403, { error: `Host ${req.headers.host} is not allowed; open the mock as localhost or start it with --allow-origin` });
+      return;
+    }
+    if (!isAllowedOrigin(req.headers.origin, allowOrigins)) {
+      sendJson(res, 403, { error: `Origin ${req.headers.origin} is not allowed; start the mock with --allow-origin ${req.headers.origin}` });
+      return;
+    }
+    const cors = corsHeaders(req);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    if (pathname === `${MOCK_PREFIX}/health`) {
+      sendJson(res, 200, { mock: 'api-portal', version: VERSION, endpoints: state.spec?.endpoints.length || 0 }, cors);
+      return;
+    }
+    if (pathname === `${MOCK_PREFIX}/config`) {
+      if (req.method !== 'PUT') {
+        sendJson(res, 405, { error: 'Use PUT' }, cors);
+        return;
+      }
+      try {
+        const config = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+        state.spec = config.spec ? unpackMockSpec(config.spec) : null;
+        state.overrides = config.overrides || {};
+        sendJson(res, 200, { endpoints: state.spec?.endpoints.length || 0 }, cors);
+      } catch (err) {
+        sendJson(res, 400, { error: `Bad mock config: ${err.message}` }, cors);
+      }
+      return;
+    }
+    if (!pathname.startsWith(`${API_PREFIX}/`) && pathname !== API_PREFIX) {
+      sendJson(res, 404, { error: 'Not found' }, cors);
+      return;
+    }
+
+    if (!state.spec) {
+      sendJson(res, 503, { error: 'No spec loaded: open one in the portal with mock mode on, or start the mock with --spec' }, { ...cors, 'X-Mock-Source': 'error' });
+      return;
+    }
+    // Left encoded: findMockRoute decodes path params itself
+    const path = pathname.slice(API_PREFIX.length) || '/';
+    const route = findMockRoute(state.spec.endpoints, req.method, path);
+    if (!route) {
+      sendJson(res, 404, { error: `No operation matches ${req.method} ${path}` }, { ...cors, 'X-Mock-Source': 'error' });
+      return;
+    }
+    const prefer = parsePrefer(req.headers.prefer);
+    if (prefer.code && !isHttpStatus(prefer.code)) {
+      sendJson(res, 400, { error: `Prefer: code=${prefer.code} is not an HTTP status` }, { ...cors, 'X-Mock-Source': 'error' });
+      return;
+    }
+    await readBody(req);
+
+    const override = state.overrides[route.endpoint.id] || {};
+    if (override.delayMs > 0) await wait(Number(override.delayMs));
+    if (override.errorRate > 0 && Math.random() * 100 < override.errorRate) {
+      const errorStatus = Number(override.errorStatus ?? 500);
+      if (!errorStatus) {
+        req.socket.destroy();
+        return;
+      }
+      sendJson(res, errorStatus, { error: 'Injected by the mock server' }, { ...cors, 'X-Mock-Source': 'error' });
+      return;
+    }
+
+    const mocked = mockResponse(route.endpoint, {
+      status: prefer.code || override.status,
+      example: prefer.example,
+      dynamic: prefer.dynamic === 'true',
+      params: route.params
+    });
+    const headers = { ...cors, 'X-Mock-Source': mocked.source };
+    if (mocked.contentType) headers['Content-Type'] = mocked.contentType;
+    res.writeHead(mocked.status, headers);
+    res.end(req.method === 'HEAD' ? undefined : mocked.body);
+  };
+
+  // A bad request (or a bug) answers 400 / 500 instead of taking the dev server down with it
+  return async (req, res, next) => {
+    try {
+      await handle(req, res, next);
+    } catch (err) {
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      const status = err instanceof URIError ? 400 : 500;
+      sendJson(res, status, { error: `${status === 400 ? 'Bad request' : 'Mock server error'}: ${err.message}` }, { ...corsHeaders(req), 'X-Mock-Source': 'error' });
+    }
+  };
+};
+
+// --- CLI ---
+
+const parseArgs = (argv) => {
+  const options = { port: Number(process.env.MOCK_PORT) || DEFAULT_MOCK_PORT, allowOrigins: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = Number(argv[++i]);
+    else if (arg === '--allow-origin') options.allowOrigins.push(argv[++i]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+};
+
+// Listens on 127.0.0.1; resolves with the server once it is up
+export const startMockServer = ({ port = DEFAULT_MOCK_PORT, ...options } = {}) => new Promise((resolve, reject) => {
+  const server = http.createServer(createMockHandler(options));
+  server.on('error', reject);
+  server.listen(port, '127.0.0.1', () => resolve(server));
+});
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  startMockServer(options).then(() => {
+    console.log(`API portal mock on http://localhost:${options.port} - waiting for the portal to send a spec`);
+  }, err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
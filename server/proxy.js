@@ -0,0 +1,283 @@
+import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
+import fs from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import { isSecretHeader } from '../src/utils/secrets.js';
+
+/**
+ * CORS PROXY
+ * Forwards the portal's requests to APIs the browser won't call directly (no CORS
+ * headers) and passes status, headers and body back untouched.
+ *
+ *   GET  /__proxy/health            -> { proxy: 'api-portal', version }
+ *   ANY  /__proxy/forward?url=<api> -> the API's response
+ *
+ * Request headers the proxy understands:
+ *   X-Proxy-Cookie     sent on as Cookie (browsers won't let a page set Cookie itself)
+ *   X-Proxy-Insecure   "1" skips TLS certificate checks for this request
+ * Response headers it adds:
+ *   X-Proxy-Timing     dns;dur=1.2, connect;dur=..., tls;dur=..., ttfb;dur=..., download;dur=..., total;dur=...
+ *   X-Proxy-Set-Cookie the API's Set-Cookie headers (hidden from pages otherwise)
+ *   X-Proxy-Error      why the API couldn't be reached (with a 502)
+ *
+ * `npm run dev` mounts it on the Vite dev server; `npm run proxy` runs it on its own:
+ *   node server/proxy.js [--port 8787] [--ca extra-roots.pem] [--insecure] [--allow-origin https://me.github.io]
+ */
+
+export const PROXY_PREFIX = '/__proxy';
+export const DEFAULT_PORT = 8787;
+const VERSION = 1;
+const MAX_REDIRECTS = 5;
+
+// Not forwarded in either direction: hop-by-hop headers, and the browser's own identity
+const HOP_BY_HOP = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'host', 'content-length'
+]);
+const DROPPED_REQUEST_HEADERS = /^(origin|referer|cookie|sec-fetch-.*|sec-ch-.*|x-proxy-.*)$/i;
+const DROPPED_RESPONSE_HEADERS = /^(access-control-.*|set-cookie)$/i;
+
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+};
+
+// Requests addressed to localhost / 127.0.0.1 on the port we listen on, or to the host of an
+// --allow-origin entry. Anything else is a page that pointed its own name at 127.0.0.1 (DNS
+// rebinding) - its requests are same-origin to the browser, so the Origin check never sees them.
+export const isAllowedHost = (req, allowOrigins) => {
+  const host = req.headers.host;
+  if (!host) return false;
+  if (allowOrigins.some(origin => hostOf(origin) === host.toLowerCase())) return true;
+  try {
+    const { hostname, port } = new URL(`http://${host}`);
+    return LOOPBACK_HOSTNAMES.includes(hostname) && Number(port || 80) === req.socket.localPort;
+  } catch {
+    return false;
+  }
+};
+
+// Pages on localhost / 127.0.0.1 and anything passed with --allow-origin
+export const isAllowedOrigin = (origin, allowOrigins) => {
+  if (!origin) return true; // curl and other non-browser clients can't be tricked into calling us
+  if (allowOrigins.includes(origin)) return true;
+  try {
+    return LOOPBACK_HOSTNAMES.includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+};
+
+export const corsHeaders = (req) => ({
+  'Access-Control-Allow-Origin': req.headers.origin || '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+  'Access-Control-Expose-Headers': '*',
+  // Chrome's Private Network Access check for https pages calling localhost
+  'Access-Control-Allow-Private-Network': 'true',
+  'Access-Control-Max-Age': '600',
+  Vary: 'Origin'
+});
+
+export const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+// One upstream request on a fresh connection, so every phase shows up in the timing
+const timedRequest = (target, { method, headers, body, insecure, ca }, signal) => new Promise((resolve, reject) => {
+  const start = performance.now();
+  const marks = {};
+  const client = target.protocol === 'https:' ? https : http;
+  const upstream = client.request(target, {
+    method,
+    headers: { ...headers, ...(body.length ? { 'content-length': body.length } : {}) },
+    agent: false,
+    rejectUnauthorized: !insecure,
+    ca,
+    signal
+  }, res => {
+    marks.ttfb = performance.now();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('error', reject);
+    res.on('end', () => {
+      const end = performance.now();
+      const dns = marks.dns ?? start;
+      const connect = marks.connect ?? dns;
+      const secure = marks.tls ?? connect;
+      resolve({
+        res,
+        body: Buffer.concat(chunks),
+        timing: {
+          dns: round(dns - start),
+          connect: round(connect - dns),
+          tls: round(secure - connect),
+          ttfb: round(marks.ttfb - secure),
+          download: round(end - marks.ttfb),
+          total: round(end - start)
+        }
+      });
+    });
+  });
+  upstream.on('socket', socket => {
+    socket.on('lookup', () => { marks.dns = performance.now(); });
+    socket.on('connect', () => { marks.connect = performance.now(); });
+    socket.on('secureConnect', () => { marks.tls = performance.now(); });
+  });
+  upstream.on('error', reject);
+  upstream.end(body.length ? body : undefined);
+});
+
+// Follows redirects here; the browser following one itself would hit CORS again
+const forward = async (target, request, signal) => {
+  let url = target;
+  let { method, body, headers } = request;
+  for (let hop = 0; ; hop++) {
+    const result = await timedRequest(url, { ...request, method, body, headers }, signal);
+    const location = result.res.headers.location;
+    if (!location || ![301, 302, 303, 307, 308].includes(result.res.statusCode) || hop >= MAX_REDIRECTS) return result;
+    const next = new URL(location, url);
+    if (next.origin !== new URL(url).origin) {
+      // Like fetch drops Authorization on a cross-origin redirect - API keys and cookies too
+      headers = Object.fromEntries(Object.entries(headers).filter(([name]) => !isSecretHeader(name)));
+    }
+    url = next;
+    if (result.res.statusCode === 303 || ([301, 302].includes(result.res.statusCode) && method === 'POST')) {
+      method = 'GET';
+      body = Buffer.alloc(0);
+    }
+  }
+};
+
+export const sendJson = (res, status, value, headers = {}) => {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(value));
+};
+
+/**
+ * Connect-style (req, res, next) handler for /__proxy/*; other paths go to `next`
+ * (or 404 when there is none). Options: { ca: [pem], insecure, allowOrigins: [origin] }.
+ */
+export const createProxyHandler = ({ ca, insecure = false, allowOrigins = [] } = {}) => async (req, res, next) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://proxy.local');
+  if (!pathname.startsWith(PROXY_PREFIX)) {
+    if (next) next();
+    else sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (!isAllowedHost(req, allowOrigins)) {
+    sendJson(res, 403, { error: `Host ${req.headers.host} is not allowed; open the proxy as localhost or start it with --allow-origin` });
+    return;
+  }
+  if (!isAllowedOrigin(req.headers.origin, allowOrigins)) {
+    sendJson(res, 403, { error: `Origin ${req.headers.origin} is not allowed; start the proxy with --allow-origin ${req.headers.origin}` });
+    return;
+  }
+  const cors = corsHeaders(req);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, cors);
+    res.end();
+    return;
+  }
+  if (pathname === `${PROXY_PREFIX}/health`) {
+    sendJson(res, 200, { proxy: 'api-portal', version: VERSION }, cors);
+    return;
+  }
+  if (pathname !== `${PROXY_PREFIX}/forward`) {
+    sendJson(res, 404, { error: 'Not found' }, cors);
+    return;
+  }
+
+  let target;
+  try {
+    target = new URL(searchParams.get('url'));
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error('only http(s) targets');
+  } catch (err) {
+    sendJson(res, 400, { error: `Bad target url: ${err.message}` }, { ...cors, 'X-Proxy-Error': 'Bad target url' });
+    return;
+  }
+
+  const headers = {};
+  Object.keys(req.headers).forEach(name => {
+    if (!HOP_BY_HOP.has(name) && !DROPPED_REQUEST_HEADERS.test(name)) headers[name] = req.headers[name];
+  });
+  if (req.headers['x-proxy-cookie']) headers.cookie = req.headers['x-proxy-cookie'];
+
+  // The browser giving up (timeout / cancel) aborts the upstream call too
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  try {
+    const body = await readBody(req);
+    const upstream = await forward(target, {
+      method: req.method,
+      headers,
+      body,
+      ca,
+      insecure: insecure || req.headers['x-proxy-insecure'] === '1'
+    }, abort.signal);
+
+    const out = { ...cors };
+    Object.keys(upstream.res.headers).forEach(name => {
+      if (!HOP_BY_HOP.has(name) && !DROPPED_RESPONSE_HEADERS.test(name)) out[name] = upstream.res.headers[name];
+    });
+    const cookies = upstream.res.headers['set-cookie'];
+    if (cookies?.length) out['X-Proxy-Set-Cookie'] = cookies.join(', ');
+    out['X-Proxy-Timing'] = Object.keys(upstream.timing).map(phase => `${phase};dur=${upstream.timing[phase]}`).join(', ');
+    out['Content-Length'] = upstream.body.length;
+    res.writeHead(upstream.res.statusCode, upstream.res.statusMessage, out);
+    res.end(upstream.body);
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    const message = [err.code, err.message].filter(Boolean).join(': ');
+    sendJson(res, 502, { error: message }, { ...cors, 'X-Proxy-Error': message.replace(/[^\x20-\x7e]/g, '?') });
+  }
+};
+
+// --- CLI ---
+
+const parseArgs = (argv) => {
+  const options = { port: Number(process.env.PROXY_PORT) || DEFAULT_PORT, insecure: false, allowOrigins: [], caFiles: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = Number(argv[++i]);
+    else if (arg === '--insecure') options.insecure = true;
+    else if (arg === '--ca') options.caFiles.push(argv[++i]);
+    else if (arg === '--allow-origin') options.allowOrigins.push(argv[++i]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+};
+
+// Extra CA certificates are trusted on top of Node's built-in roots
+export const loadCa = (files) => (files.length
+  ? [...tls.rootCertificates, ...files.map(file => fs.readFileSync(file, 'utf8'))]
+  : undefined);
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const handler = createProxyHandler({ ca: loadCa(options.caFiles), insecure: options.insecure, allowOrigins: options.allowOrigins });
+  http.createServer(handler).listen(options.port, '127.0.0.1', () => {
+    console.log(`API portal proxy on http://localhost:${options.port}${options.insecure ? ' (TLS verification off)' : ''}`);
+  });
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   BookOpen, 
   Play, 
@@ -16,335 +16,116 @@ import {
   Globe,
   Lock,
   Search,
-  Trash2
+  Trash2,
+  FolderOpen,
+  Briefcase,
+  GitCompare,
+  X
 } from 'lucide-react';
+import { findRootFile } from './utils/specLoader.js';
+import { readFileAsText, readSpecFileList, readDroppedSpecFiles, readDataFile } from './utils/fileReaders.js';
+import { parseSpecDocument, createRequestEngine, runDataset } from './utils/engine.js';
+import { DATA_FILE_ACCEPT, IGNORE_COLUMN, getColumns, suggestColumnMapping, applyColumnMapping } from './utils/dataFiles.js';
+import {
+  getBodyTree, buildFieldTree, isTopLevelBody, buildInitialFormData, listFieldPaths, hasRequestBody, isRawBody
+} from './utils/schema.js';
+import { parseParamValue } from './utils/params.js';
+import { listMediaTypes, bodyMediaType, mediaExample } from './utils/mediaTypes.js';
+import { validateRequest, getParamSchema, validateResponse } from './utils/validation.js';
+import { SchemaField, FieldLabel, PrimitiveInput, FieldErrors } from './components/SchemaForm.jsx';
+import { Card, Badge, SearchableSelect } from './components/common.jsx';
+import ScenariosTab from './components/ScenariosTab.jsx';
+import EnvironmentEditor from './components/EnvironmentEditor.jsx';
+import WorkspaceManager from './components/WorkspaceManager.jsx';
+import SpecDiffPanel from './components/SpecDiffPanel.jsx';
+import { createEnvironment, environmentContext, mergeImportedSettings, applyVariableChanges } from './utils/environments.js';
+import { downloadFile } from './utils/download.js';
+import { summarizeBatch, renderBatchReport, toCsvReport } from './utils/reports.js';
+import { DEFAULT_BATCH_OPTIONS, createBatchController } from './utils/batchRunner.js';
+import { hasRowTargets, groupResultsByEndpoint } from './utils/batchTargets.js';
+import { addHistoryEntries } from './utils/history.js';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import CodeSnippets from './components/CodeSnippets.jsx';
+import ResponseViewer from './components/ResponseViewer.jsx';
+import { formatBytes } from './utils/responseBody.js';
+import { batchExchanges, historyExchanges, toPostmanCollection, toHar } from './utils/exporters.js';
+import {
+  createWorkspace, listWorkspaces, loadWorkspace, saveWorkspace, deleteWorkspace,
+  getActiveWorkspaceId, setActiveWorkspaceId, exportWorkspace, importWorkspace
+} from './utils/workspaceStore.js';
+import { runSandboxedScripts } from './utils/scriptSandbox.js';
+import { describeScheme } from './utils/auth.js';
+import { apiKeyNames } from './utils/secrets.js';
+import { DEFAULT_MOCK_OVERRIDE, resolveMockUrl, pushMockConfig, mockBaseUrl } from './utils/mockServer.js';
+import { listMockStatuses, defaultMockStatus } from './utils/mockData.js';
+import { generateTestCases, CASE_COLUMN } from './utils/testCases.js';
 
 /**
  * UTILITY FUNCTIONS
  */
 
-// Robust CSV Parser that handles double quotes
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter(l => l.trim());
-  if (lines.length === 0) return [];
-  
-  // Helper to parse a single line respecting quotes
-  const parseLine = (line) => {
-    const values = [];
-    let current = '';
-    let inQuote = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      if (char === '"') {
-        inQuote = !inQuote;
-      } else if (char === ',' && !inQuote) {
-        // End of cell: trim and strip outer quotes, unescape double double-quotes
-        values.push(current.trim().replace(/^"|"$/g, '').replace(/""/g, '"'));
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    // Push last value
-    values.push(current.trim().replace(/^"|"$/g, '').replace(/""/g, '"'));
-    return values;
-  };
-
-  // Parse headers
-  const headers = parseLine(lines[0]);
-  
-  // Parse rows
-  return lines.slice(1).map(line => {
-    const values = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      // Clean key names too just in case
-      const cleanKey = h.replace(/^"|"$/g, '').trim();
-      obj[cleanKey] = values[i] || '';
-    });
-    return obj;
-  });
-};
-
-// Flatten Swagger Schema to simple field list for the UI
-const extractFieldsFromSchema = (schema, definitions) => {
-  if (!schema) return [];
-  let properties = {};
-  let requiredFields = [];
-  
-  // Handle refs roughly
-  if (schema.$ref) {
-    const refName = schema.$ref.split('/').pop();
-    if (definitions && definitions[refName]) {
-      properties = definitions[refName].properties || {};
-      requiredFields = definitions[refName].required || [];
-    }
-  } else {
-    properties = schema.properties || {};
-    requiredFields = schema.required || [];
-  }
-
-  return Object.keys(properties).map(key => ({
-    name: key,
-    type: properties[key].type || 'string',
-    required: requiredFields.includes(key),
-    description: properties[key].description || ''
-  }));
+// Reserved columns offered as mapping targets in the batch data preview
+const RESERVED_BATCH_COLUMNS = [
+  '_operationId', '_method', '_path', '_body', '_contentType',
+  '_expect_status', '_expect_contains', '_max_ms', '_case'
+];
+
+// Form labels for where a parameter goes
+const PARAM_LOCATIONS = { path: 'Path', query: 'Query', header: 'Header', cookie: 'Cookie' };
+
+// Badge colours for a batch row's outcome
+const OUTCOME_STYLES = {
+  PASS: 'bg-green-100 text-green-700',
+  FAIL: 'bg-red-100 text-red-700',
+  TIMEOUT: 'bg-orange-100 text-orange-700',
+  CANCELLED: 'bg-slate-100 text-slate-500'
 };
 
-// --- NEW: Postman Parsing Logic ---
-
-const parsePostmanCollection = (json) => {
-  const endpoints = [];
-
-  // Recursive function to handle nested folders
-  const traverseItems = (items) => {
-    items.forEach(item => {
-      if (item.item) {
-        // It's a folder
-        traverseItems(item.item);
-      } else if (item.request) {
-        // It's a request
-        const req = item.request;
-        const method = req.method?.toLowerCase() || 'get';
-        
-        // 1. Extract Path & Params
-        let pathStr = '';
-        let pathParams = [];
-        let queryParams = [];
-
-        if (req.url) {
-          // Handle Object URL (standard in v2.1)
-          if (typeof req.url === 'object') {
-            // Path: Join parts and ensure leading slash
-            if (req.url.path) {
-              const p = Array.isArray(req.url.path) ? req.url.path.join('/') : req.url.path;
-              pathStr = p.startsWith('/') ? p : '/' + p;
-            }
-            
-            // Path Variables: Stored in 'variable' array in Postman
-            if (req.url.variable) {
-              pathParams = req.url.variable.map(v => ({
-                name: v.key,
-                in: 'path',
-                required: true,
-                description: v.description
-              }));
-            }
-
-            // Query Params
-            if (req.url.query) {
-              queryParams = req.url.query.map(q => ({
-                name: q.key,
-                in: 'query',
-                required: false,
-                description: q.description
-              }));
-            }
-          } else if (typeof req.url === 'string') {
-            // Handle String URL (older format or simplifed)
-            try {
-              // Try to extract path from full URL string
-              // Remove {{variables}} to parse correctly
-              const cleanUrl = req.url.replace(/{{/g, '').replace(/}}/g, '');
-              const urlObj = new URL(cleanUrl.startsWith('http') ? cleanUrl : 'http://placeholder.com/' + cleanUrl);
-              pathStr = urlObj.pathname;
-            } catch (e) {
-              pathStr = req.url;
-            }
-          }
-        }
-
-        // Convert Postman :id syntax to Swagger {id} syntax for compatibility
-        pathStr = pathStr.replace(/:([a-zA-Z0-9_]+)/g, '{$1}');
-
-        // 2. Extract Body Fields (Attempt to parse raw JSON body to find keys)
-        let requestBody = null;
-        if (['post', 'put', 'patch'].includes(method) && req.body?.mode === 'raw' && req.body?.raw) {
-           try {
-             // Basic attempt to parse JSON body to generate fields
-             // We strip comments or loose json slightly if needed, but strict parse first
-             // Also replace {{vars}} with placeholders to allow parsing
-             const safeJson = req.body.raw.replace(/{{.*?}}/g, '"VAR"');
-             const parsedBody = JSON.parse(safeJson);
-             
-             // Construct a fake schema so our existing UI renderer works
-             const properties = {};
-             Object.keys(parsedBody).forEach(k => {
-               properties[k] = { type: typeof parsedBody[k] };
-             });
-
-             requestBody = {
-               content: {
-                 'application/json': {
-                   schema: {
-                     properties,
-                     required: Object.keys(parsedBody) // All keys in the raw body example are now marked as required
-                   }
-                 }
-               }
-             };
-           } catch (e) {
-             // If body isn't valid JSON, we ignore auto-generating body fields
-           }
-        }
-
-        endpoints.push({
-          id: item.id || (item.name + method + Math.random()),
-          path: pathStr,
-          method: method,
-          summary: item.name,
-          parameters: [...pathParams, ...queryParams],
-          requestBody: requestBody,
-          definitions: {} 
-        });
-      }
-    });
-  };
-
-  if (json.item) {
-    traverseItems(json.item);
-  }
-
-  return {
-    info: { title: json.info?.name || 'Postman Collection', version: '1.0' },
-    endpoints
-  };
-};
-
-
-/**
- * COMPONENTS
- */
-
-const Card = ({ children, className = "" }) => (
-  <div className={`bg-white rounded-xl shadow-sm border border-slate-200 ${className}`}>
-    {children}
-  </div>
-);
-
-const Badge = ({ method }) => {
-  const colors = {
-    get: 'bg-blue-100 text-blue-700',
-    post: 'bg-green-100 text-green-700',
-    put: 'bg-orange-100 text-orange-700',
-    delete: 'bg-red-100 text-red-700',
-    patch: 'bg-yellow-100 text-yellow-700'
-  };
-  return (
-    <span className={`uppercase px-2 py-0.5 rounded text-xs font-bold ${colors[method.toLowerCase()] || 'bg-slate-100'}`}>
-      {method}
-    </span>
-  );
-};
-
-// Searchable Select Component
-const SearchableSelect = ({ options, value, onChange, placeholder = "Select option..." }) => {
-  const [isOpen, setIsOpen] = useState(false);
-  const [search, setSearch] = useState("");
-  const wrapperRef = useRef(null);
-
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
-        setIsOpen(false);
-      }
-    };
-    document.addEventListener("mousedown", handleClickOutside);
-    return () => document.removeEventListener("mousedown", handleClickOutside);
-  }, []);
-
-  const filteredOptions = options.filter(opt =>
-    opt.label.toLowerCase().includes(search.toLowerCase()) ||
-    opt.subLabel.toLowerCase().includes(search.toLowerCase())
-  );
-
-  const selectedOption = options.find(o => o.value === value);
-
-  return (
-    <div className="relative" ref={wrapperRef}>
-      <div
-        className="w-full p-2 border border-slate-300 rounded-md text-sm flex justify-between items-center cursor-pointer bg-white hover:border-blue-400 transition-colors"
-        onClick={() => setIsOpen(!isOpen)}
-      >
-        <span className={selectedOption ? "text-slate-800" : "text-slate-400"}>
-          {selectedOption ? (
-            <span className="flex items-center gap-2">
-               <Badge method={selectedOption.method} />
-               <span className="truncate">{selectedOption.label}</span>
-            </span>
-          ) : placeholder}
-        </span>
-        <ChevronDown size={16} className="text-slate-400" />
-      </div>
-
-      {isOpen && (
-        <div className="absolute z-50 w-full mt-1 bg-white border border-slate-200 rounded-md shadow-lg max-h-60 overflow-auto animate-in fade-in zoom-in-95 duration-100">
-          <div className="p-2 sticky top-0 bg-white border-b border-slate-100">
-             <div className="relative">
-                <Search size={14} className="absolute left-2 top-2 text-slate-400"/>
-                <input
-                  type="text"
-                  className="w-full pl-8 pr-2 py-1 text-xs border border-slate-200 rounded bg-slate-50 focus:outline-none focus:border-blue-400 focus:ring-1 focus:ring-blue-400"
-                  placeholder="Search API..."
-                  value={search}
-                  onChange={(e) => setSearch(e.target.value)}
-                  autoFocus
-                  onClick={(e) => e.stopPropagation()} 
-                />
-             </div>
-          </div>
-          {filteredOptions.length === 0 ? (
-            <div className="p-3 text-xs text-slate-400 text-center">No results found</div>
-          ) : (
-            filteredOptions.map(opt => (
-              <div
-                key={opt.value}
-                className={`px-3 py-2 text-sm cursor-pointer hover:bg-slate-50 flex items-center gap-2 border-b border-slate-50 last:border-0 ${value === opt.value ? 'bg-blue-50' : ''}`}
-                onClick={() => {
-                  onChange(opt.value);
-                  setIsOpen(false);
-                  setSearch('');
-                }}
-              >
-                <div className="shrink-0">
-                  <Badge method={opt.method} />
-                </div>
-                <div className="flex flex-col overflow-hidden">
-                   <span className="truncate font-medium text-slate-700">{opt.label}</span>
-                   <span className="truncate text-[10px] text-slate-400">{opt.subLabel}</span>
-                </div>
-              </div>
-            ))
-          )}
-        </div>
-      )}
-    </div>
-  );
-};
-
-
 export default function App() {
   // --- STATE ---
-  const [activeTab, setActiveTab] = useState('setup'); // setup, manual, batch
+  const [activeTab, setActiveTab] = useState('setup'); // setup, manual, batch, scenarios, history
   const [specInput, setSpecInput] = useState('');
+  const [specFiles, setSpecFiles] = useState({}); // { relativePath: text } for multi-file specs
+  const [specRootPath, setSpecRootPath] = useState('');
+  const [specDragOver, setSpecDragOver] = useState(false);
   const [parsedSpec, setParsedSpec] = useState(null);
+  const [previousSpec, setPreviousSpec] = useState(null); // the spec parsed before the current one, for the version diff
   const [error, setError] = useState('');
   
-  // Environment Config
-  const [config, setConfig] = useState({
-    baseUrl: 'https://api.example.com',
-    token: '',
-    headers: []
-  });
+  // Environments (dev / staging / UAT ...), one of which is active
+  const [environments, setEnvironments] = useState(() => [createEnvironment('Default', { baseUrl: 'https://api.example.com' })]);
+  const [activeEnvId, setActiveEnvId] = useState(() => environments[0].id);
+  const config = environments.find(env => env.id === activeEnvId) || environments[0];
+  const updateConfig = (patch) => {
+    setEnvironments(envs => envs.map(env => (env.id === config.id ? { ...env, ...patch } : env)));
+  };
+  // Variables set by Postman scripts, visible to the next request before the environment
+  // state catches up (batch rows / scenario steps run inside one closure)
+  const scriptVariables = useRef({});
+  const changeEnvironments = (envs) => {
+    scriptVariables.current = {};
+    setEnvironments(envs);
+  };
+  const changeActiveEnv = (id) => {
+    scriptVariables.current = {};
+    setActiveEnvId(id);
+  };
 
   // Manual Test State
   const [manualSearch, setManualSearch] = useState('');
   const [selectedEndpoint, setSelectedEndpoint] = useState(null);
   const [formData, setFormData] = useState({});
+  const [formErrors, setFormErrors] = useState({}); // { fieldPath: [messages] }
   const [manualResponse, setManualResponse] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [snippetRequest, setSnippetRequest] = useState(null); // request shown as cURL / fetch / HTTPie
+  // Binary bodies (images, PDFs) are shown through an object URL, released once the response is replaced
+  const responseObjectUrl = useRef(null);
+  const showManualResponse = (result) => {
+    if (responseObjectUrl.current) URL.revokeObjectURL(responseObjectUrl.current);
+    responseObjectUrl.current = result?.blob ? URL.createObjectURL(result.blob) : null;
+    setManualResponse(result?.blob ? { ...result, objectUrl: responseObjectUrl.current } : result);
+  };
 
   // Batch Test State
   const [batchFile, setBatchFile] = useState(null);
@@ -352,169 +133,466 @@ export default function App() {
   const [batchResults, setBatchResults] = useState([]);
   const [batchProgress, setBatchProgress] = useState(0);
   const [batchRunning, setBatchRunning] = useState(false);
+  const [batchPaused, setBatchPaused] = useState(false);
+  const [batchOptions, setBatchOptions] = useState(DEFAULT_BATCH_OPTIONS);
+  const batchController = useRef(null);
+  const [batchSheets, setBatchSheets] = useState([]); // [{ name, rows }]; several for .xlsx workbooks
+  const [batchSheet, setBatchSheet] = useState('');
+  const [batchColumnMap, setBatchColumnMap] = useState({}); // { column: field path | IGNORE_COLUMN }
+  const [batchError, setBatchError] = useState('');
+  const [batchRunInfo, setBatchRunInfo] = useState({}); // { startedAt, finishedAt } of the last run
+  // Rows as they will be sent, after column renames / drops
+  const mappedBatchData = useMemo(() => applyColumnMapping(batchData, batchColumnMap), [batchData, batchColumnMap]);
+
+  // Scenario State
+  const [scenarios, setScenarios] = useState([]);
+  const [scenarioRuns, setScenarioRuns] = useState({}); // { scenarioId: { startedAt, finished, steps } }
+
+  // Workspace State (persisted to IndexedDB)
+  const [workspaces, setWorkspaces] = useState([]); // [{ id, name, updatedAt }]
+  const [workspaceId, setWorkspaceId] = useState(null); // null until the stored workspace is loaded
+  const [workspaceName, setWorkspaceName] = useState('');
+  const autosaveTimer = useRef(null);
+  const [endpointForms, setEndpointForms] = useState({}); // { endpointId: last-used formData }
+  const [mockOverrides, setMockOverrides] = useState({}); // { endpointId: DEFAULT_MOCK_OVERRIDE-shaped }
+  const [mockError, setMockError] = useState('');
+
+  // Request History State (newest first)
+  const [history, setHistory] = useState([]);
+  const historyBuffer = useRef([]);
+  const historyFlushTimer = useRef(null);
+
+  // --- WORKSPACE PERSISTENCE ---
+
+  const applyWorkspace = (ws) => {
+    scriptVariables.current = {};
+    let spec = null;
+    let specError = '';
+    if (ws.spec?.input) {
+      try {
+        spec = parseSpecDocument(ws.spec.input, ws.spec.rootPath, ws.spec.files || {});
+      } catch (e) {
+        specError = e.message;
+      }
+    }
+    setWorkspaceId(ws.id);
+    setWorkspaceName(ws.name);
+    setActiveWorkspaceId(ws.id);
+    setSpecInput(ws.spec?.input || '');
+    setSpecFiles(ws.spec?.files || {});
+    setSpecRootPath(ws.spec?.rootPath || '');
+    setParsedSpec(spec);
+    setPreviousSpec(null);
+    setError(specError);
+    setEnvironments(ws.environments);
+    setActiveEnvId(ws.activeEnvId);
+    setEndpointForms(ws.endpointForms || {});
+    setMockOverrides(ws.mockOverrides || {});
+    setSelectedEndpoint(null);
+    setFormData({});
+    setFormErrors({});
+    setManualResponse(null);
+    setBatchFile(ws.batch?.fileName ? { name: ws.batch.fileName } : null);
+    setBatchData(ws.batch?.data || []);
+    setBatchResults(ws.batch?.results || []);
+    setBatchOptions({ ...DEFAULT_BATCH_OPTIONS, ...ws.batch?.options });
+    setBatchColumnMap(ws.batch?.mapping || {});
+    setBatchRunInfo(ws.batch?.runInfo || {});
+    setBatchSheets([]);
+    setBatchSheet('');
+    setBatchError('');
+    setScenarios(ws.scenarios || []);
+    setScenarioRuns(ws.scenarioRuns || {});
+    setHistory(ws.history || []);
+    setActiveTab(spec ? 'manual' : 'setup');
+  };
 
-  // --- HANDLERS ---
+  const workspaceSnapshot = useMemo(() => (workspaceId ? {
+    id: workspaceId,
+    name: workspaceName,
+    spec: { input: specInput, files: specFiles, rootPath: specRootPath },
+    environments,
+    activeEnvId,
+    endpointForms: selectedEndpoint ? { ...endpointForms, [selectedEndpoint.id]: formData } : endpointForms,
+    mockOverrides,
+    batch: { fileName: batchFile?.name || null, data: batchData, results: batchResults, options: batchOptions, mapping: batchColumnMap, runInfo: batchRunInfo },
+    scenarios,
+    scenarioRuns,
+    history
+  } : null), [workspaceId, workspaceName, specInput, specFiles, specRootPath, environments, activeEnvId,
+    endpointForms, mockOverrides, selectedEndpoint, formData, batchFile, batchData, batchResults, batchOptions, batchColumnMap, batchRunInfo, scenarios, scenarioRuns, history]);
+
+  // Open the last-used workspace (or start a fresh one) on first load
+  useEffect(() => {
+    let cancelled = false;
+    const restore = async () => {
+      let list = [];
+      let ws = null;
+      let storageError = '';
+      try {
+        list = await listWorkspaces();
+        const target = list.find(w => w.id === getActiveWorkspaceId()) || list[0];
+        if (target) ws = await loadWorkspace(target.id);
+      } catch (e) {
+        storageError = `Workspace storage unavailable, changes won't survive a reload: ${e.message}`;
+      }
+      if (cancelled) return;
+      if (!ws) {
+        ws = createWorkspace();
+        list = [{ id: ws.id, name: ws.name, updatedAt: ws.updatedAt }, ...list];
+      }
+      setWorkspaces(list);
+      applyWorkspace(ws);
+      if (storageError) setError(storageError);
+    };
+    restore();
+    return () => { cancelled = true; };
+  }, []);
 
-  const handleSpecParse = () => {
-    try {
-      const json = JSON.parse(specInput);
-      let parsedData = null;
-
-      // DETECT TYPE
-      if (json.openapi || json.swagger) {
-        // --- SWAGGER / OPENAPI ---
-        if (!json.paths) throw new Error("Invalid OpenAPI/Swagger Spec: Missing 'paths'");
-        const endpoints = [];
-        Object.keys(json.paths).forEach(path => {
-          Object.keys(json.paths[path]).forEach(method => {
-            if (['get', 'post', 'put', 'delete', 'patch'].includes(method.toLowerCase())) {
-              const details = json.paths[path][method];
-              endpoints.push({
-                id: `${method}-${path}`,
-                path,
-                method,
-                summary: details.summary || details.operationId || path,
-                parameters: details.parameters || [],
-                requestBody: details.requestBody,
-                definitions: json.definitions || json.components?.schemas
-              });
-            }
-          });
+  // Autosave shortly after the last change
+  useEffect(() => {
+    if (!workspaceSnapshot) return undefined;
+    autosaveTimer.current = setTimeout(() => {
+      autosaveTimer.current = null;
+      saveWorkspace(workspaceSnapshot)
+        .then(() => setWorkspaces(list => list.map(w => (w.id === workspaceSnapshot.id
+          ? { ...w, name: workspaceSnapshot.name, updatedAt: Date.now() }
+          : w))))
+        .catch(() => {
+          // Storage unavailable - already reported when the workspace was loaded
         });
-        parsedData = { info: json.info, endpoints };
+    }, 800);
+    return () => clearTimeout(autosaveTimer.current);
+  }, [workspaceSnapshot]);
 
-      } else if (json.info && json.item) {
-        // --- POSTMAN COLLECTION ---
-        parsedData = parsePostmanCollection(json);
-      } else {
-        throw new Error("Unknown Format. Please paste a valid OpenAPI JSON or Postman Collection.");
+  // Keep the mock server answering for the loaded spec while the environment is in mock mode
+  useEffect(() => {
+    if (!config.mock || !parsedSpec) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        await pushMockConfig(await resolveMockUrl({ mockUrl: config.mockUrl }), { spec: parsedSpec, overrides: mockOverrides });
+        if (!cancelled) setMockError('');
+      } catch (e) {
+        if (!cancelled) setMockError(`Mock server not reachable (${e.message}). Run npm run dev or npm run mock.`);
       }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [config.mock, config.mockUrl, parsedSpec, mockOverrides]);
 
-      setParsedSpec(parsedData);
-      setError('');
-      setActiveTab('manual');
+  const updateMockOverride = (endpointId, patch) => {
+    setMockOverrides(all => ({ ...all, [endpointId]: { ...DEFAULT_MOCK_OVERRIDE, ...all[endpointId], ...patch } }));
+  };
+
+  const switchWorkspace = async (id) => {
+    if (id === workspaceId) return;
+    try {
+      if (workspaceSnapshot) await saveWorkspace(workspaceSnapshot);
+      const ws = await loadWorkspace(id);
+      if (ws) applyWorkspace(ws);
     } catch (e) {
-      setError(e.message);
+      setError(`Could not open workspace: ${e.message}`);
     }
   };
 
-  const handleSelectEndpoint = (ep) => {
-    setSelectedEndpoint(ep);
-    setManualResponse(null);
-    setFormData({});
+  const addWorkspace = async (ws) => {
+    try {
+      if (workspaceSnapshot) await saveWorkspace(workspaceSnapshot);
+      await saveWorkspace(ws);
+    } catch (e) {
+      setError(`Could not save workspace: ${e.message}`);
+    }
+    setWorkspaces(list => [{ id: ws.id, name: ws.name, updatedAt: Date.now() }, ...list]);
+    applyWorkspace(ws);
   };
 
-  const executeRequest = async (endpoint, data, isBatch = false) => {
-    let url = config.baseUrl.replace(/\/$/, '') + endpoint.path;
-    const options = {
-      method: endpoint.method.toUpperCase(),
-      headers: {
-        'Content-Type': 'application/json',
-        ...config.headers.reduce((acc, h) => ({ ...acc, [h.key]: h.value }), {})
-      }
-    };
+  const handleNewWorkspace = () => {
+    const name = window.prompt('Workspace name', `Workspace ${workspaces.length + 1}`);
+    if (name?.trim()) addWorkspace(createWorkspace(name.trim()));
+  };
 
-    if (config.token) {
-      options.headers['Authorization'] = `Bearer ${config.token}`;
-    }
+  const handleRenameWorkspace = (name) => {
+    setWorkspaceName(name);
+    setWorkspaces(list => list.map(w => (w.id === workspaceId ? { ...w, name } : w)));
+  };
 
-    // 1. Handle Path Parameters (e.g., /users/{id})
-    if (endpoint.parameters) {
-      endpoint.parameters.forEach(param => {
-        if (param.in === 'path') {
-          url = url.replace(`{${param.name}}`, data[param.name] || '');
-        }
-      });
+  const handleDeleteWorkspace = async () => {
+    if (!window.confirm(`Delete workspace "${workspaceName}"? Its spec, environments and runs will be lost.`)) return;
+    // A queued autosave would write the deleted workspace back
+    clearTimeout(autosaveTimer.current);
+    try {
+      await deleteWorkspace(workspaceId);
+      const remaining = workspaces.filter(w => w.id !== workspaceId);
+      const next = (remaining.length && await loadWorkspace(remaining[0].id)) || createWorkspace();
+      setWorkspaces(remaining.length ? remaining : [{ id: next.id, name: next.name, updatedAt: next.updatedAt }]);
+      applyWorkspace(next);
+    } catch (e) {
+      setError(`Could not delete workspace: ${e.message}`);
     }
+  };
 
-    // 2. Handle Query Parameters
-    const queryParams = new URLSearchParams();
-    if (endpoint.parameters) {
-      endpoint.parameters.forEach(param => {
-        if (param.in === 'query' && data[param.name]) {
-          queryParams.append(param.name, data[param.name]);
-        }
-      });
-    }
-    if (queryParams.toString()) {
-      url += `?${queryParams.toString()}`;
+  const handleExportWorkspace = () => {
+    if (!workspaceSnapshot) return;
+    const includeSecrets = window.confirm('Include tokens and passwords in the exported file?\n\nCancel exports the workspace without credentials.');
+    downloadFile(
+      exportWorkspace(workspaceSnapshot, { includeSecrets }),
+      `${(workspaceName || 'workspace').replace(/[^\w.-]+/g, '_')}.workspace.json`,
+      'application/json'
+    );
+  };
+
+  const handleImportWorkspace = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const ws = importWorkspace(await readFileAsText(file));
+      if (workspaces.some(w => w.name === ws.name)) ws.name = `${ws.name} (imported)`;
+      await addWorkspace(ws);
+    } catch (err) {
+      setError(err.message);
     }
+  };
+
+  // --- HANDLERS ---
 
-    // 3. Handle Body
-    if (['post', 'put', 'patch'].includes(endpoint.method) && endpoint.requestBody) {
-      // Very basic body construction: take all data keys that AREN'T path/query params
-      const pathParams = endpoint.parameters?.map(p => p.name) || [];
-      const bodyData = {};
-      
-      // If we parsed fields for the body, use them
-      let bodyFields = [];
-      const schema = endpoint.requestBody.content?.['application/json']?.schema;
-      if (schema) {
-         bodyFields = extractFieldsFromSchema(schema, endpoint.definitions).map(f => f.name);
+  const handleSpecParse = (input = specInput, rootPath = specRootPath, files = specFiles, { openManual = true } = {}) => {
+    try {
+      const parsed = parseSpecDocument(input, rootPath, files);
+      if (parsedSpec) setPreviousSpec(parsedSpec);
+      setParsedSpec(parsed);
+      // Captured requests (cURL / HAR / Insomnia): use the recorded host and offer the
+      // concrete values as a starter batch dataset, unless the user already has their own.
+      // Postman collections bring their variables and auth credentials along; existing values win
+      setEnvironments(envs => envs.map(env => (env.id === config.id ? mergeImportedSettings(env, parsed) : env)));
+      if (parsed.dataset?.length && batchData.length === 0) {
+        const sheets = [{ name: 'Captured requests', rows: parsed.dataset }];
+        setBatchFile({ name: `${parsed.info.title} dataset` });
+        setBatchSheets(sheets);
+        selectBatchSheet(sheets, sheets[0].name);
       }
+      setError('');
+      if (openManual) setActiveTab('manual');
+    } catch (e) {
+      setError(e.message);
+    }
+  };
 
-      Object.keys(data).forEach(key => {
-        if (!pathParams.includes(key) && (bodyFields.length === 0 || bodyFields.includes(key))) {
-          bodyData[key] = data[key];
-        }
-      });
-      options.body = JSON.stringify(bodyData);
+  // Multi-file specs: pick the entry document and keep the rest for $ref resolution
+  const loadSpecFiles = (files) => {
+    const paths = Object.keys(files);
+    if (paths.length === 0) {
+      setError('No .json, .yaml or .yml files found.');
+      return;
     }
+    const rootPath = findRootFile(files);
+    if (!rootPath) {
+      setError('None of the uploaded files is an OpenAPI/Swagger document or Postman collection.');
+      return;
+    }
+    setSpecFiles(files);
+    setSpecRootPath(rootPath);
+    setSpecInput(files[rootPath]);
+    setError('');
+  };
 
+  const handleSpecUpload = async (e) => {
     try {
-      const start = Date.now();
-      const res = await fetch(url, options);
-      const time = Date.now() - start;
-      
-      let resBody;
-      try {
-        resBody = await res.json();
-      } catch (e) {
-        resBody = await res.text();
+      if (e.target.files?.length) {
+        loadSpecFiles(await readSpecFileList(e.target.files));
       }
+    } catch (err) {
+      setError(err.message);
+    }
+    e.target.value = '';
+  };
 
-      return {
-        success: res.ok,
-        status: res.status,
-        time,
-        data: resBody
-      };
+  const handleSpecDrop = async (e) => {
+    e.preventDefault();
+    setSpecDragOver(false);
+    try {
+      loadSpecFiles(await readDroppedSpecFiles(e.dataTransfer));
     } catch (err) {
-      return {
-        success: false,
-        status: 0,
-        time: 0,
-        data: err.message, // Likely CORS or Network error
-        isNetworkError: true
-      };
+      setError(err.message);
+    }
+  };
+
+  // Loads a version picked in the spec diff as the workspace's spec
+  const applySpecVersion = ({ input, rootPath, files }) => {
+    setSpecInput(input);
+    setSpecFiles(files);
+    setSpecRootPath(rootPath);
+    handleSpecParse(input, rootPath, files, { openManual: false });
+  };
+
+  const clearSpecFiles = () => {
+    setSpecFiles({});
+    setSpecRootPath('');
+  };
+
+  // Pasted / typed text is a document of its own: files loaded earlier no longer back its $refs
+  const handleSpecInputChange = (e) => {
+    setSpecInput(e.target.value);
+    clearSpecFiles();
+  };
+
+  const handleSelectEndpoint = (ep) => {
+    // Remember what was typed for the endpoint we're leaving
+    const forms = selectedEndpoint ? { ...endpointForms, [selectedEndpoint.id]: formData } : endpointForms;
+    setEndpointForms(forms);
+    setSelectedEndpoint(ep);
+    showManualResponse(null);
+    setSnippetRequest(null);
+    setFormData(ep ? (forms[ep.id] || buildInitialFormData(ep)) : {});
+    setFormErrors({});
+  };
+
+  // History entries are buffered briefly so concurrent batch rows don't re-render once per request
+  const recordHistory = (entry) => {
+    historyBuffer.current.push(entry);
+    if (historyFlushTimer.current) return;
+    historyFlushTimer.current = setTimeout(() => {
+      const entries = historyBuffer.current;
+      historyBuffer.current = [];
+      historyFlushTimer.current = null;
+      setHistory(prev => addHistoryEntries(prev, entries));
+    }, 250);
+  };
+
+  // Requests go through the framework-free engine, built afresh for the current spec,
+  // environment and script variables (the CLI runs the same engine)
+  const requestEngine = () => createRequestEngine({
+    securitySchemes: parsedSpec?.securitySchemes,
+    environment: config,
+    scriptVariables: scriptVariables.current,
+    runScripts: runSandboxedScripts,
+    onVariableChanges: (changes) => {
+      setEnvironments(envs => envs.map(env => (env.id === config.id ? applyVariableChanges(env, changes) : env)));
+    },
+    onRecord: recordHistory
+  });
+
+  // Every request (manual, batch or scenario step) goes through here and is recorded in the history
+  const executeRequest = (endpoint, rawData, source = 'manual', requestOptions = {}) => (
+    requestEngine().executeRequest(endpoint, rawData, source, requestOptions)
+  );
+
+  const replayHistoryEntry = (entry) => {
+    const ep = parsedSpec?.endpoints.find(e => e.id === entry.endpointId)
+      || parsedSpec?.endpoints.find(e => e.method === entry.method && e.path === entry.path);
+    if (!ep) {
+      setError(`${entry.method.toUpperCase()} ${entry.path} is not in the current spec.`);
+      return;
     }
+    handleSelectEndpoint(ep);
+    setFormData(entry.formData || {});
+    setActiveTab('manual');
   };
 
-  const runManualTest = async () => {
+  const runManualTest = async (skipValidation = false) => {
     if (!selectedEndpoint) return;
+    // Check the form against the schema before anything goes over the wire
+    const errors = validateRequest(selectedEndpoint, formData);
+    if (Object.keys(errors).length > 0 && !skipValidation) {
+      setFormErrors(errors);
+      return;
+    }
+    setFormErrors({});
     setLoading(true);
-    const result = await executeRequest(selectedEndpoint, formData);
-    setManualResponse(result);
-    setLoading(false);
+    try {
+      const result = await executeRequest(selectedEndpoint, formData);
+      // Contract check against the declared response for this status code
+      result.schema = validateResponse(selectedEndpoint, result.status, result.data);
+      showManualResponse(result);
+    } catch (err) {
+      showManualResponse({ success: false, status: 0, time: 0, data: `Request could not be run: ${err.message}`, isNetworkError: true });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Snapshot of the request the form would send, for the code snippet panel
+  const showCodeSnippets = async () => {
+    if (!selectedEndpoint) return;
+    try {
+      const { request } = await requestEngine().buildRequest(selectedEndpoint, formData);
+      setSnippetRequest(request);
+    } catch (err) {
+      showManualResponse(err.isAuthError
+        ? { success: false, status: 0, time: 0, data: `Authentication failed: ${err.message}`, isNetworkError: true }
+        : { success: false, status: 0, time: 0, data: `Request could not be built: ${err.message}`, isRequestError: true });
+    }
   };
 
-  const handleBatchUpload = (e) => {
+  // Batch / history sessions as a Postman collection (env values back to {{vars}}) or HAR
+  const exportSession = (exchanges, format, name) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'har') {
+      downloadFile(toHar(exchanges), `${name}_${stamp}.har`, 'application/json');
+    } else {
+      const title = `${parsedSpec?.info?.title || 'API'} ${name.replace(/_/g, ' ')}`;
+      downloadFile(
+        toPostmanCollection(exchanges, { name: title, context: environmentContext(config) }),
+        `${name}_${stamp}.postman_collection.json`,
+        'application/json'
+      );
+    }
+  };
+
+  // Load one sheet's rows and guess column -> field mappings for the selected endpoint
+  const selectBatchSheet = (sheets, name) => {
+    const rows = sheets.find(sh => sh.name === name)?.rows || [];
+    setBatchSheet(name);
+    setBatchData(rows);
+    setBatchResults([]);
+    setBatchColumnMap(suggestColumnMapping(getColumns(rows), selectedEndpoint ? listFieldPaths(selectedEndpoint) : []));
+  };
+
+  const handleBatchUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      setBatchFile(file);
-      const reader = new FileReader();
-      reader.onload = (evt) => {
-        const text = evt.target.result;
-        const data = parseCSV(text);
-        setBatchData(data);
-        setBatchResults([]);
-      };
-      reader.readAsText(file);
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { sheets } = await readDataFile(file);
+      setBatchFile({ name: file.name });
+      setBatchSheets(sheets);
+      setBatchError('');
+      selectBatchSheet(sheets, sheets[0]?.name);
+    } catch (err) {
+      setBatchError(err.message);
+    }
+  };
+
+  // Boundary / negative / injection cases for the selected endpoint, loaded as the dataset or downloaded as CSV
+  const generateBatchCases = (download = false) => {
+    if (!selectedEndpoint) return;
+    const rows = generateTestCases(selectedEndpoint);
+    const name = `${selectedEndpoint.operationId || `${selectedEndpoint.method}_${selectedEndpoint.path}`.replace(/[^\w]+/g, '_')}_cases`;
+    if (download) {
+      downloadFile(toCsvReport(rows), `${name}.csv`, 'text/csv');
+      return;
     }
+    const sheets = [{ name: 'Generated cases', rows }];
+    setBatchFile({ name: `${name}.csv` });
+    setBatchSheets(sheets);
+    setBatchError('');
+    selectBatchSheet(sheets, sheets[0].name);
+  };
+
+  const updateColumnMapping = (column, target) => {
+    setBatchColumnMap(map => ({ ...map, [column]: target }));
   };
   
   const clearBatchData = () => {
+    batchController.current?.cancel();
     setBatchFile(null);
+    setBatchSheets([]);
+    setBatchSheet('');
+    setBatchColumnMap({});
+    setBatchError('');
     setBatchData([]);
     setBatchResults([]);
     setBatchProgress(0);
@@ -522,155 +600,519 @@ export default function App() {
   };
 
   const runBatchTest = async () => {
-    if (!selectedEndpoint || batchData.length === 0) return;
+    const rows = mappedBatchData;
+    if (rows.length === 0 || (!selectedEndpoint && !hasRowTargets(rows))) return;
+    const defaultEndpoint = selectedEndpoint;
+    const endpoints = parsedSpec?.endpoints || [];
+    const controller = createBatchController();
+    batchController.current = controller;
     setBatchRunning(true);
+    setBatchPaused(false);
     setBatchResults([]);
-    
-    let results = [];
-    for (let i = 0; i < batchData.length; i++) {
-      const row = batchData[i];
-      const result = await executeRequest(selectedEndpoint, row, true);
-      
-      const resultRow = {
-        _rowIndex: i + 1,
-        ...row,
-        _status: result.status,
-        _success: result.success ? 'PASS' : 'FAIL',
-        // NO TRUNCATION HERE - Storing full response
-        _response: typeof result.data === 'object' ? JSON.stringify(result.data) : String(result.data)
-      };
-      
-      results.push(resultRow);
-      setBatchResults([...results]); // Update UI progressively
-      setBatchProgress(Math.round(((i + 1) / batchData.length) * 100));
+    setBatchProgress(0);
+    setBatchRunInfo({ startedAt: new Date().toISOString(), finishedAt: null });
+
+    let completed = 0;
+    try {
+      await runDataset(requestEngine(), rows, {
+        endpoints,
+        defaultEndpoint,
+        options: batchOptions,
+        controller,
+        // Rows finish out of order when running concurrently; keep the table in CSV order
+        onResults: (finished) => {
+          completed += finished.length;
+          setBatchResults(prev => [...prev, ...finished].sort((a, b) => a._rowIndex - b._rowIndex));
+          setBatchProgress(Math.round((completed / rows.length) * 100));
+        }
+      });
+    } catch (err) {
+      setBatchError(err.message);
+    } finally {
+      batchController.current = null;
+      setBatchRunning(false);
+      setBatchPaused(false);
+      setBatchRunInfo(info => ({ ...info, finishedAt: new Date().toISOString() }));
     }
-    setBatchRunning(false);
   };
 
-  const downloadBatchResults = () => {
+  const toggleBatchPause = () => {
+    const controller = batchController.current;
+    if (!controller) return;
+    if (controller.isPaused()) controller.resume();
+    else controller.pause();
+    setBatchPaused(controller.isPaused());
+  };
+
+  const cancelBatchRun = () => {
+    batchController.current?.cancel();
+  };
+
+  const updateBatchOption = (key, value) => {
+    setBatchOptions(opts => ({ ...opts, [key]: Math.max(0, Number(value) || 0) }));
+  };
+
+  const exportBatchResults = (format) => {
     if (batchResults.length === 0) return;
-    const headers = Object.keys(batchResults[0]);
-    
-    // Helper to escape CSV values safely for Excel/CSV readers
-    const escapeCsv = (val) => {
-      if (val === null || val === undefined) return '';
-      const stringVal = String(val);
-      // If it contains quotes, commas, or newlines, wrap in quotes and escape internal quotes
-      if (stringVal.includes('"') || stringVal.includes(',') || stringVal.includes('\n')) {
-        return `"${stringVal.replace(/"/g, '""')}"`; 
-      }
-      return stringVal;
+    const meta = {
+      title: `${parsedSpec?.info?.title || 'API'} batch report`,
+      spec: parsedSpec?.info?.title,
+      environment: config.name,
+      baseUrl: config.baseUrl,
+      file: batchFile?.name,
+      startedAt: batchRunInfo.startedAt,
+      finishedAt: batchRunInfo.finishedAt
     };
-
-    const csvContent = [
-      headers.join(','),
-      ...batchResults.map(row => headers.map(h => escapeCsv(row[h])).join(','))
-    ].join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `test_results_${new Date().toISOString().slice(0,10)}.csv`;
-    a.click();
+    if (format === 'postman' || format === 'har') {
+      exportSession(batchExchanges(batchResults, batchRunInfo.startedAt), format, 'batch_run');
+      return;
+    }
+    const report = renderBatchReport(batchResults, format, meta, { secretNames: apiKeyNames(parsedSpec?.securitySchemes) });
+    downloadFile(report.content, report.fileName, report.type);
   };
 
   // --- RENDER HELPERS ---
 
-  const UrlConfigInput = () => (
+  const renderUrlConfig = () => (
     <div className="bg-white p-2 px-4 rounded-lg border border-slate-200 shadow-sm flex items-center gap-3 mb-4 transition-shadow focus-within:ring-2 focus-within:ring-blue-100 focus-within:border-blue-300">
       <div className="flex items-center gap-2 text-slate-500">
         <Globe size={16} />
         <span className="text-sm font-medium whitespace-nowrap">Base URL:</span>
       </div>
-      <input
-        type="text"
-        className="flex-1 border-none focus:ring-0 text-sm font-mono text-slate-700 bg-transparent placeholder-slate-400 outline-none h-full py-1"
-        placeholder="https://api.example.com"
-        value={config.baseUrl}
-        onChange={(e) => setConfig({ ...config, baseUrl: e.target.value })}
-      />
+      {config.mock ? (
+        <span className="flex-1 text-sm font-mono text-purple-700 py-1 truncate" title={mockError || 'Requests go to the spec mock'}>
+          {config.mockUrl ? mockBaseUrl(config.mockUrl) : 'Mock server (this dev server, or npm run mock)'}
+          {mockError && <span className="ml-2 font-sans text-xs text-red-600">{mockError}</span>}
+        </span>
+      ) : (
+        <input
+          type="text"
+          className="flex-1 border-none focus:ring-0 text-sm font-mono text-slate-700 bg-transparent placeholder-slate-400 outline-none h-full py-1"
+          placeholder="https://api.example.com"
+          value={config.baseUrl}
+          onChange={(e) => updateConfig({ baseUrl: e.target.value })}
+        />
+      )}
+      <button
+        onClick={() => updateConfig({ mock: !config.mock })}
+        className={`px-2 py-0.5 text-xs rounded-full border whitespace-nowrap ${config.mock ? 'bg-purple-100 text-purple-700 border-purple-200' : 'text-slate-500 border-slate-200 hover:bg-slate-50'}`}
+        title="Answer requests from the spec's examples and schemas instead of the real API"
+      >
+        Mock {config.mock ? 'on' : 'off'}
+      </button>
+      <span className="px-2 py-0.5 bg-slate-100 text-slate-500 text-xs rounded-full border border-slate-200 whitespace-nowrap">
+        {config.name}
+      </span>
     </div>
   );
 
-  const renderEndpointFields = (ep) => {
-    const fields = [];
+  // Mock server overrides for one endpoint (only while the environment is in mock mode)
+  const renderMockOverrides = (endpoint) => {
+    const override = { ...DEFAULT_MOCK_OVERRIDE, ...mockOverrides[endpoint.id] };
+    const statuses = listMockStatuses(endpoint);
+    const update = (patch) => updateMockOverride(endpoint.id, patch);
+    const number = (value) => Math.max(0, Number(value) || 0);
+    return (
+      <div className="mt-6 pt-4 border-t border-slate-100">
+        <h3 className="text-sm font-semibold text-slate-800 uppercase tracking-wider mb-3">Mock Response</h3>
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          <label className="block">
+            <span className="block text-xs text-slate-500 mb-1">Status</span>
+            <select
+              className="rounded-md border-slate-300 border p-2 text-sm bg-white"
+              value={override.status}
+              onChange={(e) => update({ status: Number(e.target.value) })}
+            >
+              <option value={0}>Default ({defaultMockStatus(endpoint)})</option>
+              {statuses.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block text-xs text-slate-500 mb-1">Latency (ms)</span>
+            <input
+              type="number"
+              min="0"
+              className="w-28 rounded-md border-slate-300 border p-2 text-sm"
+              value={override.delayMs}
+              onChange={(e) => update({ delayMs: number(e.target.value) })}
+            />
+          </label>
+          <label className="block">
+            <span className="block text-xs text-slate-500 mb-1">Error rate (%)</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              className="w-24 rounded-md border-slate-300 border p-2 text-sm"
+              value={override.errorRate}
+              onChange={(e) => update({ errorRate: Math.min(100, number(e.target.value)) })}
+            />
+          </label>
+          <label className="block">
+            <span className="block text-xs text-slate-500 mb-1">Error status</span>
+            <input
+              type="number"
+              min="0"
+              className="w-24 rounded-md border-slate-300 border p-2 text-sm disabled:bg-slate-50"
+              value={override.errorStatus}
+              disabled={!override.errorRate}
+              onChange={(e) => update({ errorStatus: number(e.target.value) })}
+            />
+          </label>
+        </div>
+        <p className="text-xs text-slate-400 mt-2">
+          Error status 0 drops the connection instead. A request can also pick a response with a
+          <code className="bg-slate-100 px-1 rounded mx-1">Prefer: code=404, example=name, dynamic=true</code>header.
+        </p>
+      </div>
+    );
+  };
+
+  // Which security requirement(s) the spec declares for an operation
+  // pm.test results, script errors and console output of the endpoint's Postman scripts
+  const renderScriptResults = ({ tests, logs, error }) => {
+    if (tests.length === 0 && logs.length === 0 && !error) return null;
+    const failed = tests.filter(t => !t.passed).length;
+    return (
+      <div className={`px-4 py-3 border-b text-xs ${failed || error ? 'bg-red-50 border-red-100' : 'bg-green-50 border-green-100'}`}>
+        {tests.length > 0 && (
+          <p className={`font-semibold mb-2 ${failed ? 'text-red-700' : 'text-green-700'}`}>
+            Tests: {tests.length - failed}/{tests.length} passed
+          </p>
+        )}
+        <ul className="space-y-1">
+          {tests.map((test, i) => (
+            <li key={i} className="flex items-start gap-2">
+              {test.passed ? <CheckCircle size={14} className="text-green-600 shrink-0" /> : <XCircle size={14} className="text-red-600 shrink-0" />}
+              <span className="text-slate-700">{test.name}</span>
+              {!test.passed && <span className="text-red-600">{test.error}</span>}
+            </li>
+          ))}
+        </ul>
+        {error && <p className="mt-2 text-red-700 flex items-center gap-2"><AlertCircle size={14} /> Script error: {error}</p>}
+        {logs.length > 0 && (
+          <pre className="mt-2 p-2 bg-white border border-slate-200 rounded font-mono text-slate-600 max-h-32 overflow-auto">
+            {logs.map(l => `${l.level === 'log' ? '' : `[${l.level}] `}${l.text}`).join('\n')}
+          </pre>
+        )}
+      </div>
+    );
+  };
+
+  const renderSecurityInfo = (ep) => {
+    const schemes = parsedSpec?.securitySchemes || {};
+    if (!Array.isArray(ep.security) || Object.keys(schemes).length === 0) return null;
+    const label = ep.security.length === 0
+      ? 'No auth'
+      : ep.security.map(req => Object.keys(req).join(' + ') || 'none').join(' or ');
+    const title = ep.security.flatMap(req => Object.keys(req)).map(name => `${name}: ${describeScheme(schemes[name])}`).join('\n');
+    return (
+      <p className="text-xs text-slate-500 mt-1 flex items-center gap-1" title={title}>
+        <Lock size={12} /> {label}
+      </p>
+    );
+  };
+
+  // Pass/fail counts, latency percentiles and a status-code histogram for the results console
+  const renderBatchSummary = () => {
+    const summary = summarizeBatch(batchResults);
+    const statusCodes = Object.keys(summary.statuses).sort();
+    const maxCount = Math.max(...Object.values(summary.statuses));
+    const stat = (label, value, className = 'text-slate-800') => (
+      <div>
+        <div className={`text-lg font-bold ${className}`}>{value}</div>
+        <div className="text-[11px] uppercase text-slate-400">{label}</div>
+      </div>
+    );
+
+    return (
+      <div className="p-4 border-b border-slate-100 flex flex-wrap gap-6 items-start">
+        <div className="flex gap-5">
+          {stat('Passed', summary.passed, 'text-green-600')}
+          {stat('Failed', summary.failed, summary.failed ? 'text-red-600' : 'text-slate-400')}
+          {summary.timeouts > 0 && stat('Timeouts', summary.timeouts, 'text-orange-600')}
+          {summary.cancelled > 0 && stat('Cancelled', summary.cancelled, 'text-slate-500')}
+        </div>
+        <div className="flex gap-5 border-l border-slate-100 pl-6">
+          {stat('p50', `${summary.latency.p50}ms`)}
+          {stat('p95', `${summary.latency.p95}ms`)}
+          {stat('max', `${summary.latency.max}ms`)}
+        </div>
+        <div className="flex-1 min-w-[10rem] border-l border-slate-100 pl-6 space-y-1">
+          {statusCodes.map(code => (
+            <div key={code} className="flex items-center gap-2 text-xs">
+              <span className="w-14 font-mono text-slate-600">{code}</span>
+              <div className="flex-1 bg-slate-100 rounded h-2">
+                <div
+                  className={`h-2 rounded ${code.startsWith('2') ? 'bg-green-500' : code.startsWith('4') ? 'bg-amber-500' : 'bg-red-500'}`}
+                  style={{ width: `${(summary.statuses[code] / maxCount) * 100}%` }}
+                />
+              </div>
+              <span className="w-10 text-right text-slate-500">{summary.statuses[code]}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // First rows of the data file, with a column -> field mapping picker per column
+  const renderBatchPreview = () => {
+    const columns = getColumns(batchData);
+    const fieldPaths = selectedEndpoint ? listFieldPaths(selectedEndpoint) : [];
+    const targets = [...new Set([...fieldPaths, ...RESERVED_BATCH_COLUMNS])];
+    const cell = (value) => {
+      const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+      return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+    };
+
+    return (
+      <Card className="overflow-hidden">
+        <div className="p-4 border-b border-slate-100 bg-slate-50">
+          <h3 className="font-semibold text-slate-700">Data Preview</h3>
+          <p className="text-xs text-slate-500 mt-1">
+            Check the first rows and map columns onto parameters / body fields. Unmapped columns are sent under their own name.
+          </p>
+        </div>
+        <div className="overflow-auto">
+          <table className="text-left text-xs">
+            <thead className="bg-slate-50 text-slate-500">
+              <tr>
+                {columns.map(column => (
+                  <th key={column} className="p-2 font-medium align-top min-w-[9rem]">
+                    <div className="font-mono text-slate-700 mb-1">{column}</div>
+                    <select
+                      className={`w-full rounded border p-1 text-xs font-normal ${batchColumnMap[column] === IGNORE_COLUMN ? 'border-slate-200 text-slate-400' : batchColumnMap[column] ? 'border-blue-300 text-blue-700' : 'border-slate-200'}`}
+                      value={batchColumnMap[column] || ''}
+                      onChange={(e) => updateColumnMapping(column, e.target.value)}
+                    >
+                      <option value="">{fieldPaths.includes(column) || column.startsWith('_') ? 'as is' : 'as is (no match)'}</option>
+                      <option value={IGNORE_COLUMN}>ignore column</option>
+                      {targets.filter(t => t !== column).map(t => <option key={t} value={t}>→ {t}</option>)}
+                    </select>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {batchData.slice(0, 5).map((row, i) => (
+                <tr key={i}>
+                  {columns.map(column => (
+                    <td key={column} className={`p-2 font-mono ${batchColumnMap[column] === IGNORE_COLUMN ? 'text-slate-300' : 'text-slate-600'}`}>
+                      {cell(row[column])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {batchData.length > 5 && (
+          <div className="px-4 py-2 text-xs text-slate-400 border-t border-slate-100">…and {batchData.length - 5} more rows</div>
+        )}
+      </Card>
+    );
+  };
+
+  const renderBatchRow = (row) => (
+    <tr key={row._rowIndex} className="hover:bg-slate-50">
+      <td className="p-3 text-slate-500">{row._rowIndex}</td>
+      <td className="p-3">
+        <span className={`px-2 py-1 rounded text-xs font-bold ${row._status >= 200 && row._status < 300 ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+          {row._status || (row._success === 'TIMEOUT' ? 'TIMEOUT' : 'ERR')}
+        </span>
+      </td>
+      <td className="p-3 max-w-[14rem]">
+        <span className={`px-2 py-1 rounded text-xs font-bold ${OUTCOME_STYLES[row._success] || OUTCOME_STYLES.FAIL}`}>
+          {row._success}
+        </span>
+        {row._attempts > 1 && (
+          <span className="ml-1 text-[11px] text-slate-400">{row._attempts} attempts</span>
+        )}
+        {row._success === 'FAIL' && (
+          <p className="mt-1 text-[11px] text-red-600 truncate" title={row._assertions}>{row._assertions}</p>
+        )}
+      </td>
+      <td className="p-3">
+        <span
+          className={`px-2 py-1 rounded text-xs font-bold ${row._schema === 'PASS' ? 'bg-green-100 text-green-700' : row._schema === 'N/A' ? 'bg-slate-100 text-slate-500' : 'bg-amber-100 text-amber-700'}`}
+          title={row._schema}
+        >
+          {row._schema === 'PASS' || row._schema === 'N/A' ? row._schema : 'FAIL'}
+        </span>
+      </td>
+      <td className="p-3 text-slate-600 font-mono text-xs max-w-xs truncate" title={row._response}>
+        {row._response}
+      </td>
+      <td className="p-3 text-slate-400 text-xs">
+        {row[CASE_COLUMN]
+          ? <span className="text-slate-600" title={row[CASE_COLUMN]}>{row[CASE_COLUMN].slice(0, 40)}</span>
+          : `${Object.keys(row).filter(k => !k.startsWith('_')).map(k => `${k}:${row[k]}`).join(', ').slice(0, 30)}...`}
+      </td>
+    </tr>
+  );
 
-    // Path Params
-    ep.parameters?.forEach(p => {
-      fields.push({
+  const renderEndpointFields = (ep) => {
+    // Path, query, header and cookie params; arrays / objects get the nested body widgets
+    const fields = (ep.parameters || []).map(p => {
+      const required = p.required || p.in === 'path'; // Path params are effectively always required
+      const schema = getParamSchema(p);
+      const tree = buildFieldTree(schema, ep.definitions, { name: p.name, required });
+      return {
+        param: p,
         name: p.name,
-        label: `${p.name} (Path)`,
-        required: p.required || p.in === 'path', // Path params are effectively always required
-        type: 'text',
+        label: `${p.name} (${PARAM_LOCATIONS[p.in] || p.in})`,
+        required,
+        schema,
+        tree: tree.kind === 'primitive' ? null : tree,
         desc: p.description
-      });
+      };
     });
+    // The form keeps arrays / objects as edited; text from CSV, history or examples is parsed for display
+    const paramFieldValue = (f) => {
+      const raw = formData[f.name];
+      if (f.tree.kind === 'json' || (raw !== null && typeof raw === 'object')) return raw;
+      return parseParamValue(f.param, raw, ep.definitions);
+    };
 
-    // Query Params
-    ep.parameters?.forEach(p => {
-      if (p.in === 'query') {
-        fields.push({
-          name: p.name,
-          label: `${p.name} (Query)`,
-          required: p.required || false,
-          type: 'text',
-          desc: p.description
-        });
-      }
-    });
+    const mediaTypes = hasRequestBody(ep) ? listMediaTypes(ep) : [];
+    const mediaType = bodyMediaType(ep, formData);
+    const rawBody = isRawBody(ep, mediaType);
+    const bodyTree = getBodyTree(ep, mediaType);
 
-    // Body Fields (Simplified flat structure)
-    if (['post', 'put', 'patch'].includes(ep.method) && ep.requestBody) {
-      const schema = ep.requestBody.content?.['application/json']?.schema;
-      if (schema) {
-        const bodyFields = extractFieldsFromSchema(schema, ep.definitions);
-        bodyFields.forEach(f => {
-          fields.push({
-            name: f.name,
-            label: f.name,
-            required: f.required,
-            type: f.type === 'integer' ? 'number' : 'text',
-            desc: f.description,
-            isBody: true
-          });
-        });
-      }
-    }
+    if (fields.length === 0 && !bodyTree && !rawBody) return <div className="text-slate-400 italic">No parameters required.</div>;
 
-    if (fields.length === 0) return <div className="text-slate-400 italic">No parameters required.</div>;
+    // Editing a field clears its (and its children's) validation errors
+    const clearErrors = (name) => setFormErrors(prev => {
+      const next = { ...prev };
+      Object.keys(next).forEach(key => {
+        if (key === name || key.startsWith(`${name}.`)) delete next[key];
+      });
+      return next;
+    });
+    const updateField = (name, value) => {
+      setFormData(prev => ({ ...prev, [name]: value }));
+      clearErrors(name);
+    };
+    const bodyProps = {
+      variants: formData._variants,
+      onVariantChange: (path, idx) => setFormData(prev => ({ ...prev, _variants: { ...prev._variants, [path]: idx } })),
+      errors: formErrors
+    };
 
     return (
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        {fields.map((f, i) => (
+        {fields.map((f, i) => f.tree ? (
+          <SchemaField
+            key={i}
+            node={f.tree}
+            label={f.label}
+            value={paramFieldValue(f)}
+            onChange={(v) => updateField(f.name, v)}
+            path={f.name}
+            {...bodyProps}
+          />
+        ) : (
           <div key={i}>
-            <div className="flex justify-between items-baseline mb-1">
-              <label className="text-sm font-medium text-slate-700 flex items-center">
-                {f.label}
-                {f.required ? (
-                   <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold bg-red-50 text-red-600 border border-red-100 uppercase tracking-wide">Required</span>
-                ) : (
-                   <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold bg-slate-50 text-slate-500 border border-slate-200 uppercase tracking-wide">Optional</span>
-                )}
-              </label>
-              {f.isBody && <span className="text-[10px] text-slate-400 font-mono">BODY</span>}
-            </div>
-            <input
-              type={f.type}
-              className={`w-full rounded-md border shadow-sm p-2 text-sm transition-colors ${f.required ? 'border-slate-300 focus:border-red-500 focus:ring-1 focus:ring-red-500' : 'border-slate-300 focus:border-blue-500 focus:ring-1 focus:ring-blue-500'}`}
-              placeholder={f.desc || `Enter ${f.name}`}
-              value={formData[f.name] || ''}
-              onChange={(e) => setFormData({ ...formData, [f.name]: e.target.value })}
+            <FieldLabel label={f.label} required={f.required} />
+            <PrimitiveInput
+              schema={f.schema}
+              name={f.name}
+              required={f.required}
+              value={formData[f.name]}
+              onChange={(v) => updateField(f.name, v)}
+              placeholder={f.desc}
+              invalid={!!formErrors[f.name]}
             />
+            <FieldErrors errors={formErrors[f.name]} />
             {f.desc && <p className="text-xs text-slate-500 mt-1 truncate" title={f.desc}>{f.desc}</p>}
           </div>
         ))}
+
+        {/* Body media type: the fields below follow the chosen type's schema */}
+        {mediaTypes.length > 0 && (
+          <div className="md:col-span-2 flex items-center gap-3 border-t border-slate-100 pt-4">
+            <label className="text-sm font-medium text-slate-700">Content-Type</label>
+            <select
+              className="rounded-md border border-slate-300 shadow-sm p-1.5 text-sm font-mono bg-white"
+              value={mediaType}
+              disabled={mediaTypes.length === 1}
+              onChange={(e) => {
+                const type = e.target.value;
+                // Switching to a raw type starts from that type's example
+                const example = isRawBody(ep, type) ? mediaExample(ep.requestBody.content[type]) : undefined;
+                setFormData(prev => ({
+                  ...prev,
+                  _contentType: type,
+                  ...(example !== undefined && !(typeof prev._body === 'string' && prev._body.trim()) ? { _body: example } : {})
+                }));
+                setFormErrors({});
+              }}
+            >
+              {mediaTypes.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </div>
+        )}
+
+        {rawBody && (
+          <div className="md:col-span-2">
+            <FieldLabel label="Request Body" required={ep.requestBody.required} tag="BODY" />
+            <textarea
+              className={`w-full h-48 rounded-md border shadow-sm p-2 font-mono text-xs ${formErrors._body ? 'border-red-400 bg-red-50/30' : 'border-slate-300'}`}
+              value={typeof formData._body === 'string' ? formData._body : ''}
+              onChange={(e) => updateField('_body', e.target.value)}
+              placeholder={mediaType.includes('xml') ? '<?xml version="1.0"?>' : 'Raw request body'}
+              spellCheck={false}
+            />
+            <FieldErrors errors={formErrors._body} />
+          </div>
+        )}
+
+        {/* Body Fields (nested objects, arrays and oneOf/anyOf variants) */}
+        {bodyTree && bodyTree.kind === 'object' && bodyTree.children.map(child => (
+          <SchemaField
+            key={`body-${child.name}`}
+            node={child}
+            tag="BODY"
+            value={formData[child.name]}
+            onChange={(v) => updateField(child.name, v)}
+            path={child.name}
+            {...bodyProps}
+          />
+        ))}
+        {bodyTree && bodyTree.kind !== 'object' && (
+          <SchemaField
+            node={bodyTree}
+            label="Request Body"
+            tag="BODY"
+            value={isTopLevelBody(bodyTree) ? formData : formData._body}
+            onChange={(v) => {
+              if (isTopLevelBody(bodyTree)) {
+                setFormData(prev => ({ ...prev, ...v }));
+                setFormErrors({});
+              } else {
+                updateField('_body', v);
+              }
+            }}
+            path=""
+            {...bodyProps}
+          />
+        )}
       </div>
     );
   };
 
   // --- RENDER ---
 
+  // Rows may name their own endpoint (_operationId / _method + _path)
+  const batchMultiTarget = hasRowTargets(mappedBatchData);
+  const canRunBatch = batchData.length > 0 && (!!selectedEndpoint || batchMultiTarget);
+  const batchGroups = groupResultsByEndpoint(batchResults);
+  const search = manualSearch.toLowerCase();
+  const sidebarEndpoints = (parsedSpec?.endpoints || []).filter(ep => (
+    ep.path.toLowerCase().includes(search) || ep.summary.toLowerCase().includes(search) || ep.group?.toLowerCase().includes(search)
+  ));
+
   return (
     <div className="min-h-screen bg-slate-50 font-sans text-slate-900 flex flex-col">
       {/* Header */}
@@ -686,7 +1128,27 @@ export default function App() {
             For QA & BA
           </span>
         </div>
-        <div className="flex gap-2">
+        <div className="flex gap-2 items-center">
+          <div className="flex items-center gap-1 text-slate-500" title="Workspace">
+            <Briefcase size={14} />
+            <select
+              className="text-sm border border-slate-200 rounded-md px-2 py-1.5 bg-white text-slate-700 focus:outline-none focus:border-blue-400 max-w-[10rem]"
+              value={workspaceId || ''}
+              onChange={(e) => switchWorkspace(e.target.value)}
+            >
+              {workspaces.map(w => <option key={w.id} value={w.id}>{w.name || 'Untitled'}</option>)}
+            </select>
+          </div>
+          <div className="flex items-center gap-1 mr-2 text-slate-500" title="Active environment">
+            <Globe size={14} />
+            <select
+              className="text-sm border border-slate-200 rounded-md px-2 py-1.5 bg-white text-slate-700 focus:outline-none focus:border-blue-400"
+              value={config.id}
+              onChange={(e) => changeActiveEnv(e.target.value)}
+            >
+              {environments.map(env => <option key={env.id} value={env.id}>{env.name || 'Untitled'}</option>)}
+            </select>
+          </div>
           {parsedSpec && (
             <>
               <button 
@@ -701,6 +1163,18 @@ export default function App() {
               >
                 Batch Test
               </button>
+              <button 
+                onClick={() => setActiveTab('scenarios')}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'scenarios' ? 'bg-blue-50 text-blue-700 border border-blue-200' : 'text-slate-600 hover:bg-slate-50'}`}
+              >
+                Scenarios
+              </button>
+              <button 
+                onClick={() => setActiveTab('history')}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'history' ? 'bg-blue-50 text-blue-700 border border-blue-200' : 'text-slate-600 hover:bg-slate-50'}`}
+              >
+                History
+              </button>
             </>
           )}
           <button 
@@ -717,20 +1191,70 @@ export default function App() {
         {/* SETUP TAB */}
         {activeTab === 'setup' && (
           <div className="max-w-3xl mx-auto space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <Card className="p-6">
+              <WorkspaceManager
+                workspaces={workspaces}
+                workspaceId={workspaceId}
+                name={workspaceName}
+                onSwitch={switchWorkspace}
+                onRename={handleRenameWorkspace}
+                onCreate={handleNewWorkspace}
+                onDelete={handleDeleteWorkspace}
+                onExport={handleExportWorkspace}
+                onImport={handleImportWorkspace}
+              />
+            </Card>
+
             <Card className="p-6">
               <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
                 <Database className="text-blue-500" />
                 Step 1: Import API Spec
               </h2>
               <p className="text-slate-500 text-sm mb-4">
-                Paste your <strong>OpenAPI/Swagger JSON</strong> OR <strong>Postman Collection JSON</strong> here.
+                Paste your <strong>OpenAPI/Swagger JSON or YAML</strong>, a <strong>Postman Collection</strong> or <strong>Insomnia export</strong>,
+                a <strong>HAR file</strong> or one or more <strong>cURL commands</strong> here, or drop the spec files / folder below.
               </p>
               <textarea
-                className="w-full h-48 font-mono text-xs bg-slate-50 border border-slate-300 rounded-md p-3 focus:ring-2 focus:ring-blue-500 outline-none"
-                placeholder='Paste JSON content here...'
+                className={`w-full h-48 font-mono text-xs bg-slate-50 border rounded-md p-3 focus:ring-2 focus:ring-blue-500 outline-none ${specDragOver ? 'border-blue-400 ring-2 ring-blue-200' : 'border-slate-300'}`}
+                placeholder='Paste JSON / YAML content here, or drop files...'
                 value={specInput}
-                onChange={(e) => setSpecInput(e.target.value)}
+                onChange={handleSpecInputChange}
+                onDragOver={(e) => { e.preventDefault(); setSpecDragOver(true); }}
+                onDragLeave={() => setSpecDragOver(false)}
+                onDrop={handleSpecDrop}
               />
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+                <label className="text-blue-600 hover:underline cursor-pointer flex items-center gap-1">
+                  <Upload size={12} /> Upload files
+                  <input type="file" multiple accept=".json,.yaml,.yml,.har" className="hidden" onChange={handleSpecUpload} />
+                </label>
+                <label className="text-blue-600 hover:underline cursor-pointer flex items-center gap-1">
+                  <FolderOpen size={12} /> Upload folder
+                  <input type="file" webkitdirectory="" className="hidden" onChange={handleSpecUpload} />
+                </label>
+                <span className="text-slate-400">Cross-file <code>$ref</code>s are resolved against the uploaded files.</span>
+              </div>
+              {Object.keys(specFiles).length > 0 && (
+                <div className="mt-3 p-3 bg-slate-50 border border-slate-200 rounded-md text-xs">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="font-medium text-slate-600">{Object.keys(specFiles).length} file(s) loaded</span>
+                    <button onClick={clearSpecFiles} className="text-slate-400 hover:text-red-500 flex items-center gap-1">
+                      <X size={12} /> Clear files
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {Object.keys(specFiles).sort().map(path => (
+                      <span
+                        key={path}
+                        className={`px-2 py-0.5 rounded font-mono border ${path === specRootPath ? 'bg-blue-50 text-blue-700 border-blue-200' : 'bg-white text-slate-500 border-slate-200'}`}
+                        title={path === specRootPath ? 'Entry document' : 'Referenced file'}
+                      >
+                        {path}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
               {error && (
                 <div className="mt-2 p-3 bg-red-50 text-red-600 text-sm rounded-md flex items-center gap-2">
                   <AlertCircle size={16} /> {error}
@@ -738,7 +1262,7 @@ export default function App() {
               )}
               <div className="mt-4 flex justify-end">
                 <button 
-                  onClick={handleSpecParse}
+                  onClick={() => handleSpecParse()}
                   className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md font-medium transition-colors shadow-sm flex items-center gap-2"
                 >
                   Parse Spec <ChevronRight size={16} />
@@ -746,34 +1270,35 @@ export default function App() {
               </div>
             </Card>
 
+            {parsedSpec && (
+              <Card className="p-6">
+                <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                  <GitCompare className="text-blue-500" />
+                  Compare Spec Versions
+                </h2>
+                <SpecDiffPanel
+                  spec={parsedSpec}
+                  previousSpec={previousSpec}
+                  batchData={mappedBatchData}
+                  scenarios={scenarios}
+                  defaultEndpoint={selectedEndpoint}
+                  onApply={applySpecVersion}
+                />
+              </Card>
+            )}
+
             <Card className="p-6">
               <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
                 <Lock className="text-blue-500" />
                 Step 2: Environment Settings
               </h2>
-              <div className="grid gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-1">Base URL</label>
-                  <input
-                    type="text"
-                    className="w-full rounded-md border-slate-300 border p-2 text-sm"
-                    placeholder="https://api.myservice.com"
-                    value={config.baseUrl}
-                    onChange={(e) => setConfig({...config, baseUrl: e.target.value})}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-1">Auth Token (Optional)</label>
-                  <input
-                    type="password"
-                    className="w-full rounded-md border-slate-300 border p-2 text-sm"
-                    placeholder="Bearer eyJhbGci..."
-                    value={config.token}
-                    onChange={(e) => setConfig({...config, token: e.target.value})}
-                  />
-                  <p className="text-xs text-slate-400 mt-1">Will be added to Authorization header automatically.</p>
-                </div>
-              </div>
+              <EnvironmentEditor
+                environments={environments}
+                activeEnvId={config.id}
+                onEnvironmentsChange={changeEnvironments}
+                onActiveChange={changeActiveEnv}
+                securitySchemes={parsedSpec?.securitySchemes}
+              />
             </Card>
           </div>
         )}
@@ -798,19 +1323,24 @@ export default function App() {
                   </div>
                 </div>
                 <div className="overflow-y-auto flex-1 p-2 space-y-1">
-                  {parsedSpec.endpoints
-                    .filter(ep => ep.path.toLowerCase().includes(manualSearch.toLowerCase()) || ep.summary.toLowerCase().includes(manualSearch.toLowerCase()))
-                    .map(ep => (
-                    <button
-                      key={ep.id}
-                      onClick={() => handleSelectEndpoint(ep)}
-                      className={`w-full text-left px-3 py-2 rounded-md text-sm transition-all flex items-center gap-2 ${selectedEndpoint?.id === ep.id ? 'bg-blue-50 border-blue-200 border' : 'hover:bg-slate-50 border border-transparent'}`}
-                    >
-                      <Badge method={ep.method} />
-                      <span className="truncate text-slate-600 font-medium" title={ep.path}>{ep.path}</span>
-                    </button>
+                  {sidebarEndpoints.map((ep, i) => (
+                    <React.Fragment key={ep.id}>
+                      {/* Postman folders become group headings */}
+                      {ep.group && ep.group !== sidebarEndpoints[i - 1]?.group && (
+                        <div className="px-2 pt-3 pb-1 text-[11px] font-semibold uppercase tracking-wider text-slate-400 flex items-center gap-1 truncate" title={ep.group}>
+                          <FolderOpen size={12} /> {ep.group}
+                        </div>
+                      )}
+                      <button
+                        onClick={() => handleSelectEndpoint(ep)}
+                        className={`w-full text-left px-3 py-2 rounded-md text-sm transition-all flex items-center gap-2 ${selectedEndpoint?.id === ep.id ? 'bg-blue-50 border-blue-200 border' : 'hover:bg-slate-50 border border-transparent'}`}
+                      >
+                        <Badge method={ep.method} />
+                        <span className="truncate text-slate-600 font-medium" title={ep.group ? `${ep.summary} - ${ep.path}` : ep.path}>{ep.path}</span>
+                      </button>
+                    </React.Fragment>
                   ))}
-                  {parsedSpec.endpoints.filter(ep => ep.path.toLowerCase().includes(manualSearch.toLowerCase())).length === 0 && (
+                  {sidebarEndpoints.length === 0 && (
                     <div className="p-4 text-center text-xs text-slate-400">No endpoints found.</div>
                   )}
                 </div>
@@ -819,7 +1349,7 @@ export default function App() {
 
             {/* Main Tester */}
             <div className="col-span-12 md:col-span-8 lg:col-span-9 space-y-6">
-              <UrlConfigInput />
+              {renderUrlConfig()}
               {selectedEndpoint ? (
                 <>
                   <Card className="p-6">
@@ -830,22 +1360,56 @@ export default function App() {
                           <h2 className="text-lg font-mono text-slate-800">{selectedEndpoint.path}</h2>
                         </div>
                         <p className="text-sm text-slate-500">{selectedEndpoint.summary}</p>
+                        {renderSecurityInfo(selectedEndpoint)}
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={showCodeSnippets}
+                          className="px-3 py-2 rounded-md text-sm font-medium text-slate-600 border border-slate-200 hover:bg-slate-50 flex items-center gap-2"
+                          title="Copy this request as cURL, fetch or HTTPie"
+                        >
+                          <Code size={16} /> Code
+                        </button>
+                        <button
+                          onClick={() => runManualTest()}
+                          disabled={loading}
+                          className={`px-6 py-2 rounded-md font-medium text-white shadow-sm flex items-center gap-2 ${loading ? 'bg-slate-400' : 'bg-green-600 hover:bg-green-700'}`}
+                        >
+                          {loading ? 'Sending...' : <><Play size={16} /> Send Request</>}
+                        </button>
                       </div>
-                      <button
-                        onClick={runManualTest}
-                        disabled={loading}
-                        className={`px-6 py-2 rounded-md font-medium text-white shadow-sm flex items-center gap-2 ${loading ? 'bg-slate-400' : 'bg-green-600 hover:bg-green-700'}`}
-                      >
-                        {loading ? 'Sending...' : <><Play size={16} /> Send Request</>}
-                      </button>
                     </div>
 
+                    {Object.keys(formErrors).length > 0 && (
+                      <div className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-md border border-red-100 flex justify-between items-center">
+                        <span className="flex items-center gap-2">
+                          <AlertCircle size={16} />
+                          {Object.keys(formErrors).length} field(s) failed validation. Fix them or send anyway for negative testing.
+                        </span>
+                        <button
+                          onClick={() => runManualTest(true)}
+                          className="text-xs font-medium text-red-700 hover:underline whitespace-nowrap"
+                        >
+                          Send anyway
+                        </button>
+                      </div>
+                    )}
+
                     <div className="mb-2">
                       <h3 className="text-sm font-semibold text-slate-800 uppercase tracking-wider mb-3">Parameters</h3>
                       {renderEndpointFields(selectedEndpoint)}
                     </div>
+                    {config.mock && renderMockOverrides(selectedEndpoint)}
                   </Card>
 
+                  {snippetRequest && (
+                    <CodeSnippets
+                      request={snippetRequest}
+                      context={environmentContext(config)}
+                      onClose={() => setSnippetRequest(null)}
+                    />
+                  )}
+
                   {/* Response Area */}
                   {manualResponse && (
                     <Card className={`p-0 overflow-hidden border-l-4 ${manualResponse.success ? 'border-l-green-500' : 'border-l-red-500'}`}>
@@ -857,22 +1421,39 @@ export default function App() {
                           <span className="text-xs text-slate-500">
                             {manualResponse.time}ms
                           </span>
+                          {manualResponse.size !== undefined && (
+                            <span className="text-xs text-slate-500">{formatBytes(manualResponse.size)}</span>
+                          )}
+                          {manualResponse.viaProxy && (
+                            <span className="text-xs text-slate-400 border border-slate-200 rounded px-1.5">via proxy</span>
+                          )}
                         </div>
-                        <span className="text-xs font-mono text-slate-400">JSON</span>
-                      </div>
-                      <div className="p-4 bg-slate-900 overflow-auto max-h-96">
-                         {manualResponse.isNetworkError && (
-                           <div className="mb-4 p-3 bg-yellow-900/30 text-yellow-200 text-sm rounded border border-yellow-700">
-                             <p className="font-bold flex items-center gap-2"><AlertCircle size={14}/> CORS / Network Error</p>
-                             <p className="mt-1 opacity-80">
-                               The browser blocked this request. Ensure the API supports CORS or use a browser extension to bypass CORS restrictions for testing.
-                             </p>
-                           </div>
-                         )}
-                         <pre className="text-green-400 font-mono text-xs">
-                           {typeof manualResponse.data === 'object' ? JSON.stringify(manualResponse.data, null, 2) : manualResponse.data}
-                         </pre>
+                        <span className="text-xs font-mono text-slate-400 truncate">{manualResponse.contentType?.split(';')[0]}</span>
                       </div>
+                      {manualResponse.scripts && renderScriptResults(manualResponse.scripts)}
+                      {manualResponse.schema?.checked && (
+                        manualResponse.schema.errors.length === 0 ? (
+                          <div className="px-4 py-2 bg-green-50 border-b border-green-100 text-xs text-green-700 flex items-center gap-2">
+                            <CheckCircle size={14} /> Response matches the <strong>{manualResponse.schema.statusKey}</strong> schema declared in the spec.
+                          </div>
+                        ) : (
+                          <div className="px-4 py-3 bg-amber-50 border-b border-amber-100 text-xs text-amber-800">
+                            <p className="font-semibold flex items-center gap-2 mb-2">
+                              <XCircle size={14} /> {manualResponse.schema.errors.length} schema violation(s)
+                              {manualResponse.schema.statusKey && <span className="font-normal">against the {manualResponse.schema.statusKey} response</span>}
+                            </p>
+                            <ul className="space-y-1 max-h-40 overflow-auto">
+                              {manualResponse.schema.errors.map((err, i) => (
+                                <li key={i} className="flex gap-2">
+                                  <code className="font-mono text-amber-900 bg-amber-100 px-1 rounded shrink-0">{err.path}</code>
+                                  <span>{err.message}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )
+                      )}
+                      <ResponseViewer response={manualResponse} />
                     </Card>
                   )}
                 </>
@@ -894,9 +1475,14 @@ export default function App() {
              <div className="flex items-center justify-between">
                 <div>
                   <h2 className="text-2xl font-bold text-slate-800">Batch Testing Runner</h2>
-                  <p className="text-slate-500">Run multiple test cases sequentially from a CSV file.</p>
+                  <p className="text-slate-500">Run many test cases from a CSV file, in parallel if you like.</p>
                 </div>
-                {selectedEndpoint && (
+                {batchMultiTarget ? (
+                   <div className="bg-white px-4 py-2 rounded-full border border-slate-200 shadow-sm flex items-center gap-2">
+                      <span className="text-xs text-slate-400 uppercase font-bold">Target:</span>
+                      <span className="text-sm">Per row</span>
+                   </div>
+                ) : selectedEndpoint && (
                    <div className="bg-white px-4 py-2 rounded-full border border-slate-200 shadow-sm flex items-center gap-2">
                       <span className="text-xs text-slate-400 uppercase font-bold">Target:</span>
                       <Badge method={selectedEndpoint.method} />
@@ -905,13 +1491,19 @@ export default function App() {
                 )}
              </div>
 
-             <UrlConfigInput />
+             {renderUrlConfig()}
 
              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 {/* Configuration Panel */}
                 <div className="md:col-span-1 space-y-6">
                    <Card className="p-6">
-                      <h3 className="font-semibold mb-4 text-slate-700">1. Select Endpoint</h3>
+                      <h3 className="font-semibold mb-4 text-slate-700">1. {batchMultiTarget ? 'Default Endpoint' : 'Select Endpoint'}</h3>
+                      {batchMultiTarget && (
+                        <p className="text-xs text-slate-500 -mt-2 mb-3">
+                          This file names endpoints per row (<code>_operationId</code> or <code>_method</code> + <code>_path</code>).
+                          Rows without a target use the endpoint below.
+                        </p>
+                      )}
                       <div className="mb-4">
                         <SearchableSelect
                           options={parsedSpec?.endpoints.map(ep => ({
@@ -940,19 +1532,61 @@ export default function App() {
                       <div className="border-2 border-dashed border-slate-300 rounded-lg p-6 text-center hover:bg-slate-50 transition-colors cursor-pointer relative group">
                         <input 
                           type="file" 
-                          accept=".csv"
+                          accept={DATA_FILE_ACCEPT}
                           onChange={handleBatchUpload}
                           className="absolute inset-0 opacity-0 cursor-pointer z-10"
                         />
                         <div className="transition-opacity group-hover:opacity-70">
                           <Upload className="mx-auto text-slate-400 mb-2" />
                           <p className="text-sm font-medium text-slate-600">
-                            {batchFile ? batchFile.name : "Click to upload CSV"}
+                            {batchFile ? batchFile.name : "Click to upload CSV, Excel or JSON"}
                           </p>
-                          <p className="text-xs text-slate-400 mt-1">Headers must match param names</p>
+                          <p className="text-xs text-slate-400 mt-1">Headers must match param names (nested: <code>address.city</code>, <code>items[0].sku</code>)</p>
+                          <p className="text-xs text-slate-400 mt-1">JSON / NDJSON rows can nest body values directly</p>
+                          <p className="text-xs text-slate-400 mt-1">Per-row target: <code>_operationId</code> or <code>_method</code> + <code>_path</code></p>
+                          <p className="text-xs text-slate-400 mt-1">Assertions: <code>_expect_status</code>, <code>_expect_body.$.path</code>, <code>_expect_contains</code>, <code>_max_ms</code></p>
                         </div>
                       </div>
 
+                      <div className="mt-3 flex gap-2">
+                        <button
+                          onClick={() => generateBatchCases()}
+                          disabled={!selectedEndpoint || batchRunning}
+                          className="flex-1 px-3 py-2 rounded-md text-sm font-medium text-slate-600 border border-slate-200 hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                          title="Happy path, boundary values, enum values, missing required fields, wrong types and injection strings, each with its expected status"
+                        >
+                          Generate cases
+                        </button>
+                        <button
+                          onClick={() => generateBatchCases(true)}
+                          disabled={!selectedEndpoint}
+                          className="px-3 py-2 rounded-md text-sm text-slate-600 border border-slate-200 hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                          title="Download the generated cases as CSV"
+                        >
+                          <Download size={14} /> CSV
+                        </button>
+                      </div>
+
+                      {batchError && (
+                        <div className="mt-4 p-3 bg-red-50 text-red-700 rounded-md text-sm flex items-start gap-2">
+                          <AlertCircle size={16} className="mt-0.5 shrink-0" /> {batchError}
+                        </div>
+                      )}
+
+                      {batchSheets.length > 1 && (
+                        <div className="mt-4">
+                          <label className="block text-xs font-medium text-slate-600 mb-1">Sheet</label>
+                          <select
+                            className="w-full rounded-md border-slate-300 border p-2 text-sm"
+                            value={batchSheet}
+                            onChange={(e) => selectBatchSheet(batchSheets, e.target.value)}
+                            disabled={batchRunning}
+                          >
+                            {batchSheets.map(sh => <option key={sh.name} value={sh.name}>{sh.name} ({sh.rows.length} rows)</option>)}
+                          </select>
+                        </div>
+                      )}
+
                       {batchData.length > 0 && (
                         <div className="mt-4 p-3 bg-blue-50 text-blue-700 rounded-md text-sm flex justify-between items-center">
                           <span>Loaded <strong>{batchData.length}</strong> rows.</span>
@@ -961,31 +1595,89 @@ export default function App() {
                       )}
                    </Card>
 
-                   <button
-                     onClick={runBatchTest}
-                     disabled={!selectedEndpoint || batchData.length === 0 || batchRunning}
-                     className={`w-full py-3 rounded-lg font-bold shadow-sm transition-all text-white flex justify-center items-center gap-2
-                       ${!selectedEndpoint || batchData.length === 0 
-                          ? 'bg-slate-300 cursor-not-allowed' 
-                          : batchRunning ? 'bg-orange-500' : 'bg-blue-600 hover:bg-blue-700 transform hover:-translate-y-0.5'
-                       }`}
-                   >
-                     {batchRunning ? 'Running...' : 'Start Batch Run'}
-                   </button>
+                   <Card className="p-6">
+                      <h3 className="font-semibold mb-4 text-slate-700">3. Run Settings</h3>
+                      <div className="grid grid-cols-2 gap-3">
+                        {[
+                          ['concurrency', 'Parallel requests', 1],
+                          ['rps', 'Max requests / sec', 0],
+                          ['retries', 'Retries', 0],
+                          ['timeoutMs', 'Timeout (ms)', 0]
+                        ].map(([key, label, min]) => (
+                          <div key={key}>
+                            <label className="block text-xs font-medium text-slate-600 mb-1">{label}</label>
+                            <input
+                              type="number"
+                              min={min}
+                              className="w-full rounded-md border-slate-300 border p-2 text-sm"
+                              value={batchOptions[key]}
+                              onChange={(e) => updateBatchOption(key, key === 'concurrency' ? Math.max(1, e.target.value) : e.target.value)}
+                              disabled={batchRunning}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      <p className="text-xs text-slate-400 mt-3">
+                        0 = no limit. 429, 5xx and network errors are retried with exponential backoff (or the server's Retry-After).
+                      </p>
+                   </Card>
+
+                   {batchRunning ? (
+                     <div className="flex gap-2">
+                       <button
+                         onClick={toggleBatchPause}
+                         className={`flex-1 py-3 rounded-lg font-bold shadow-sm text-white ${batchPaused ? 'bg-blue-600 hover:bg-blue-700' : 'bg-orange-500 hover:bg-orange-600'}`}
+                       >
+                         {batchPaused ? 'Resume' : 'Pause'}
+                       </button>
+                       <button
+                         onClick={cancelBatchRun}
+                         className="flex-1 py-3 rounded-lg font-bold shadow-sm text-white bg-red-500 hover:bg-red-600"
+                       >
+                         Cancel
+                       </button>
+                     </div>
+                   ) : (
+                     <button
+                       onClick={runBatchTest}
+                       disabled={!canRunBatch}
+                       className={`w-full py-3 rounded-lg font-bold shadow-sm transition-all text-white flex justify-center items-center gap-2
+                         ${!canRunBatch 
+                            ? 'bg-slate-300 cursor-not-allowed' 
+                            : 'bg-blue-600 hover:bg-blue-700 transform hover:-translate-y-0.5'
+                         }`}
+                     >
+                       Start Batch Run
+                     </button>
+                   )}
                 </div>
 
                 {/* Results Panel */}
-                <div className="md:col-span-2">
+                <div className="md:col-span-2 space-y-6">
+                  {batchData.length > 0 && batchResults.length === 0 && !batchRunning && renderBatchPreview()}
                   <Card className="h-full min-h-[500px] flex flex-col">
                     <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50 rounded-t-xl">
-                       <h3 className="font-semibold text-slate-700">Results Console</h3>
+                       <h3 className="font-semibold text-slate-700">
+                         Results Console
+                         {batchRunning && (
+                           <span className="ml-2 text-xs font-normal text-slate-500">
+                             {batchResults.length} / {batchData.length}{batchPaused && ' · paused'}
+                           </span>
+                         )}
+                       </h3>
                        {batchResults.length > 0 && !batchRunning && (
-                         <button 
-                           onClick={downloadBatchResults}
-                           className="text-sm text-blue-600 hover:underline flex items-center gap-1"
-                         >
-                           <Download size={14} /> Download CSV
-                         </button>
+                         <div className="flex items-center gap-3">
+                           <span className="text-xs text-slate-400 flex items-center gap-1"><Download size={14} /> Export:</span>
+                           {[['csv', 'CSV'], ['html', 'HTML report'], ['junit', 'JUnit XML'], ['json', 'JSON'], ['postman', 'Postman'], ['har', 'HAR']].map(([format, label]) => (
+                             <button
+                               key={format}
+                               onClick={() => exportBatchResults(format)}
+                               className="text-sm text-blue-600 hover:underline"
+                             >
+                               {label}
+                             </button>
+                           ))}
+                         </div>
                        )}
                     </div>
 
@@ -999,6 +1691,8 @@ export default function App() {
                       </div>
                     )}
 
+                    {batchResults.length > 0 && renderBatchSummary()}
+
                     <div className="flex-1 overflow-auto p-0">
                       {batchResults.length === 0 ? (
                         <div className="flex flex-col items-center justify-center h-full text-slate-400 opacity-50">
@@ -1011,27 +1705,25 @@ export default function App() {
                             <tr>
                               <th className="p-3 font-medium">#</th>
                               <th className="p-3 font-medium">Status</th>
+                              <th className="p-3 font-medium">Outcome</th>
+                              <th className="p-3 font-medium">Schema</th>
                               <th className="p-3 font-medium">Result</th>
                               <th className="p-3 font-medium">Data Preview</th>
                             </tr>
                           </thead>
                           <tbody className="divide-y divide-slate-100">
-                            {batchResults.map((row, idx) => (
-                              <tr key={idx} className="hover:bg-slate-50">
-                                <td className="p-3 text-slate-500">{row._rowIndex}</td>
-                                <td className="p-3">
-                                  <span className={`px-2 py-1 rounded text-xs font-bold ${row._status >= 200 && row._status < 300 ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                                    {row._status || 'ERR'}
-                                  </span>
-                                </td>
-                                <td className="p-3 text-slate-600 font-mono text-xs max-w-xs truncate" title={row._response}>
-                                  {row._response}
-                                </td>
-                                <td className="p-3 text-slate-400 text-xs">
-                                  {Object.keys(row).filter(k => !k.startsWith('_')).map(k => `${k}:${row[k]}`).join(', ').slice(0, 30)}...
-                                </td>
-                              </tr>
-                            ))}
+                            {batchGroups.length > 1
+                              ? batchGroups.flatMap(group => [
+                                  <tr key={`group-${group.label}`} className="bg-slate-100">
+                                    <td colSpan={6} className="px-3 py-2">
+                                      <span className="font-mono text-xs font-semibold text-slate-700">{group.label}</span>
+                                      <span className="ml-3 text-xs text-green-700">{group.passed} passed</span>
+                                      <span className={`ml-2 text-xs ${group.failed ? 'text-red-600' : 'text-slate-400'}`}>{group.failed} failed</span>
+                                    </td>
+                                  </tr>,
+                                  ...group.rows.map(renderBatchRow)
+                                ])
+                              : batchResults.map(renderBatchRow)}
                           </tbody>
                         </table>
                       )}
@@ -1041,6 +1733,42 @@ export default function App() {
              </div>
           </div>
         )}
+
+        {/* HISTORY TAB */}
+        {activeTab === 'history' && parsedSpec && (
+          <div className="space-y-6">
+            <div>
+              <h2 className="text-2xl font-bold text-slate-800">Request History</h2>
+              <p className="text-slate-500">Every request sent from Manual, Batch and Scenario runs. Replay one into the form, or tick two to compare them.</p>
+            </div>
+            <HistoryPanel
+              history={history}
+              onReplay={replayHistoryEntry}
+              onClear={() => setHistory([])}
+              onExport={(entries, format) => exportSession(historyExchanges(entries), format, 'history')}
+            />
+          </div>
+        )}
+
+        {/* SCENARIOS TAB */}
+        {activeTab === 'scenarios' && parsedSpec && (
+          <div className="space-y-6">
+            <div>
+              <h2 className="text-2xl font-bold text-slate-800">Test Scenarios</h2>
+              <p className="text-slate-500">Chain requests into flows and pass values from one response into the next step.</p>
+            </div>
+            {renderUrlConfig()}
+            <ScenariosTab
+              endpoints={parsedSpec.endpoints}
+              scenarios={scenarios}
+              onScenariosChange={setScenarios}
+              runs={scenarioRuns}
+              onRunsChange={setScenarioRuns}
+              executeRequest={(endpoint, data) => executeRequest(endpoint, data, 'scenario')}
+              context={environmentContext(config)}
+            />
+          </div>
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { KeyRound, RefreshCw } from 'lucide-react';
+import { describeScheme, pickOAuthFlow, getOAuthToken, SUPPORTED_OAUTH_FLOWS } from '../utils/auth.js';
+import { environmentContext } from '../utils/environments.js';
+import { resolveProxy, proxiedFetch } from '../utils/proxy.js';
+
+const inputClass = 'w-full rounded-md border-slate-300 border p-2 text-sm';
+
+const TextField = ({ label, value, onChange, type = 'text', placeholder }) => (
+  <div>
+    <label className="block text-xs font-medium text-slate-600 mb-1">{label}</label>
+    <input type={type} className={inputClass} placeholder={placeholder} value={value || ''} onChange={(e) => onChange(e.target.value)} />
+  </div>
+);
+
+function OAuthFields({ scheme, creds, set, env }) {
+  const [status, setStatus] = useState(null);
+  const flows = Object.keys(scheme.flows || {});
+  const flow = pickOAuthFlow(scheme, creds);
+  const supported = SUPPORTED_OAUTH_FLOWS.includes(flow);
+
+  const testToken = async () => {
+    setStatus({ loading: true });
+    try {
+      const fetchImpl = proxiedFetch(await resolveProxy(env));
+      const { accessToken } = await getOAuthToken(scheme, creds, environmentContext(env), { fetchImpl, forceRefresh: true });
+      setStatus({ ok: true, message: `Token received (${accessToken.slice(0, 12)}…)` });
+    } catch (e) {
+      setStatus({ ok: false, message: e.message });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {flows.length > 1 && (
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">Flow</label>
+          <select className={inputClass} value={flow} onChange={(e) => set({ flow: e.target.value })}>
+            {flows.map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
+        </div>
+      )}
+      {supported ? (
+        <>
+          <p className="text-xs text-slate-400 font-mono truncate">Token URL: {scheme.flows[flow].tokenUrl}</p>
+          <div className="grid grid-cols-2 gap-3">
+            <TextField label="Client ID" value={creds.clientId} onChange={(v) => set({ clientId: v })} />
+            <TextField label="Client Secret" type="password" value={creds.clientSecret} onChange={(v) => set({ clientSecret: v })} />
+            {flow === 'password' && (
+              <>
+                <TextField label="Username" value={creds.username} onChange={(v) => set({ username: v })} />
+                <TextField label="Password" type="password" value={creds.password} onChange={(v) => set({ password: v })} />
+              </>
+            )}
+            <TextField
+              label="Scopes"
+              value={creds.scopes ?? Object.keys(scheme.flows[flow].scopes || {}).join(' ')}
+              onChange={(v) => set({ scopes: v })}
+            />
+            <div>
+              <label className="block text-xs font-medium text-slate-600 mb-1">Send client credentials</label>
+              <select className={inputClass} value={creds.clientAuth || 'header'} onChange={(e) => set({ clientAuth: e.target.value })}>
+                <option value="header">As Basic auth header</option>
+                <option value="body">In request body</option>
+              </select>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={testToken}
+              disabled={!creds.clientId || status?.loading}
+              className="text-xs text-blue-600 hover:bg-blue-50 disabled:opacity-40 flex items-center gap-1 px-2 py-1 rounded border border-blue-200 transition-colors"
+            >
+              <RefreshCw size={12} className={status?.loading ? 'animate-spin' : ''} /> Get token
+            </button>
+            {status && !status.loading && (
+              <span className={`text-xs ${status.ok ? 'text-green-600' : 'text-red-600'}`}>{status.message}</span>
+            )}
+          </div>
+          <p className="text-xs text-slate-400">Tokens are fetched on first use, cached until they expire and refreshed automatically.</p>
+        </>
+      ) : (
+        <TextField
+          label={`Access token (${flow} needs a browser redirect - paste a token)`}
+          type="password"
+          value={creds.accessToken}
+          onChange={(v) => set({ accessToken: v })}
+          placeholder="eyJhbGci..."
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Credential forms for each security scheme the spec declares. Values are stored
+ * per environment under env.auth[schemeName] and may contain {{variables}}.
+ */
+export default function AuthSettings({ schemes, env, onChange }) {
+  const names = Object.keys(schemes || {});
+  if (names.length === 0) return null;
+
+  const auth = env.auth || {};
+  const setCreds = (name, patch) => onChange({ ...auth, [name]: { ...auth[name], ...patch } });
+
+  return (
+    <div className="space-y-3">
+      {names.map(name => {
+        const scheme = schemes[name];
+        const creds = auth[name] || {};
+        const set = (patch) => setCreds(name, patch);
+        const isBasic = scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic';
+
+        return (
+          <div key={name} className="border border-slate-200 rounded-md p-3 space-y-3">
+            <div className="flex items-center gap-2">
+              <KeyRound size={14} className="text-slate-400" />
+              <span className="text-sm font-medium text-slate-700">{name}</span>
+              <span className="text-xs text-slate-400">{describeScheme(scheme)}</span>
+            </div>
+            {scheme.description && <p className="text-xs text-slate-500">{scheme.description}</p>}
+
+            {scheme.type === 'apiKey' && (
+              <TextField label={`Value for ${scheme.name}`} type="password" value={creds.value} onChange={(v) => set({ value: v })} />
+            )}
+            {isBasic && (
+              <div className="grid grid-cols-2 gap-3">
+                <TextField label="Username" value={creds.username} onChange={(v) => set({ username: v })} />
+                <TextField label="Password" type="password" value={creds.password} onChange={(v) => set({ password: v })} />
+              </div>
+            )}
+            {scheme.type === 'oauth2' && <OAuthFields scheme={scheme} creds={creds} set={set} env={env} />}
+            {!isBasic && ['http', 'openIdConnect'].includes(scheme.type) && (
+              <TextField
+                label="Token (leave empty to use the environment's Auth Token)"
+                type="password"
+                value={creds.token}
+                onChange={(v) => set({ token: v })}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
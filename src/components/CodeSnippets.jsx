@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Terminal, Copy, Check, X } from 'lucide-react';
+import { Card } from './common.jsx';
+import { SNIPPET_FORMATS, templatizeRequest } from '../utils/exporters.js';
+
+/**
+ * The current request as a cURL / fetch / HTTPie snippet. "Keep {{variables}}" swaps
+ * environment values back to placeholders so the snippet can be shared.
+ */
+export default function CodeSnippets({ request, context, onClose }) {
+  const [format, setFormat] = useState('curl');
+  const [keepVariables, setKeepVariables] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const shown = keepVariables ? templatizeRequest(request, context).request : request;
+  const code = SNIPPET_FORMATS.find(f => f.id === format).render(shown);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // Clipboard blocked (insecure context) - the snippet can still be selected by hand
+    }
+  };
+
+  return (
+    <Card className="p-0 overflow-hidden">
+      <div className="bg-slate-50 p-3 border-b border-slate-200 flex flex-wrap items-center gap-3">
+        <Terminal size={16} className="text-slate-500" />
+        <div className="flex gap-1">
+          {SNIPPET_FORMATS.map(f => (
+            <button
+              key={f.id}
+              onClick={() => setFormat(f.id)}
+              className={`px-3 py-1 rounded text-xs font-medium ${format === f.id ? 'bg-blue-50 text-blue-700 border border-blue-200' : 'text-slate-600 hover:bg-slate-100 border border-transparent'}`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <label className="text-xs text-slate-600 flex items-center gap-1.5 flex-1">
+          <input type="checkbox" checked={keepVariables} onChange={(e) => setKeepVariables(e.target.checked)} />
+          Keep {'{{variables}}'}
+        </label>
+        <button onClick={copy} className="text-xs text-blue-600 hover:bg-blue-50 flex items-center gap-1 px-2 py-1 rounded transition-colors">
+          {copied ? <><Check size={12} /> Copied</> : <><Copy size={12} /> Copy</>}
+        </button>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      <pre className="p-4 bg-slate-900 text-slate-100 font-mono text-xs overflow-auto max-h-96 whitespace-pre-wrap break-all">{code}</pre>
+    </Card>
+  );
+}
@@ -0,0 +1,204 @@
+import React from 'react';
+import { Plus, Copy, Trash2 } from 'lucide-react';
+import { KeyValueEditor } from './common.jsx';
+import AuthSettings from './AuthSettings.jsx';
+import { createEnvironment } from '../utils/environments.js';
+import { PROXY_MODES, DEFAULT_PROXY_URL } from '../utils/proxy.js';
+import { DEFAULT_MOCK_URL } from '../utils/mockServer.js';
+
+/**
+ * Setup-tab editor for named environments. Editing always applies to the
+ * active environment; the tabs switch which one is active.
+ */
+export default function EnvironmentEditor({ environments, activeEnvId, onEnvironmentsChange, onActiveChange, securitySchemes }) {
+  const env = environments.find(e => e.id === activeEnvId) || environments[0];
+
+  const update = (patch) => {
+    onEnvironmentsChange(environments.map(e => (e.id === env.id ? { ...e, ...patch } : e)));
+  };
+
+  const addEnvironment = (copyFrom) => {
+    const created = copyFrom
+      ? createEnvironment(`${copyFrom.name} copy`, {
+          baseUrl: copyFrom.baseUrl,
+          token: copyFrom.token,
+          headers: copyFrom.headers.map(h => ({ ...h })),
+          variables: copyFrom.variables.map(v => ({ ...v })),
+          auth: JSON.parse(JSON.stringify(copyFrom.auth || {})),
+          proxy: copyFrom.proxy,
+          proxyUrl: copyFrom.proxyUrl,
+          proxyInsecure: copyFrom.proxyInsecure,
+          mock: copyFrom.mock,
+          mockUrl: copyFrom.mockUrl
+        })
+      : createEnvironment(`Environment ${environments.length + 1}`);
+    onEnvironmentsChange([...environments, created]);
+    onActiveChange(created.id);
+  };
+
+  const deleteEnvironment = () => {
+    if (environments.length <= 1 || !window.confirm(`Delete environment "${env.name}"?`)) return;
+    const remaining = environments.filter(e => e.id !== env.id);
+    onEnvironmentsChange(remaining);
+    onActiveChange(remaining[0].id);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 border-b border-slate-100 pb-3">
+        {environments.map(e => (
+          <button
+            key={e.id}
+            onClick={() => onActiveChange(e.id)}
+            className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${e.id === env.id ? 'bg-blue-50 text-blue-700 border border-blue-200' : 'text-slate-600 hover:bg-slate-50 border border-transparent'}`}
+          >
+            {e.name || 'Untitled'}
+          </button>
+        ))}
+        <button onClick={() => addEnvironment()} className="text-xs text-blue-600 hover:underline flex items-center gap-1 ml-1">
+          <Plus size={12} /> New
+        </button>
+      </div>
+
+      <div className="flex items-end gap-3">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-slate-700 mb-1">Environment Name</label>
+          <input
+            type="text"
+            className="w-full rounded-md border-slate-300 border p-2 text-sm"
+            value={env.name}
+            onChange={(e) => update({ name: e.target.value })}
+          />
+        </div>
+        <button
+          onClick={() => addEnvironment(env)}
+          className="text-xs text-slate-600 hover:bg-slate-100 flex items-center gap-1 px-2 py-2 rounded transition-colors"
+        >
+          <Copy size={12} /> Duplicate
+        </button>
+        <button
+          onClick={deleteEnvironment}
+          disabled={environments.length <= 1}
+          className="text-xs text-red-500 hover:text-red-700 hover:bg-red-50 disabled:opacity-40 flex items-center gap-1 px-2 py-2 rounded transition-colors"
+        >
+          <Trash2 size={12} /> Delete
+        </button>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Base URL</label>
+        <input
+          type="text"
+          className="w-full rounded-md border-slate-300 border p-2 text-sm"
+          placeholder="https://api.myservice.com"
+          value={env.baseUrl}
+          onChange={(e) => update({ baseUrl: e.target.value })}
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Auth Token (Optional)</label>
+        <input
+          type="password"
+          className="w-full rounded-md border-slate-300 border p-2 text-sm"
+          placeholder="Bearer eyJhbGci..."
+          value={env.token}
+          onChange={(e) => update({ token: e.target.value })}
+        />
+        <p className="text-xs text-slate-400 mt-1">Will be added to Authorization header automatically.</p>
+      </div>
+      {securitySchemes && Object.keys(securitySchemes).length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">Authentication (from spec)</label>
+          <AuthSettings schemes={securitySchemes} env={env} onChange={(auth) => update({ auth })} />
+          <p className="text-xs text-slate-400 mt-2">
+            Each request gets the credentials its operation's <code className="bg-slate-100 px-1 rounded">security</code> requirement asks for.
+          </p>
+        </div>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-2">Custom Headers</label>
+        <KeyValueEditor
+          rows={env.headers}
+          onChange={(headers) => update({ headers })}
+          keyPlaceholder="X-Tenant-Id"
+          valuePlaceholder="acme or {{tenant}}"
+          addLabel="Add header"
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-2">Variables</label>
+        <KeyValueEditor
+          rows={env.variables}
+          onChange={(variables) => update({ variables })}
+          keyPlaceholder="userId"
+          valuePlaceholder="42"
+          addLabel="Add variable"
+        />
+        <p className="text-xs text-slate-400 mt-2">
+          Use <code className="bg-slate-100 px-1 rounded">{'{{name}}'}</code> in form values, headers, paths and bodies.
+          <code className="bg-slate-100 px-1 rounded ml-1">{'{{baseUrl}}'}</code> and <code className="bg-slate-100 px-1 rounded">{'{{token}}'}</code> are always available.
+        </p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-2">CORS Proxy</label>
+        <div className="flex flex-wrap gap-3">
+          <select
+            className="rounded-md border-slate-300 border p-2 text-sm bg-white"
+            value={env.proxy || 'auto'}
+            onChange={(e) => update({ proxy: e.target.value })}
+          >
+            {PROXY_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+          </select>
+          <input
+            type="text"
+            className="flex-1 min-w-[14rem] rounded-md border-slate-300 border p-2 text-sm disabled:bg-slate-50"
+            placeholder={`This page's dev server, then ${DEFAULT_PROXY_URL}`}
+            value={env.proxyUrl || ''}
+            disabled={env.proxy === 'off'}
+            onChange={(e) => update({ proxyUrl: e.target.value })}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-600 mt-2">
+          <input
+            type="checkbox"
+            checked={Boolean(env.proxyInsecure)}
+            disabled={env.proxy === 'off'}
+            onChange={(e) => update({ proxyInsecure: e.target.checked })}
+          />
+          Skip TLS certificate verification (self-signed certificates)
+        </label>
+        <p className="text-xs text-slate-400 mt-2">
+          For APIs that don't send CORS headers. <code className="bg-slate-100 px-1 rounded">npm run dev</code> serves the proxy
+          alongside the portal; <code className="bg-slate-100 px-1 rounded">npm run proxy</code> runs it on its own
+          (<code className="bg-slate-100 px-1 rounded">-- --ca corp-root.pem</code> trusts an extra CA).
+        </p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-2">Mock Server</label>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={Boolean(env.mock)}
+              onChange={(e) => update({ mock: e.target.checked })}
+            />
+            Send requests to the mock instead of the base URL
+          </label>
+          <input
+            type="text"
+            className="flex-1 min-w-[14rem] rounded-md border-slate-300 border p-2 text-sm"
+            placeholder={`This page's dev server, then ${DEFAULT_MOCK_URL}`}
+            value={env.mockUrl || ''}
+            onChange={(e) => update({ mockUrl: e.target.value })}
+          />
+        </div>
+        <p className="text-xs text-slate-400 mt-2">
+          Answers every operation in the loaded spec from its examples, or with fake data built from the response schema.
+          <code className="bg-slate-100 px-1 rounded ml-1">npm run dev</code> serves the mock alongside the portal;
+          <code className="bg-slate-100 px-1 rounded ml-1">npm run mock</code> runs it on its own. Status, latency and errors can be
+          overridden per endpoint on the Manual tab.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, RotateCcw, Trash2, GitCompare, Download } from 'lucide-react';
+import { Card, Badge } from './common.jsx';
+import { diffJson } from '../utils/jsonDiff.js';
+import { formatBytes } from '../utils/responseBody.js';
+
+const pretty = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+const parseMaybeJson = (text) => {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const StatusText = ({ entry }) => (
+  <span className={`font-mono text-xs font-semibold ${entry.success ? 'text-green-600' : 'text-red-600'}`}>
+    {entry.isTimeout ? 'TIMEOUT' : entry.isNetworkError || !entry.status ? 'ERR' : entry.status}
+  </span>
+);
+
+const entryLabel = (entry) => `${entry.method.toUpperCase()} ${entry.path} @ ${new Date(entry.at).toLocaleTimeString()}`;
+
+const CHANGE_STYLES = {
+  added: 'text-green-700 bg-green-50',
+  removed: 'text-red-700 bg-red-50',
+  changed: 'text-amber-700 bg-amber-50'
+};
+
+function DiffView({ before, after }) {
+  const [mode, setMode] = useState('response');
+  const pick = (entry) => (mode === 'response' ? entry.response : parseMaybeJson(entry.request?.body));
+  const left = pick(before);
+  const right = pick(after);
+  const changes = diffJson(left, right);
+
+  return (
+    <Card className="p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-slate-700 flex items-center gap-2">
+          <GitCompare size={16} className="text-blue-500" />
+          {changes.length === 0 ? 'No differences' : `${changes.length} difference${changes.length === 1 ? '' : 's'}`}
+        </h3>
+        <div className="flex gap-1">
+          {['response', 'request'].map(m => (
+            <button
+              key={m}
+              onClick={() => setMode(m)}
+              className={`px-3 py-1 rounded text-xs font-medium ${mode === m ? 'bg-blue-50 text-blue-700 border border-blue-200' : 'text-slate-600 hover:bg-slate-50 border border-transparent'}`}
+            >
+              {m === 'response' ? 'Response body' : 'Request body'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {changes.length > 0 && (
+        <div className="border border-slate-200 rounded-md divide-y divide-slate-100 max-h-64 overflow-auto">
+          {changes.map((change, i) => (
+            <div key={i} className="px-3 py-1.5 text-xs font-mono flex items-start gap-3">
+              <span className={`px-1.5 rounded uppercase text-[10px] font-bold ${CHANGE_STYLES[change.type]}`}>{change.type}</span>
+              <span className="text-slate-700">{change.path}</span>
+              <span className="text-slate-500 truncate">
+                {change.type !== 'added' && <span className="text-red-600">{JSON.stringify(change.before)}</span>}
+                {change.type === 'changed' && ' → '}
+                {change.type !== 'removed' && <span className="text-green-700">{JSON.stringify(change.after)}</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {[[before, left], [after, right]].map(([entry, value]) => (
+          <div key={entry.id} className="min-w-0">
+            <div className="text-xs text-slate-500 mb-1 flex items-center gap-2">
+              <StatusText entry={entry} /> {entryLabel(entry)}
+            </div>
+            <pre className="bg-slate-900 text-slate-100 text-xs p-3 rounded-md overflow-auto max-h-96">{pretty(value) ?? ''}</pre>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function HistoryRow({ entry, selected, onToggleSelect, onReplay }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="border-b border-slate-100 last:border-0">
+      <div className="flex items-center gap-3 px-4 py-2 hover:bg-slate-50 text-sm">
+        <input type="checkbox" checked={selected} onChange={onToggleSelect} title="Select for compare" />
+        <button onClick={() => setOpen(!open)} className="text-slate-400 hover:text-slate-600">
+          {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        </button>
+        <span className="text-xs text-slate-400 w-20 shrink-0">{new Date(entry.at).toLocaleTimeString()}</span>
+        <Badge method={entry.method} />
+        <span className="font-mono text-slate-700 truncate flex-1" title={entry.request?.url}>{entry.path}</span>
+        <span className="text-xs text-slate-400 capitalize">{entry.source}</span>
+        <StatusText entry={entry} />
+        <span className="text-xs text-slate-400 w-14 text-right">{entry.time}ms</span>
+        <button
+          onClick={() => onReplay(entry)}
+          className="text-xs text-blue-600 hover:bg-blue-50 flex items-center gap-1 px-2 py-1 rounded transition-colors"
+          title="Load these inputs into the Manual Test form"
+        >
+          <RotateCcw size={12} /> Replay
+        </button>
+      </div>
+      {open && (
+        <div className="px-12 pb-4 space-y-3 text-xs">
+          {entry.request ? (
+            <>
+              <div className="font-mono text-slate-700 break-all">{entry.request.method} {entry.request.url}</div>
+              <div>
+                <div className="font-semibold text-slate-500 mb-1">Headers</div>
+                <pre className="bg-slate-50 border border-slate-200 rounded p-2 overflow-auto">{pretty(entry.request.headers)}</pre>
+              </div>
+              {entry.request.body && (
+                <div>
+                  <div className="font-semibold text-slate-500 mb-1">Body</div>
+                  <pre className="bg-slate-50 border border-slate-200 rounded p-2 overflow-auto max-h-64">{pretty(parseMaybeJson(entry.request.body))}</pre>
+                </div>
+              )}
+              {entry.request.form && (
+                <div>
+                  <div className="font-semibold text-slate-500 mb-1">Form parts</div>
+                  <pre className="bg-slate-50 border border-slate-200 rounded p-2 overflow-auto max-h-64">
+                    {entry.request.form.map(part => (part.fileName
+                      ? `${part.name}: @${part.fileName} (${part.contentType})`
+                      : `${part.name}: ${part.value}`)).join('\n')}
+                  </pre>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="text-slate-500">The request was not sent.</div>
+          )}
+          <div>
+            <div className="font-semibold text-slate-500 mb-1">
+              Response
+              {entry.contentType && <span className="font-normal font-mono ml-2">{entry.contentType.split(';')[0]}</span>}
+              {entry.size != null && <span className="font-normal ml-2">{formatBytes(entry.size)}</span>}
+            </div>
+            <pre className="bg-slate-900 text-slate-100 rounded p-2 overflow-auto max-h-64">{pretty(entry.response) ?? ''}</pre>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Every request the portal sent, newest first. Filter by endpoint / source / outcome,
+ * replay an entry into the Manual Test form, tick two entries to diff them, or export
+ * the filtered entries as a Postman collection / HAR file.
+ */
+export default function HistoryPanel({ history, onReplay, onClear, onExport }) {
+  const [endpointFilter, setEndpointFilter] = useState('');
+  const [sourceFilter, setSourceFilter] = useState('');
+  const [outcomeFilter, setOutcomeFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const endpointKeys = [...new Set(history.map(h => `${h.method.toUpperCase()} ${h.path}`))].sort();
+  const visible = history.filter(h => (
+    (!endpointFilter || `${h.method.toUpperCase()} ${h.path}` === endpointFilter)
+    && (!sourceFilter || h.source === sourceFilter)
+    && (!outcomeFilter || (outcomeFilter === 'passed') === h.success)
+  ));
+
+  // Keep at most two ticked; a third replaces the oldest pick
+  const toggleSelect = (id) => {
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id].slice(-2)));
+  };
+  const compared = selectedIds.map(id => history.find(h => h.id === id)).filter(Boolean).sort((a, b) => a.at - b.at);
+
+  const selectClass = 'text-sm border border-slate-200 rounded-md px-2 py-1.5 bg-white text-slate-700';
+
+  return (
+    <div className="space-y-6">
+      <Card className="overflow-hidden">
+        <div className="p-4 border-b border-slate-200 bg-slate-50 flex flex-wrap items-center gap-3">
+          <select className={selectClass} value={endpointFilter} onChange={(e) => setEndpointFilter(e.target.value)}>
+            <option value="">All endpoints</option>
+            {endpointKeys.map(key => <option key={key} value={key}>{key}</option>)}
+          </select>
+          <select className={selectClass} value={sourceFilter} onChange={(e) => setSourceFilter(e.target.value)}>
+            <option value="">All sources</option>
+            <option value="manual">Manual</option>
+            <option value="batch">Batch</option>
+            <option value="scenario">Scenario</option>
+          </select>
+          <select className={selectClass} value={outcomeFilter} onChange={(e) => setOutcomeFilter(e.target.value)}>
+            <option value="">Any status</option>
+            <option value="passed">2xx only</option>
+            <option value="failed">Errors only</option>
+          </select>
+          <span className="text-xs text-slate-500 flex-1">
+            {visible.length} of {history.length} requests
+            {selectedIds.length === 1 && ' · tick one more to compare'}
+          </span>
+          {[['postman', 'Postman'], ['har', 'HAR']].map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => onExport(visible, format)}
+              disabled={visible.length === 0}
+              className="text-xs text-blue-600 hover:bg-blue-50 disabled:opacity-40 flex items-center gap-1 px-2 py-1.5 rounded transition-colors"
+              title={`Export the ${visible.length} listed requests`}
+            >
+              <Download size={12} /> {label}
+            </button>
+          ))}
+          <button
+            onClick={() => {
+              if (window.confirm('Clear the request history?')) {
+                setSelectedIds([]);
+                onClear();
+              }
+            }}
+            disabled={history.length === 0}
+            className="text-xs text-red-500 hover:text-red-700 hover:bg-red-50 disabled:opacity-40 flex items-center gap-1 px-2 py-1.5 rounded transition-colors"
+          >
+            <Trash2 size={12} /> Clear
+          </button>
+        </div>
+        <div className="max-h-[32rem] overflow-auto">
+          {visible.length === 0 ? (
+            <div className="p-8 text-center text-slate-400 text-sm">No requests recorded yet.</div>
+          ) : visible.map(entry => (
+            <HistoryRow
+              key={entry.id}
+              entry={entry}
+              selected={selectedIds.includes(entry.id)}
+              onToggleSelect={() => toggleSelect(entry.id)}
+              onReplay={onReplay}
+            />
+          ))}
+        </div>
+      </Card>
+
+      {compared.length === 2 && <DiffView key={compared.map(c => c.id).join()} before={compared[0]} after={compared[1]} />}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import { toJsonPath } from '../utils/jsonPath.js';
+
+/**
+ * Collapsible JSON tree. Only expanded nodes render their children and long
+ * arrays / objects render a page at a time, so large payloads stay responsive.
+ * `search` ({ matches, visible } from searchJson) opens the tree down to the matches
+ * and hides the branches without any; clicking a key reports its JSONPath.
+ */
+
+const PAGE_SIZE = 100;
+
+const VALUE_STYLES = {
+  string: 'text-green-300',
+  number: 'text-sky-300',
+  boolean: 'text-amber-300',
+  null: 'text-slate-400'
+};
+
+const Primitive = ({ value }) => {
+  const type = value === null ? 'null' : typeof value;
+  return (
+    <span className={`${VALUE_STYLES[type] || 'text-slate-200'} break-all`}>
+      {type === 'string' ? JSON.stringify(value) : String(value)}
+    </span>
+  );
+};
+
+function JsonNode({ name, value, segments, depth, search, onSelectPath }) {
+  const [toggled, setToggled] = useState(null);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const path = toJsonPath(segments);
+  const isArray = Array.isArray(value);
+  const isContainer = value !== null && typeof value === 'object';
+  const highlighted = search?.matches.has(path);
+
+  const label = name !== undefined && (
+    <>
+      <button
+        onClick={() => onSelectPath(path)}
+        className="text-purple-300 hover:underline"
+        title={`Copy ${path}`}
+      >
+        {typeof name === 'number' ? name : JSON.stringify(name)}
+      </button>
+      <span className="text-slate-500">: </span>
+    </>
+  );
+
+  if (!isContainer) {
+    return (
+      <div className={highlighted ? 'bg-yellow-500/20 rounded' : ''}>
+        {label}<Primitive value={value} />
+      </div>
+    );
+  }
+
+  const open = toggled ?? (search ? search.visible.has(path) : depth < 1);
+  let keys = isArray ? value.map((_, i) => i) : Object.keys(value);
+  const total = keys.length;
+  // While searching, a branch that isn't itself a match only shows the way to its matches
+  if (search && !highlighted) keys = keys.filter(key => search.visible.has(toJsonPath([...segments, key])));
+
+  return (
+    <div>
+      <div className={`flex items-start gap-1 ${highlighted ? 'bg-yellow-500/20 rounded' : ''}`}>
+        <button onClick={() => setToggled(!open)} className="text-slate-500 hover:text-slate-300 mt-0.5">
+          {open ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        </button>
+        <div>
+          {label}
+          <span className="text-slate-500">
+            {isArray ? '[' : '{'}
+            {!open && <span className="italic">{` ${total} ${isArray ? 'item' : 'key'}${total === 1 ? '' : 's'} `}</span>}
+            {!open && (isArray ? ']' : '}')}
+          </span>
+        </div>
+      </div>
+      {open && (
+        <>
+          <div className="pl-4 ml-1.5 border-l border-slate-700">
+            {keys.slice(0, limit).map(key => (
+              <JsonNode
+                key={key}
+                name={key}
+                value={value[key]}
+                segments={[...segments, key]}
+                depth={depth + 1}
+                search={search}
+                onSelectPath={onSelectPath}
+              />
+            ))}
+            {keys.length > limit && (
+              <button onClick={() => setLimit(limit + PAGE_SIZE)} className="text-sky-400 hover:underline italic">
+                Show {Math.min(PAGE_SIZE, keys.length - limit)} more of {keys.length - limit}
+              </button>
+            )}
+          </div>
+          <span className="text-slate-500 pl-4">{isArray ? ']' : '}'}</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function JsonTree({ data, search, onSelectPath }) {
+  return (
+    <div className="font-mono text-xs leading-5 text-slate-200">
+      <JsonNode value={data} segments={[]} depth={0} search={search} onSelectPath={onSelectPath} />
+    </div>
+  );
+}
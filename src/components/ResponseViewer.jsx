@@ -0,0 +1,252 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { AlertCircle, Search, Download, Check } from 'lucide-react';
+import JsonTree from './JsonTree.jsx';
+import { bodyView, formatXml, parseSetCookies, searchJson } from '../utils/responseBody.js';
+
+/**
+ * Body / Headers / Cookies / Raw tabs for a manual response (plus Timing when it went
+ * through the proxy). The body is rendered by content-type: a searchable JSON tree,
+ * sandboxed HTML, indented XML, images and PDFs.
+ */
+
+// Text beyond this is cut off until asked for, so a multi-megabyte body doesn't stall the page
+const TEXT_PREVIEW_LIMIT = 200000;
+
+const TABS = [
+  { id: 'body', label: 'Body' },
+  { id: 'headers', label: 'Headers' },
+  { id: 'cookies', label: 'Cookies' },
+  { id: 'raw', label: 'Raw' },
+  { id: 'timing', label: 'Timing' }
+];
+
+const TIMING_PHASES = [
+  { id: 'dns', label: 'DNS lookup', color: 'bg-teal-400' },
+  { id: 'connect', label: 'TCP connect', color: 'bg-amber-400' },
+  { id: 'tls', label: 'TLS handshake', color: 'bg-purple-400' },
+  { id: 'ttfb', label: 'Waiting (TTFB)', color: 'bg-green-400' },
+  { id: 'download', label: 'Download', color: 'bg-sky-400' }
+];
+
+// Waterfall of the proxy's measurements; each bar starts where the previous phase ended
+function TimingView({ timing }) {
+  const total = timing.total || TIMING_PHASES.reduce((sum, phase) => sum + (timing[phase.id] || 0), 0);
+  const bars = TIMING_PHASES.map((phase, i) => ({
+    ...phase,
+    duration: timing[phase.id] || 0,
+    start: TIMING_PHASES.slice(0, i).reduce((sum, prev) => sum + (timing[prev.id] || 0), 0)
+  }));
+  const percent = (ms) => (total ? (ms / total) * 100 : 0);
+  return (
+    <div className="space-y-2">
+      {bars.map(bar => (
+        <div key={bar.id} className="flex items-center gap-3 text-xs">
+          <span className="w-28 text-slate-600">{bar.label}</span>
+          <div className="flex-1 h-3 bg-slate-100 rounded relative">
+            <div
+              className={`absolute h-3 rounded ${bar.color}`}
+              style={{ left: `${percent(bar.start)}%`, width: `${total ? Math.max(percent(bar.duration), 0.5) : 0}%` }}
+            />
+          </div>
+          <span className="w-16 text-right font-mono text-slate-700">{bar.duration} ms</span>
+        </div>
+      ))}
+      <div className="flex items-center gap-3 text-xs border-t border-slate-100 pt-2">
+        <span className="w-28 font-semibold text-slate-700">Total</span>
+        <span className="flex-1 text-slate-400">Measured by the proxy on a fresh connection (the final hop when redirected)</span>
+        <span className="w-16 text-right font-mono font-semibold text-slate-700">{total} ms</span>
+      </div>
+    </div>
+  );
+}
+
+function LongText({ text, className = 'text-green-400' }) {
+  const [showAll, setShowAll] = useState(false);
+  const cut = !showAll && text.length > TEXT_PREVIEW_LIMIT;
+  return (
+    <>
+      <pre className={`${className} font-mono text-xs whitespace-pre-wrap break-all`}>
+        {cut ? text.slice(0, TEXT_PREVIEW_LIMIT) : text}
+      </pre>
+      {cut && (
+        <button onClick={() => setShowAll(true)} className="mt-2 text-xs text-sky-400 hover:underline">
+          Showing the first {TEXT_PREVIEW_LIMIT.toLocaleString()} of {text.length.toLocaleString()} characters - show all
+        </button>
+      )}
+    </>
+  );
+}
+
+function JsonBody({ data }) {
+  const [query, setQuery] = useState('');
+  const [copiedPath, setCopiedPath] = useState('');
+  // Searching a big payload runs behind typing rather than on every keystroke
+  const deferredQuery = useDeferredValue(query);
+  const search = useMemo(() => searchJson(data, deferredQuery), [data, deferredQuery]);
+  const searching = deferredQuery.trim() !== '';
+
+  const copyPath = async (path) => {
+    try {
+      await navigator.clipboard.writeText(path);
+    } catch {
+      // Clipboard blocked (insecure context) - the path is still shown below
+    }
+    setCopiedPath(path);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1">
+          <Search size={12} className="absolute left-2 top-2 text-slate-500" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search keys and values"
+            className="w-full bg-slate-800 border border-slate-700 rounded pl-7 pr-2 py-1 text-xs text-slate-200 placeholder-slate-500"
+          />
+        </div>
+        {searching && (
+          <span className="text-xs text-slate-400">
+            {search.matches.size === 0 ? 'No matches' : `${search.matches.size}${search.truncated ? '+' : ''} match${search.matches.size === 1 ? '' : 'es'}`}
+          </span>
+        )}
+      </div>
+      {copiedPath && (
+        <p className="text-xs text-slate-400 flex items-center gap-1">
+          <Check size={12} className="text-green-400" /> Copied <code className="text-purple-300">{copiedPath}</code>
+        </p>
+      )}
+      <JsonTree data={data} search={searching && search.matches.size > 0 ? search : null} onSelectPath={copyPath} />
+    </div>
+  );
+}
+
+function ResponseBody({ response }) {
+  const view = bodyView(response);
+  const text = typeof response.data === 'string' ? response.raw || response.data : '';
+  const xml = useMemo(() => (view === 'xml' ? formatXml(text) : ''), [view, text]);
+
+  switch (view) {
+    case 'json':
+      return <JsonBody data={response.data} />;
+    case 'image':
+      return <img src={response.objectUrl} alt="Response body" className="max-h-96 mx-auto bg-white" />;
+    case 'pdf':
+      return <iframe src={response.objectUrl} title="Response PDF" className="w-full h-96 bg-white rounded" />;
+    case 'binary':
+      return (
+        <a href={response.objectUrl} download className="text-sm text-sky-400 hover:underline flex items-center gap-2">
+          <Download size={14} /> Download {response.data}
+        </a>
+      );
+    case 'html':
+      // No scripts, forms or same-origin access for the API's page
+      return <iframe sandbox="" srcDoc={text} title="Response HTML" className="w-full h-96 bg-white rounded" />;
+    case 'xml':
+      return <LongText text={xml} />;
+    default:
+      return <LongText text={text} />;
+  }
+}
+
+export default function ResponseViewer({ response }) {
+  const [tab, setTab] = useState('body');
+  const headers = response.headers || {};
+  const cookies = parseSetCookies(headers);
+  const raw = response.raw || (typeof response.data === 'string' ? response.data : JSON.stringify(response.data, null, 2));
+
+  return (
+    <>
+      <div className="flex gap-1 px-3 pt-2 bg-slate-50 border-b border-slate-200">
+        {TABS.filter(t => t.id !== 'timing' || response.timing).map(t => (
+          <button
+            key={t.id}
+            onClick={() => setTab(t.id)}
+            className={`px-3 py-1.5 text-xs font-medium border-b-2 -mb-px ${tab === t.id ? 'border-blue-500 text-blue-700' : 'border-transparent text-slate-500 hover:text-slate-700'}`}
+          >
+            {t.label}
+            {t.id === 'headers' && Object.keys(headers).length > 0 && <span className="ml-1 text-slate-400">({Object.keys(headers).length})</span>}
+            {t.id === 'cookies' && cookies.length > 0 && <span className="ml-1 text-slate-400">({cookies.length})</span>}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'body' && (
+        <div className="p-4 bg-slate-900 overflow-auto max-h-[32rem]">
+          {response.isNetworkError && (
+            <div className="mb-4 p-3 bg-yellow-900/30 text-yellow-200 text-sm rounded border border-yellow-700">
+              <p className="font-bold flex items-center gap-2"><AlertCircle size={14}/> CORS / Network Error</p>
+              <p className="mt-1 opacity-80">
+                {response.viaProxy
+                  ? 'The request went through the CORS proxy, which could not reach the API. Check the URL, and the TLS settings if the API uses a self-signed certificate.'
+                  : <>The browser blocked this request. Ensure the API supports CORS, or start the CORS proxy (<code>npm run proxy</code>, or <code>npm run dev</code>) and leave the environment's proxy on Auto.</>}
+              </p>
+            </div>
+          )}
+          <ResponseBody response={response} />
+        </div>
+      )}
+
+      {tab === 'headers' && (
+        <div className="p-4 overflow-auto max-h-[32rem]">
+          {Object.keys(headers).length === 0 ? (
+            <p className="text-sm text-slate-400 italic">No response headers.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <tbody className="divide-y divide-slate-100">
+                {Object.keys(headers).map(name => (
+                  <tr key={name}>
+                    <td className="py-1.5 pr-4 font-mono font-semibold text-slate-600 align-top whitespace-nowrap">{name}</td>
+                    <td className="py-1.5 font-mono text-slate-700 break-all">{headers[name]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {tab === 'cookies' && (
+        <div className="p-4 overflow-auto max-h-[32rem]">
+          {cookies.length === 0 ? (
+            <p className="text-sm text-slate-400 italic">
+              No Set-Cookie headers. Browsers don't let the page read Set-Cookie, even when the server sends it; requests through the CORS proxy show them.
+            </p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="pb-2 pr-4">Name</th>
+                  <th className="pb-2 pr-4">Value</th>
+                  <th className="pb-2">Attributes</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {cookies.map((cookie, i) => (
+                  <tr key={i}>
+                    <td className="py-1.5 pr-4 font-mono font-semibold text-slate-600">{cookie.name}</td>
+                    <td className="py-1.5 pr-4 font-mono text-slate-700 break-all">{cookie.value}</td>
+                    <td className="py-1.5 text-slate-500">{cookie.attributes.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {tab === 'timing' && response.timing && (
+        <div className="p-4">
+          <TimingView timing={response.timing} />
+        </div>
+      )}
+
+      {tab === 'raw' && (
+        <div className="p-4 bg-slate-900 overflow-auto max-h-[32rem]">
+          {response.blob ? <p className="text-xs text-slate-400">{response.data}</p> : <LongText text={raw} className="text-slate-200" />}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,355 @@
+import React, { useState } from 'react';
+import {
+  Plus,
+  Play,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  CheckCircle,
+  XCircle,
+  ChevronRight,
+  ChevronDown,
+  Wand2,
+  ListOrdered
+} from 'lucide-react';
+import { Card, Badge, SearchableSelect } from './common.jsx';
+import { createId } from '../utils/ids.js';
+import { listFieldPaths } from '../utils/schema.js';
+import { runScenario, findStepEndpoint, STEP_NAME_PATTERN } from '../utils/scenarioRunner.js';
+
+/**
+ * Scenarios: ordered multi-step flows ("create user -> read user -> delete user")
+ * where each step can reference earlier responses with {{stepName.body.field}}.
+ */
+
+// Default step alias from operationId / summary, e.g. "createUser"
+const suggestStepName = (endpoint, steps) => {
+  const source = endpoint.operationId || `${endpoint.method} ${endpoint.summary || endpoint.path}`;
+  const words = source.replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  let base = words.map((w, i) => (i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1))).join('') || 'step';
+  if (!/^[A-Za-z_]/.test(base)) base = `step${base}`;
+  let name = base;
+  for (let i = 2; steps.some(s => s.name === name); i++) name = `${base}${i}`;
+  return name;
+};
+
+const StepResult = ({ result }) => {
+  const [open, setOpen] = useState(false);
+  if (!result) return null;
+  return (
+    <div className={`mt-3 rounded-md border text-xs ${result.passed ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}>
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center gap-2 p-2 text-left">
+        {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        {result.passed ? <CheckCircle size={14} className="text-green-600" /> : <XCircle size={14} className="text-red-600" />}
+        <span className={`font-bold ${result.passed ? 'text-green-700' : 'text-red-700'}`}>{result.passed ? 'PASS' : 'FAIL'}</span>
+        {result.response && (
+          <>
+            <span className="font-mono text-slate-600">{result.response.status || 'ERR'}</span>
+            <span className="text-slate-500">{result.response.time}ms</span>
+          </>
+        )}
+        {!result.passed && <span className="text-red-600 truncate">{result.failures.join('; ')}</span>}
+      </button>
+      {open && (
+        <div className="border-t border-slate-200 p-2 space-y-2">
+          <div>
+            <p className="font-semibold text-slate-500 mb-1">Resolved inputs</p>
+            <pre className="bg-white border border-slate-200 rounded p-2 overflow-auto max-h-40 font-mono">{JSON.stringify(result.data || {}, null, 2)}</pre>
+          </div>
+          {result.response && (
+            <div>
+              <p className="font-semibold text-slate-500 mb-1">Response</p>
+              <pre className="bg-slate-900 text-green-400 rounded p-2 overflow-auto max-h-60 font-mono">
+                {typeof result.response.data === 'object' ? JSON.stringify(result.response.data, null, 2) : String(result.response.data)}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default function ScenariosTab({ endpoints, scenarios, onScenariosChange, runs, onRunsChange, executeRequest, context = {} }) {
+  const [selectedId, setSelectedId] = useState(scenarios[0]?.id || null);
+  const [running, setRunning] = useState(false);
+
+  const scenario = scenarios.find(s => s.id === selectedId) || null;
+  const run = scenario ? runs[scenario.id] : null;
+
+  const endpointOptions = endpoints.map(ep => ({
+    value: ep.id,
+    label: ep.path,
+    subLabel: ep.summary,
+    method: ep.method
+  }));
+
+  const updateScenario = (patch) => {
+    onScenariosChange(scenarios.map(s => (s.id === scenario.id ? { ...s, ...patch } : s)));
+  };
+  const updateStep = (stepId, patch) => {
+    updateScenario({ steps: scenario.steps.map(step => (step.id === stepId ? { ...step, ...patch } : step)) });
+  };
+
+  const createScenario = () => {
+    const created = { id: createId('scn'), name: `Scenario ${scenarios.length + 1}`, stopOnFailure: true, steps: [] };
+    onScenariosChange([...scenarios, created]);
+    setSelectedId(created.id);
+  };
+
+  const deleteScenario = () => {
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    const remaining = scenarios.filter(s => s.id !== scenario.id);
+    onScenariosChange(remaining);
+    const nextRuns = { ...runs };
+    delete nextRuns[scenario.id];
+    onRunsChange(nextRuns);
+    setSelectedId(remaining[0]?.id || null);
+  };
+
+  const stepInputsFor = (endpoint) => listFieldPaths(endpoint).map(key => ({ key, value: '' }));
+
+  const addStep = () => {
+    const endpoint = endpoints[0];
+    if (!endpoint) return;
+    updateScenario({
+      steps: [...scenario.steps, {
+        id: createId('step'),
+        name: suggestStepName(endpoint, scenario.steps),
+        endpointId: endpoint.id,
+        method: endpoint.method,
+        path: endpoint.path,
+        inputs: stepInputsFor(endpoint)
+      }]
+    });
+  };
+
+  const changeStepEndpoint = (step, endpointId) => {
+    const endpoint = endpoints.find(ep => ep.id === endpointId);
+    if (!endpoint) return;
+    // Keep values the user already typed for keys the new endpoint shares
+    const previous = Object.fromEntries(step.inputs.map(i => [i.key, i.value]));
+    updateStep(step.id, {
+      endpointId,
+      method: endpoint.method,
+      path: endpoint.path,
+      name: suggestStepName(endpoint, scenario.steps.filter(s => s.id !== step.id)),
+      inputs: stepInputsFor(endpoint).map(i => ({ ...i, value: previous[i.key] ?? '' }))
+    });
+  };
+
+  const moveStep = (index, delta) => {
+    const steps = [...scenario.steps];
+    const [moved] = steps.splice(index, 1);
+    steps.splice(index + delta, 0, moved);
+    updateScenario({ steps });
+  };
+
+  const nameErrors = scenario ? scenario.steps.map((step, i) => {
+    if (!STEP_NAME_PATTERN.test(step.name)) return 'Use letters, digits and _ only';
+    if (scenario.steps.findIndex(s => s.name === step.name) !== i) return 'Step names must be unique';
+    return null;
+  }) : [];
+
+  const handleRun = async () => {
+    if (!scenario || scenario.steps.length === 0 || nameErrors.some(Boolean)) return;
+    setRunning(true);
+    const record = (steps, finished = false) => onRunsChange(prev => ({
+      ...prev,
+      [scenario.id]: { startedAt: prev[scenario.id]?.startedAt || new Date().toISOString(), finished, steps }
+    }));
+    onRunsChange(prev => ({ ...prev, [scenario.id]: { startedAt: new Date().toISOString(), finished: false, steps: [] } }));
+    // Environment variables resolve alongside captured step values
+    const results = await runScenario(scenario, endpoints, executeRequest, { onStep: record, context });
+    record(results, true);
+    setRunning(false);
+  };
+
+  const resultFor = (step) => run?.steps.find(r => r.stepId === step.id);
+  const passedCount = run?.steps.filter(r => r.passed).length || 0;
+
+  return (
+    <div className="grid grid-cols-12 gap-6">
+      {/* Scenario List */}
+      <div className="col-span-12 md:col-span-4 lg:col-span-3">
+        <Card className="overflow-hidden">
+          <div className="p-4 border-b border-slate-100 bg-slate-50 flex justify-between items-center">
+            <h3 className="font-semibold text-slate-700">Scenarios</h3>
+            <button onClick={createScenario} className="text-xs text-blue-600 hover:underline flex items-center gap-1">
+              <Plus size={12} /> New
+            </button>
+          </div>
+          <div className="p-2 space-y-1">
+            {scenarios.length === 0 && (
+              <div className="p-4 text-center text-xs text-slate-400">No scenarios yet.</div>
+            )}
+            {scenarios.map(s => {
+              const lastRun = runs[s.id];
+              const failed = lastRun?.steps.some(r => !r.passed);
+              return (
+                <button
+                  key={s.id}
+                  onClick={() => setSelectedId(s.id)}
+                  className={`w-full text-left px-3 py-2 rounded-md text-sm transition-all flex items-center justify-between gap-2 ${selectedId === s.id ? 'bg-blue-50 border-blue-200 border' : 'hover:bg-slate-50 border border-transparent'}`}
+                >
+                  <span className="truncate text-slate-700 font-medium">{s.name}</span>
+                  <span className="flex items-center gap-2 shrink-0">
+                    <span className="text-[10px] text-slate-400">{s.steps.length} step(s)</span>
+                    {lastRun?.finished && (failed
+                      ? <XCircle size={14} className="text-red-500" />
+                      : <CheckCircle size={14} className="text-green-500" />)}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </Card>
+      </div>
+
+      {/* Scenario Editor */}
+      <div className="col-span-12 md:col-span-8 lg:col-span-9 space-y-4">
+        {!scenario ? (
+          <div className="h-full flex flex-col items-center justify-center text-slate-400 p-12 border-2 border-dashed border-slate-200 rounded-xl">
+            <div className="bg-slate-100 p-4 rounded-full mb-4">
+              <ListOrdered size={32} className="text-slate-300" />
+            </div>
+            <p>Create a scenario to chain requests, e.g. create user &rarr; read user &rarr; delete user.</p>
+          </div>
+        ) : (
+          <>
+            <Card className="p-4 flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                className="flex-1 min-w-[12rem] text-lg font-semibold text-slate-800 border-b border-transparent hover:border-slate-200 focus:border-blue-400 outline-none bg-transparent"
+                value={scenario.name}
+                onChange={(e) => updateScenario({ name: e.target.value })}
+              />
+              <label className="text-xs text-slate-500 flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={scenario.stopOnFailure !== false}
+                  onChange={(e) => updateScenario({ stopOnFailure: e.target.checked })}
+                />
+                Stop on first failure
+              </label>
+              <button
+                onClick={deleteScenario}
+                className="text-xs text-red-500 hover:text-red-700 flex items-center gap-1 px-2 py-1 rounded hover:bg-red-50 transition-colors"
+              >
+                <Trash2 size={12} /> Delete
+              </button>
+              <button
+                onClick={handleRun}
+                disabled={running || scenario.steps.length === 0 || nameErrors.some(Boolean)}
+                className={`px-5 py-2 rounded-md font-medium text-white shadow-sm flex items-center gap-2 ${running || scenario.steps.length === 0 ? 'bg-slate-400' : 'bg-green-600 hover:bg-green-700'}`}
+              >
+                {running ? 'Running...' : <><Play size={16} /> Run Scenario</>}
+              </button>
+            </Card>
+
+            {run?.finished && (
+              <div className={`p-3 rounded-md text-sm flex items-center gap-2 ${passedCount === scenario.steps.length ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                {passedCount === scenario.steps.length ? <CheckCircle size={16} /> : <XCircle size={16} />}
+                <span><strong>{passedCount}</strong> of {scenario.steps.length} step(s) passed</span>
+                <span className="text-xs opacity-70 ml-auto">{new Date(run.startedAt).toLocaleString()}</span>
+              </div>
+            )}
+
+            <p className="text-xs text-slate-500">
+              Use <code className="bg-slate-100 px-1 rounded">{'{{stepName.body.id}}'}</code>, <code className="bg-slate-100 px-1 rounded">{'{{stepName.status}}'}</code> to reuse earlier responses.
+              Add <code className="bg-slate-100 px-1 rounded">_expect_status</code>, <code className="bg-slate-100 px-1 rounded">_expect_body.$.path</code> or <code className="bg-slate-100 px-1 rounded">_max_ms</code> inputs to assert.
+            </p>
+
+            {scenario.steps.map((step, index) => {
+              const endpoint = findStepEndpoint(endpoints, step);
+              return (
+                <Card key={step.id} className="p-4">
+                  <div className="flex flex-wrap items-start gap-3">
+                    <span className="w-7 h-7 shrink-0 rounded-full bg-blue-600 text-white text-xs font-bold flex items-center justify-center mt-1">{index + 1}</span>
+                    <div className="w-48">
+                      <input
+                        type="text"
+                        className={`w-full rounded-md border p-2 text-sm font-mono ${nameErrors[index] ? 'border-red-400' : 'border-slate-300'}`}
+                        value={step.name}
+                        onChange={(e) => updateStep(step.id, { name: e.target.value })}
+                        title="Step name used in {{references}}"
+                      />
+                      {nameErrors[index] && <p className="text-[10px] text-red-600 mt-1">{nameErrors[index]}</p>}
+                    </div>
+                    <div className="flex-1 min-w-[16rem]">
+                      {endpoint ? (
+                        <SearchableSelect options={endpointOptions} value={endpoint.id} onChange={(id) => changeStepEndpoint(step, id)} />
+                      ) : (
+                        <div className="p-2 text-sm rounded-md border border-red-200 bg-red-50 text-red-600 flex items-center gap-2">
+                          <Badge method={step.method || 'get'} /> {step.path} <span className="text-xs">(not in current spec)</span>
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <button disabled={index === 0} onClick={() => moveStep(index, -1)} className="p-1.5 text-slate-400 hover:text-slate-700 disabled:opacity-30" title="Move up"><ArrowUp size={14} /></button>
+                      <button disabled={index === scenario.steps.length - 1} onClick={() => moveStep(index, 1)} className="p-1.5 text-slate-400 hover:text-slate-700 disabled:opacity-30" title="Move down"><ArrowDown size={14} /></button>
+                      <button onClick={() => updateScenario({ steps: scenario.steps.filter(s => s.id !== step.id) })} className="p-1.5 text-slate-400 hover:text-red-500" title="Remove step"><Trash2 size={14} /></button>
+                    </div>
+                  </div>
+
+                  <div className="mt-3 ml-10 space-y-2">
+                    {step.inputs.map((input, i) => (
+                      <div key={i} className="flex gap-2 items-center">
+                        <input
+                          type="text"
+                          className="w-1/3 rounded-md border border-slate-300 p-1.5 text-xs font-mono"
+                          placeholder="key (e.g. id, address.city)"
+                          value={input.key}
+                          onChange={(e) => updateStep(step.id, { inputs: step.inputs.map((x, j) => (j === i ? { ...x, key: e.target.value } : x)) })}
+                        />
+                        <input
+                          type="text"
+                          className="flex-1 rounded-md border border-slate-300 p-1.5 text-xs font-mono"
+                          placeholder={index > 0 ? `{{${scenario.steps[0].name}.body.id}}` : 'value'}
+                          value={input.value}
+                          onChange={(e) => updateStep(step.id, { inputs: step.inputs.map((x, j) => (j === i ? { ...x, value: e.target.value } : x)) })}
+                        />
+                        <button
+                          onClick={() => updateStep(step.id, { inputs: step.inputs.filter((_, j) => j !== i) })}
+                          className="p-1 text-slate-300 hover:text-red-500"
+                          title="Remove input"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </div>
+                    ))}
+                    <div className="flex gap-4 text-xs">
+                      <button onClick={() => updateStep(step.id, { inputs: [...step.inputs, { key: '', value: '' }] })} className="text-blue-600 hover:underline flex items-center gap-1">
+                        <Plus size={12} /> Add input
+                      </button>
+                      {endpoint && (
+                        <button
+                          onClick={() => {
+                            const existing = step.inputs.map(i => i.key);
+                            updateStep(step.id, { inputs: [...step.inputs, ...stepInputsFor(endpoint).filter(i => !existing.includes(i.key))] });
+                          }}
+                          className="text-blue-600 hover:underline flex items-center gap-1"
+                        >
+                          <Wand2 size={12} /> Add all endpoint fields
+                        </button>
+                      )}
+                    </div>
+                    <StepResult result={resultFor(step)} />
+                  </div>
+                </Card>
+              );
+            })}
+
+            <button
+              onClick={addStep}
+              disabled={endpoints.length === 0}
+              className="w-full py-3 border-2 border-dashed border-slate-300 rounded-lg text-sm text-slate-500 hover:bg-slate-50 hover:border-blue-300 hover:text-blue-600 transition-colors flex items-center justify-center gap-2"
+            >
+              <Plus size={16} /> Add Step
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+import React from 'react';
+import { Plus, Trash2, AlertCircle } from 'lucide-react';
+import { pickVariant, joinFieldPath, schemaType } from '../utils/schema.js';
+
+/**
+ * Recursive request-body form: nested fieldsets for objects, repeatable rows for
+ * arrays and a variant picker for oneOf/anyOf.
+ */
+
+const inputClass = (required, invalid = false) =>
+  `w-full rounded-md border shadow-sm p-2 text-sm transition-colors ${invalid ? 'border-red-400 bg-red-50/30 focus:border-red-500 focus:ring-1 focus:ring-red-500' : required ? 'border-slate-300 focus:border-red-500 focus:ring-1 focus:ring-red-500' : 'border-slate-300 focus:border-blue-500 focus:ring-1 focus:ring-blue-500'}`;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ISO timestamps (from defaults / examples) -> "YYYY-MM-DDTHH:mm" for datetime-local inputs
+const toDateTimeLocal = (value) => {
+  if (!value || /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value)) return value || '';
+  const date = new Date(value);
+  if (isNaN(date)) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const FieldErrors = ({ errors }) => (errors?.length ? (
+  <div className="mt-1 space-y-0.5">
+    {errors.map((msg, i) => (
+      <p key={i} className="text-xs text-red-600 flex items-center gap-1">
+        <AlertCircle size={12} className="shrink-0" /> {msg}
+      </p>
+    ))}
+  </div>
+) : null);
+
+/**
+ * Input chosen from the schema: select for enums, checkbox for booleans,
+ * date pickers for date / date-time, number inputs with min / max and a file
+ * picker for binary (multipart upload) fields.
+ */
+export const PrimitiveInput = ({ schema = {}, name, required, value, onChange, placeholder, invalid }) => {
+  const type = schemaType(schema);
+  const className = inputClass(required, invalid);
+
+  if (schema.enum) {
+    return (
+      <select className={`${className} bg-white`} value={value === undefined || value === null ? '' : String(value)} onChange={(e) => onChange(e.target.value)}>
+        <option value="">{required ? '-- select --' : '-- not set --'}</option>
+        {schema.enum.map(option => (
+          <option key={String(option)} value={String(option)}>{String(option)}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (type === 'boolean') {
+    const isSet = value !== undefined && value !== '';
+    const checked = value === true || value === 'true';
+    return (
+      <div className="flex items-center gap-3 h-[38px] text-sm">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            className="h-4 w-4 rounded border-slate-300"
+            checked={checked}
+            onChange={(e) => onChange(e.target.checked)}
+          />
+          <span className={isSet ? 'text-slate-700 font-mono text-xs' : 'text-slate-400 italic text-xs'}>
+            {isSet ? String(checked) : 'not set'}
+          </span>
+        </label>
+        {isSet && !required && (
+          <button onClick={() => onChange(undefined)} className="text-xs text-slate-400 hover:text-slate-600 hover:underline">clear</button>
+        )}
+      </div>
+    );
+  }
+
+  const common = {
+    className,
+    placeholder: placeholder || `Enter ${name}`,
+    onChange: (e) => onChange(e.target.value)
+  };
+
+  if (type === 'integer' || type === 'number') {
+    return (
+      <input
+        type="number"
+        min={schema.minimum}
+        max={schema.maximum}
+        step={type === 'integer' ? 1 : 'any'}
+        value={value ?? ''}
+        {...common}
+      />
+    );
+  }
+  if (schema.format === 'date-time') {
+    return <input type="datetime-local" value={toDateTimeLocal(value)} {...common} />;
+  }
+  if (schema.format === 'date') {
+    return <input type="date" value={value ?? ''} {...common} />;
+  }
+  if (schema.format === 'binary') {
+    // File inputs can't be given a value, so the picked file is named next to it
+    const file = value instanceof Blob ? value : null;
+    return (
+      <div className="flex items-center gap-2 text-xs text-slate-500">
+        <input type="file" className="text-xs flex-1 min-w-0" onChange={(e) => onChange(e.target.files[0] || undefined)} />
+        {file && <span className="font-mono truncate" title={file.name}>{file.name} ({file.size} B)</span>}
+      </div>
+    );
+  }
+
+  const inputType = { email: 'email', password: 'password', uri: 'url' }[schema.format] || 'text';
+  return (
+    <input
+      type={inputType}
+      maxLength={schema.maxLength}
+      value={typeof value === 'object' && value !== null ? JSON.stringify(value) : value ?? ''}
+      {...common}
+    />
+  );
+};
+
+const asObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+export const FieldLabel = ({ label, required, tag }) => (
+  <div className="flex justify-between items-baseline mb-1">
+    <label className="text-sm font-medium text-slate-700 flex items-center">
+      {label}
+      {required ? (
+         <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold bg-red-50 text-red-600 border border-red-100 uppercase tracking-wide">Required</span>
+      ) : (
+         <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold bg-slate-50 text-slate-500 border border-slate-200 uppercase tracking-wide">Optional</span>
+      )}
+    </label>
+    {tag && <span className="text-[10px] text-slate-400 font-mono">{tag}</span>}
+  </div>
+);
+
+const ObjectChildren = ({ node, value, onChange, path, hidden = [], ...shared }) => {
+  const obj = asObject(value);
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {node.children.filter(child => !hidden.includes(child.name)).map(child => (
+        <SchemaField
+          key={child.name}
+          node={child}
+          value={obj[child.name]}
+          onChange={(v) => onChange({ ...obj, [child.name]: v })}
+          path={joinFieldPath(path, child.name)}
+          {...shared}
+        />
+      ))}
+    </div>
+  );
+};
+
+const Fieldset = ({ label, node, errors, children }) => (
+  <fieldset className={`md:col-span-2 border rounded-lg p-4 bg-slate-50/50 ${errors?.length ? 'border-red-300' : 'border-slate-200'}`}>
+    <legend className="px-1">
+      <FieldLabel label={label} required={node.required} tag={node.kind === 'array' ? 'ARRAY' : 'OBJECT'} />
+    </legend>
+    {node.description && <p className="text-xs text-slate-500 mb-3">{node.description}</p>}
+    {children}
+    <FieldErrors errors={errors} />
+  </fieldset>
+);
+
+/**
+ * `errors` maps dotted field paths ("items.0.sku") to validation messages.
+ */
+export const SchemaField = ({ node, value, onChange, path, variants = {}, onVariantChange, errors = {}, label, tag }) => {
+  const title = label ?? node.name;
+  const shared = { variants, onVariantChange, errors };
+  const ownErrors = errors[path];
+
+  if (node.kind === 'object') {
+    return (
+      <Fieldset label={title} node={node} errors={ownErrors}>
+        <ObjectChildren node={node} value={value} onChange={onChange} path={path} {...shared} />
+      </Fieldset>
+    );
+  }
+
+  if (node.kind === 'array') {
+    const items = Array.isArray(value) ? value : [];
+    return (
+      <Fieldset label={title} node={node} errors={ownErrors}>
+        <div className="space-y-3">
+          {items.map((item, i) => (
+            <div key={i} className="flex gap-2 items-start">
+              <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-4">
+                <SchemaField
+                  node={node.item}
+                  label={`${title}[${i}]`}
+                  value={item}
+                  onChange={(v) => onChange(items.map((old, j) => (j === i ? v : old)))}
+                  path={joinFieldPath(path, i)}
+                  {...shared}
+                />
+              </div>
+              <button
+                onClick={() => onChange(items.filter((_, j) => j !== i))}
+                className="mt-6 p-1.5 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded transition-colors"
+                title="Remove item"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => onChange([...items, node.item.kind === 'primitive' ? '' : {}])}
+            className="text-xs text-blue-600 hover:underline flex items-center gap-1"
+          >
+            <Plus size={12} /> Add item
+          </button>
+        </div>
+      </Fieldset>
+    );
+  }
+
+  if (node.kind === 'variant') {
+    const selected = pickVariant(node, value, variants, path);
+    const option = node.variants[selected] || node.variants[0];
+    const selectVariant = (idx) => {
+      const next = node.variants[idx];
+      if (node.discriminator && next.discriminatorValue) {
+        onChange({ ...asObject(value), [node.discriminator]: next.discriminatorValue });
+      }
+      onVariantChange?.(path, idx);
+    };
+    return (
+      <fieldset className="md:col-span-2 border border-indigo-200 rounded-lg p-4 bg-indigo-50/30">
+        <legend className="px-1">
+          <FieldLabel label={title} required={node.required} tag={node.schema.anyOf ? 'ANY OF' : 'ONE OF'} />
+        </legend>
+        <div className="mb-3 flex items-center gap-2">
+          <span className="text-xs text-slate-500">{node.discriminator ? `${node.discriminator}:` : 'Variant:'}</span>
+          <select
+            className="rounded-md border border-slate-300 p-1.5 text-sm bg-white"
+            value={selected}
+            onChange={(e) => selectVariant(Number(e.target.value))}
+          >
+            {node.variants.map((v, i) => <option key={i} value={i}>{v.label}</option>)}
+          </select>
+        </div>
+        {option.node.kind === 'object' ? (
+          <ObjectChildren
+            node={option.node}
+            value={value}
+            onChange={onChange}
+            path={path}
+            hidden={node.discriminator ? [node.discriminator] : []}
+            {...shared}
+          />
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <SchemaField node={option.node} label={option.label} value={value} onChange={onChange} path={path} {...shared} />
+          </div>
+        )}
+        {option.node.kind === 'object' && <FieldErrors errors={ownErrors} />}
+      </fieldset>
+    );
+  }
+
+  if (node.kind === 'json') {
+    return (
+      <div className="md:col-span-2">
+        <FieldLabel label={title} required={node.required} tag={tag || 'JSON'} />
+        <textarea
+          className={`${inputClass(node.required, !!ownErrors)} font-mono text-xs h-24`}
+          placeholder={node.circular ? 'Recursive structure - enter JSON' : 'Enter JSON'}
+          value={typeof value === 'string' ? value : value === undefined ? '' : JSON.stringify(value, null, 2)}
+          onChange={(e) => onChange(e.target.value)}
+        />
+        <FieldErrors errors={ownErrors} />
+        {node.description && <p className="text-xs text-slate-500 mt-1 truncate" title={node.description}>{node.description}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <FieldLabel label={title} required={node.required} tag={tag} />
+      <PrimitiveInput
+        schema={node.schema}
+        name={node.name}
+        required={node.required}
+        value={value}
+        onChange={onChange}
+        placeholder={node.description}
+        invalid={!!ownErrors}
+      />
+      <FieldErrors errors={ownErrors} />
+      {node.description && <p className="text-xs text-slate-500 mt-1 truncate" title={node.description}>{node.description}</p>}
+    </div>
+  );
+};
@@ -0,0 +1,202 @@
+import React, { useState, useMemo } from 'react';
+import { GitCompare, Upload, AlertCircle, AlertTriangle, CheckCircle, ChevronRight, X } from 'lucide-react';
+import { parseSpecDocument } from '../utils/engine.js';
+import { findRootFile } from '../utils/specLoader.js';
+import { readSpecFileList } from '../utils/fileReaders.js';
+import { diffSpecs, summarizeSpecDiff, findAffected } from '../utils/specDiff.js';
+
+const CHANGE_STYLES = {
+  added: 'text-green-700 bg-green-50',
+  removed: 'text-red-700 bg-red-50',
+  changed: 'text-amber-700 bg-amber-50'
+};
+
+// Changes grouped per operation, operations with breaking changes first
+const groupByEndpoint = (changes) => {
+  const groups = new Map();
+  changes.forEach(change => {
+    if (!groups.has(change.key)) groups.set(change.key, { label: change.endpoint, changes: [] });
+    groups.get(change.key).changes.push(change);
+  });
+  return [...groups.values()].sort((a, b) => b.changes.some(c => c.breaking) - a.changes.some(c => c.breaking));
+};
+
+/**
+ * Compares the loaded spec with another version of it - a candidate pasted / uploaded
+ * here, or else the spec loaded before the last parse - and lists what changed, which
+ * changes break existing clients and which dataset rows / scenario steps they hit.
+ */
+export default function SpecDiffPanel({ spec, previousSpec, batchData, scenarios, defaultEndpoint, onApply }) {
+  const [candidateInput, setCandidateInput] = useState('');
+  const [candidateFiles, setCandidateFiles] = useState({});
+  const [candidateRoot, setCandidateRoot] = useState('');
+  const [showNonBreaking, setShowNonBreaking] = useState(true);
+
+  // { spec } or { error } for the candidate text; null while there's none
+  const candidate = useMemo(() => {
+    if (!candidateInput.trim()) return null;
+    try {
+      return { spec: parseSpecDocument(candidateInput, candidateRoot, candidateFiles) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [candidateInput, candidateRoot, candidateFiles]);
+
+  // A candidate is compared against what is loaded; without one, what is loaded against what was before
+  const [before, after] = candidate?.spec ? [spec, candidate.spec] : [previousSpec, spec];
+  const changes = useMemo(() => (before && after ? diffSpecs(before, after) : []), [before, after]);
+  const summary = summarizeSpecDiff(changes);
+  const affected = useMemo(
+    () => (before ? findAffected(changes, { endpoints: before.endpoints, batchData, scenarios, defaultEndpoint }) : { rows: [], scenarios: [] }),
+    [changes, before, batchData, scenarios, defaultEndpoint]
+  );
+  const groups = groupByEndpoint(showNonBreaking ? changes : changes.filter(c => c.breaking));
+
+  const handleUpload = async (e) => {
+    if (!e.target.files?.length) return;
+    const files = await readSpecFileList(e.target.files);
+    e.target.value = '';
+    const rootPath = findRootFile(files) || Object.keys(files)[0];
+    if (!rootPath) return;
+    setCandidateFiles(files);
+    setCandidateRoot(rootPath);
+    setCandidateInput(files[rootPath]);
+  };
+
+  const clearCandidate = () => {
+    setCandidateInput('');
+    setCandidateFiles({});
+    setCandidateRoot('');
+  };
+
+  const applyCandidate = () => {
+    onApply({ input: candidateInput, rootPath: candidateRoot, files: candidateFiles });
+    clearCandidate();
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-slate-500 text-sm">
+        Paste or upload another version of the spec to see what changes against the loaded one.
+        Without one, the loaded spec is compared with the one parsed before it.
+      </p>
+      <textarea
+        className="w-full h-24 font-mono text-xs bg-slate-50 border border-slate-300 rounded-md p-3 focus:ring-2 focus:ring-blue-500 outline-none"
+        placeholder="Paste the other spec version here..."
+        value={candidateInput}
+        onChange={(e) => { setCandidateInput(e.target.value); setCandidateFiles({}); setCandidateRoot(''); }}
+      />
+      <div className="flex flex-wrap items-center gap-3 text-xs">
+        <label className="text-blue-600 hover:underline cursor-pointer flex items-center gap-1">
+          <Upload size={12} /> Upload files
+          <input type="file" multiple accept=".json,.yaml,.yml" className="hidden" onChange={handleUpload} />
+        </label>
+        {candidateInput && (
+          <button onClick={clearCandidate} className="text-slate-400 hover:text-red-500 flex items-center gap-1">
+            <X size={12} /> Clear
+          </button>
+        )}
+        {Object.keys(candidateFiles).length > 1 && (
+          <span className="text-slate-400">{Object.keys(candidateFiles).length} files, entry <code>{candidateRoot}</code></span>
+        )}
+      </div>
+      {candidate?.error && (
+        <div className="p-3 bg-red-50 text-red-600 text-sm rounded-md flex items-center gap-2">
+          <AlertCircle size={16} /> {candidate.error}
+        </div>
+      )}
+
+      {!before || !after ? (
+        !candidate?.error && <div className="text-sm text-slate-400 italic">Nothing to compare yet.</div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="font-semibold text-slate-700 flex items-center gap-2">
+              <GitCompare size={16} className="text-blue-500" />
+              {candidate?.spec ? 'Loaded spec → this version' : 'Previous spec → loaded spec'}
+            </h3>
+            <div className="flex items-center gap-2 text-xs">
+              <span className={`px-2 py-0.5 rounded font-semibold ${summary.breaking ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                {summary.breaking} breaking
+              </span>
+              <span className="px-2 py-0.5 rounded bg-slate-100 text-slate-600">{summary.total - summary.breaking} non-breaking</span>
+              <span className="text-slate-500">
+                {summary.added} operation(s) added, {summary.removed} removed, {summary.changed} changed
+              </span>
+            </div>
+          </div>
+
+          {changes.length === 0 ? (
+            <div className="p-3 bg-green-50 text-green-700 text-sm rounded-md flex items-center gap-2">
+              <CheckCircle size={16} /> No differences in operations, parameters, request bodies or responses.
+            </div>
+          ) : (
+            <>
+              <label className="flex items-center gap-2 text-xs text-slate-600">
+                <input type="checkbox" checked={showNonBreaking} onChange={(e) => setShowNonBreaking(e.target.checked)} />
+                Show non-breaking changes
+              </label>
+              <div className="border border-slate-200 rounded-md divide-y divide-slate-100 max-h-96 overflow-y-auto">
+                {groups.map(group => (
+                  <div key={group.label} className="p-3">
+                    <div className="font-mono text-xs font-semibold text-slate-700 mb-1">{group.label}</div>
+                    <ul className="space-y-1">
+                      {group.changes.map((change, i) => (
+                        <li key={i} className="flex items-center gap-2 text-xs">
+                          <span className={`px-1.5 py-0.5 rounded uppercase text-[10px] font-bold ${change.breaking ? 'bg-red-100 text-red-700' : 'bg-slate-100 text-slate-500'}`}>
+                            {change.breaking ? 'breaking' : 'non-breaking'}
+                          </span>
+                          <span className={`px-1.5 py-0.5 rounded ${CHANGE_STYLES[change.change]}`}>{change.change}</span>
+                          <span className="text-slate-700">{change.message}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {(affected.rows.length > 0 || affected.scenarios.length > 0) && (
+            <div className="p-3 bg-amber-50 border border-amber-200 rounded-md text-xs space-y-2">
+              <div className="font-semibold text-amber-800 flex items-center gap-2">
+                <AlertTriangle size={14} /> Affected by breaking changes
+              </div>
+              {affected.rows.length > 0 && (
+                <div>
+                  <div className="font-medium text-amber-800 mb-1">Batch dataset: {affected.rows.length} row(s)</div>
+                  <ul className="space-y-0.5 text-amber-900">
+                    {affected.rows.map(({ row, messages }) => (
+                      <li key={row}><span className="font-mono">Row {row}</span> - {messages.join('; ')}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {affected.scenarios.map(scenario => (
+                <div key={scenario.id}>
+                  <div className="font-medium text-amber-800 mb-1">Scenario: {scenario.name}</div>
+                  <ul className="space-y-0.5 text-amber-900">
+                    {scenario.steps.map(step => (
+                      <li key={step.name}><span className="font-mono">{step.name}</span> - {step.messages.join('; ')}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {candidate?.spec && (
+            <div className="flex justify-end">
+              <button
+                onClick={applyCandidate}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors shadow-sm flex items-center gap-2"
+              >
+                Switch to this version <ChevronRight size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Briefcase, Plus, Trash2, Download, Upload } from 'lucide-react';
+
+/**
+ * Setup-tab card for workspaces: rename the current one, start a new one,
+ * switch, delete, and export / import a shareable workspace file.
+ */
+export default function WorkspaceManager({ workspaces, workspaceId, name, onSwitch, onRename, onCreate, onDelete, onExport, onImport }) {
+  const others = workspaces.filter(w => w.id !== workspaceId);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold flex items-center gap-2">
+          <Briefcase className="text-blue-500" />
+          Workspace
+        </h2>
+        <div className="flex items-center gap-1">
+          <button onClick={onCreate} className="text-xs text-blue-600 hover:bg-blue-50 flex items-center gap-1 px-2 py-1.5 rounded transition-colors">
+            <Plus size={12} /> New
+          </button>
+          <label className="text-xs text-slate-600 hover:bg-slate-100 flex items-center gap-1 px-2 py-1.5 rounded transition-colors cursor-pointer">
+            <Upload size={12} /> Import
+            <input type="file" accept=".json,application/json" className="hidden" onChange={onImport} />
+          </label>
+          <button onClick={onExport} disabled={!workspaceId} className="text-xs text-slate-600 hover:bg-slate-100 disabled:opacity-40 flex items-center gap-1 px-2 py-1.5 rounded transition-colors">
+            <Download size={12} /> Export
+          </button>
+          <button onClick={onDelete} disabled={!workspaceId} className="text-xs text-red-500 hover:text-red-700 hover:bg-red-50 disabled:opacity-40 flex items-center gap-1 px-2 py-1.5 rounded transition-colors">
+            <Trash2 size={12} /> Delete
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+        <input
+          type="text"
+          className="w-full rounded-md border-slate-300 border p-2 text-sm"
+          value={name}
+          onChange={(e) => onRename(e.target.value)}
+          disabled={!workspaceId}
+        />
+        <p className="text-xs text-slate-400 mt-1">
+          The spec, environments, form values, batch runs and scenarios are saved in this browser automatically.
+          Export to share a ready-to-test setup with a teammate.
+        </p>
+      </div>
+
+      {others.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">Other workspaces</label>
+          <div className="flex flex-wrap gap-2">
+            {others.map(w => (
+              <button
+                key={w.id}
+                onClick={() => onSwitch(w.id)}
+                className="px-3 py-1.5 rounded-md text-sm text-slate-600 hover:bg-slate-50 border border-slate-200 transition-colors"
+                title={`Last saved ${new Date(w.updatedAt).toLocaleString()}`}
+              >
+                {w.name || 'Untitled'}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronDown, Search, Plus, Trash2 } from 'lucide-react';
+
+/**
+ * SHARED COMPONENTS
+ */
+
+export const Card = ({ children, className = "" }) => (
+  <div className={`bg-white rounded-xl shadow-sm border border-slate-200 ${className}`}>
+    {children}
+  </div>
+);
+
+export const Badge = ({ method }) => {
+  const colors = {
+    get: 'bg-blue-100 text-blue-700',
+    post: 'bg-green-100 text-green-700',
+    put: 'bg-orange-100 text-orange-700',
+    delete: 'bg-red-100 text-red-700',
+    patch: 'bg-yellow-100 text-yellow-700'
+  };
+  return (
+    <span className={`uppercase px-2 py-0.5 rounded text-xs font-bold ${colors[method.toLowerCase()] || 'bg-slate-100'}`}>
+      {method}
+    </span>
+  );
+};
+
+// Searchable Select Component
+export const SearchableSelect = ({ options, value, onChange, placeholder = "Select option..." }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState("");
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const filteredOptions = options.filter(opt =>
+    opt.label.toLowerCase().includes(search.toLowerCase()) ||
+    opt.subLabel.toLowerCase().includes(search.toLowerCase())
+  );
+
+  const selectedOption = options.find(o => o.value === value);
+
+  return (
+    <div className="relative" ref={wrapperRef}>
+      <div
+        className="w-full p-2 border border-slate-300 rounded-md text-sm flex justify-between items-center cursor-pointer bg-white hover:border-blue-400 transition-colors"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <span className={selectedOption ? "text-slate-800" : "text-slate-400"}>
+          {selectedOption ? (
+            <span className="flex items-center gap-2">
+               <Badge method={selectedOption.method} />
+               <span className="truncate">{selectedOption.label}</span>
+            </span>
+          ) : placeholder}
+        </span>
+        <ChevronDown size={16} className="text-slate-400" />
+      </div>
+
+      {isOpen && (
+        <div className="absolute z-50 w-full mt-1 bg-white border border-slate-200 rounded-md shadow-lg max-h-60 overflow-auto animate-in fade-in zoom-in-95 duration-100">
+          <div className="p-2 sticky top-0 bg-white border-b border-slate-100">
+             <div className="relative">
+                <Search size={14} className="absolute left-2 top-2 text-slate-400"/>
+                <input
+                  type="text"
+                  className="w-full pl-8 pr-2 py-1 text-xs border border-slate-200 rounded bg-slate-50 focus:outline-none focus:border-blue-400 focus:ring-1 focus:ring-blue-400"
+                  placeholder="Search API..."
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  autoFocus
+                  onClick={(e) => e.stopPropagation()} 
+                />
+             </div>
+          </div>
+          {filteredOptions.length === 0 ? (
+            <div className="p-3 text-xs text-slate-400 text-center">No results found</div>
+          ) : (
+            filteredOptions.map(opt => (
+              <div
+                key={opt.value}
+                className={`px-3 py-2 text-sm cursor-pointer hover:bg-slate-50 flex items-center gap-2 border-b border-slate-50 last:border-0 ${value === opt.value ? 'bg-blue-50' : ''}`}
+                onClick={() => {
+                  onChange(opt.value);
+                  setIsOpen(false);
+                  setSearch('');
+                }}
+              >
+                <div className="shrink-0">
+                  <Badge method={opt.method} />
+                </div>
+                <div className="flex flex-col overflow-hidden">
+                   <span className="truncate font-medium text-slate-700">{opt.label}</span>
+                   <span className="truncate text-[10px] text-slate-400">{opt.subLabel}</span>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Editable list of { key, value } rows (headers, variables)
+export const KeyValueEditor = ({ rows, onChange, keyPlaceholder = 'Key', valuePlaceholder = 'Value', addLabel = 'Add row' }) => (
+  <div className="space-y-2">
+    {rows.map((row, i) => (
+      <div key={i} className="flex gap-2 items-center">
+        <input
+          type="text"
+          className="w-1/3 rounded-md border border-slate-300 p-1.5 text-xs font-mono"
+          placeholder={keyPlaceholder}
+          value={row.key}
+          onChange={(e) => onChange(rows.map((r, j) => (j === i ? { ...r, key: e.target.value } : r)))}
+        />
+        <input
+          type="text"
+          className="flex-1 rounded-md border border-slate-300 p-1.5 text-xs font-mono"
+          placeholder={valuePlaceholder}
+          value={row.value}
+          onChange={(e) => onChange(rows.map((r, j) => (j === i ? { ...r, value: e.target.value } : r)))}
+        />
+        <button
+          onClick={() => onChange(rows.filter((_, j) => j !== i))}
+          className="p-1 text-slate-300 hover:text-red-500"
+          title="Remove"
+        >
+          <Trash2 size={12} />
+        </button>
+      </div>
+    ))}
+    <button
+      onClick={() => onChange([...rows, { key: '', value: '' }])}
+      className="text-xs text-blue-600 hover:underline flex items-center gap-1"
+    >
+      <Plus size={12} /> {addLabel}
+    </button>
+  </div>
+);
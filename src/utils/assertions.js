@@ -0,0 +1,133 @@
+import { queryJsonPath } from './jsonPath.js';
+
+/**
+ * BATCH ASSERTIONS
+ * Reserved CSV columns evaluated against each row's response:
+ *   _expect_status          200 | 4xx | 200,201 | 400-499
+ *   _expect_body.<jsonpath> value, or an operator: !=x  >5  >=5  <5  <=5  ~regex  exists  !exists
+ *   _expect_contains        substring of the raw response body
+ *   _max_ms                 latency limit in milliseconds
+ * Rows without _expect_status still need a 2xx response to pass. Results of the
+ * endpoint's own Postman test scripts (pm.test) count as assertions too.
+ */
+
+export const BODY_ASSERTION_PREFIX = '_expect_body';
+
+export const isAssertionColumn = (key) => key.startsWith('_expect_') || key === '_max_ms';
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const stringify = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+export const matchesStatus = (expected, status) => String(expected)
+  .split(/[,|]/)
+  .map(part => part.trim())
+  .filter(Boolean)
+  .some(part => {
+    if (/^\dxx$/i.test(part)) return String(status)[0] === part[0];
+    const range = part.match(/^(\d{3})\s*-\s*(\d{3})$/);
+    if (range) return status >= Number(range[1]) && status <= Number(range[2]);
+    return Number(part) === status;
+  });
+
+// Returns an error message, or null when the matched values satisfy the expectation
+const checkValue = (expected, matches) => {
+  const exp = String(expected).trim();
+  if (exp === 'exists') return matches.length > 0 ? null : 'path not found';
+  if (exp === '!exists') return matches.length === 0 ? null : `expected no value, got ${stringify(matches[0])}`;
+  if (matches.length === 0) return 'path not found';
+
+  const actual = matches.length === 1 ? matches[0] : matches;
+  const actualText = stringify(actual);
+  const numeric = (text) => (text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : NaN);
+
+  const comparison = exp.match(/^(>=|<=|>|<)\s*(.+)$/);
+  if (comparison) {
+    const [, op, bound] = comparison;
+    const a = numeric(actualText);
+    const b = numeric(bound);
+    if (isNaN(a) || isNaN(b)) return `expected a number ${op} ${bound}, got ${actualText}`;
+    const ok = { '>': a > b, '>=': a >= b, '<': a < b, '<=': a <= b }[op];
+    return ok ? null : `expected ${op} ${bound}, got ${actualText}`;
+  }
+  if (exp.startsWith('~')) {
+    try {
+      return new RegExp(exp.slice(1)).test(actualText) ? null : `expected to match /${exp.slice(1)}/, got ${actualText}`;
+    } catch {
+      return `invalid regex /${exp.slice(1)}/`;
+    }
+  }
+  if (exp.startsWith('!=')) {
+    return actualText === exp.slice(2).trim() ? `expected anything but ${exp.slice(2).trim()}` : null;
+  }
+
+  // Plain equality: compare as text, and as JSON for objects / arrays typed into a cell
+  const wanted = exp.startsWith('=') ? exp.slice(1) : exp;
+  if (actualText === wanted) return null;
+  try {
+    if (JSON.stringify(JSON.parse(wanted)) === JSON.stringify(actual)) return null;
+  } catch {
+    // Not JSON - the text comparison above is all we can do
+  }
+  return `expected ${wanted}, got ${actualText}`;
+};
+
+/**
+ * Evaluates a row's assertion columns against an executeRequest result.
+ * Returns { passed, total, failures: [message] }.
+ */
+export const evaluateAssertions = (row, result) => {
+  const failures = [];
+  let total = 0;
+
+  total++;
+  const noResponse = result.isTimeout ? 'timeout' : result.isCancelled ? 'cancelled' : result.isNetworkError ? 'network error' : result.isRequestError ? 'request error' : 'none';
+  if (hasValue(row._expect_status)) {
+    if (!matchesStatus(row._expect_status, result.status)) {
+      failures.push(`status: expected ${row._expect_status}, got ${result.status || noResponse}`);
+    }
+  } else if (!result.success) {
+    failures.push(result.status ? `status: expected 2xx, got ${result.status}` : `${noResponse}: ${result.data}`);
+  }
+
+  Object.keys(row).filter(key => key.startsWith(BODY_ASSERTION_PREFIX) && hasValue(row[key])).forEach(key => {
+    total++;
+    const path = key.slice(BODY_ASSERTION_PREFIX.length).replace(/^\./, '') || '$';
+    try {
+      const error = checkValue(row[key], queryJsonPath(result.data, path));
+      if (error) failures.push(`${path}: ${error}`);
+    } catch (e) {
+      failures.push(`${path}: ${e.message}`);
+    }
+  });
+
+  if (hasValue(row._expect_contains)) {
+    total++;
+    if (!stringify(result.data ?? '').includes(row._expect_contains)) {
+      failures.push(`body does not contain "${row._expect_contains}"`);
+    }
+  }
+
+  if (hasValue(row._max_ms)) {
+    total++;
+    if (!(result.time <= Number(row._max_ms))) {
+      failures.push(`latency: ${result.time}ms exceeds ${row._max_ms}ms`);
+    }
+  }
+
+  (result.scripts?.tests || []).forEach(test => {
+    total++;
+    if (!test.passed) failures.push(`pm.test "${test.name}": ${test.error}`);
+  });
+  if (result.scripts?.error) {
+    total++;
+    failures.push(`script error: ${result.scripts.error}`);
+  }
+
+  return { passed: failures.length === 0, total, failures };
+};
+
+// One-line summary for the results table / CSV export
+export const summarizeAssertions = (evaluation) => (evaluation.passed
+  ? `${evaluation.total}/${evaluation.total} passed`
+  : evaluation.failures.join('; '));
@@ -0,0 +1,236 @@
+import { interpolate } from './template.js';
+
+/**
+ * AUTHENTICATION
+ * Reads the spec's security schemes and applies the matching credentials from the
+ * active environment: API keys (header / query / cookie), HTTP Basic / Bearer and
+ * OAuth2 client-credentials / password flows with a cached, auto-refreshed token.
+ */
+
+// OAuth2 flows we can run without a browser redirect
+export const SUPPORTED_OAUTH_FLOWS = ['clientCredentials', 'password'];
+
+const SWAGGER2_FLOWS = {
+  application: 'clientCredentials',
+  password: 'password',
+  implicit: 'implicit',
+  accessCode: 'authorizationCode'
+};
+
+// OpenAPI 3 components.securitySchemes or Swagger 2 securityDefinitions, in OpenAPI 3 shape
+export const normalizeSecuritySchemes = (spec) => {
+  const raw = spec.components?.securitySchemes || spec.securityDefinitions || {};
+  const schemes = {};
+  Object.keys(raw).forEach(name => {
+    const scheme = raw[name] || {};
+    if (scheme.type === 'basic') {
+      schemes[name] = { type: 'http', scheme: 'basic', description: scheme.description };
+    } else if (scheme.type === 'oauth2' && scheme.flow) {
+      schemes[name] = {
+        type: 'oauth2',
+        description: scheme.description,
+        flows: {
+          [SWAGGER2_FLOWS[scheme.flow] || scheme.flow]: {
+            tokenUrl: scheme.tokenUrl,
+            authorizationUrl: scheme.authorizationUrl,
+            scopes: scheme.scopes || {}
+          }
+        }
+      };
+    } else {
+      schemes[name] = scheme;
+    }
+  });
+  return schemes;
+};
+
+export const describeScheme = (scheme) => {
+  if (!scheme) return 'Unknown scheme';
+  if (scheme.type === 'apiKey') return `API key (${scheme.in}: ${scheme.name})`;
+  if (scheme.type === 'http') return scheme.scheme?.toLowerCase() === 'basic' ? 'HTTP Basic' : `HTTP ${scheme.scheme || 'bearer'}`;
+  if (scheme.type === 'oauth2') return `OAuth2 (${Object.keys(scheme.flows || {}).join(', ')})`;
+  if (scheme.type === 'openIdConnect') return 'OpenID Connect';
+  return scheme.type;
+};
+
+// Which OAuth2 flow an environment uses for a scheme (explicit choice, else the first supported one)
+export const pickOAuthFlow = (scheme, creds = {}) => {
+  const flows = Object.keys(scheme.flows || {});
+  if (creds.flow && flows.includes(creds.flow)) return creds.flow;
+  return flows.find(f => SUPPORTED_OAUTH_FLOWS.includes(f)) || flows[0];
+};
+
+const base64 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+};
+
+// --- OAuth2 token cache ---
+
+const tokenCache = new Map(); // cache key -> { accessToken, refreshToken, expiresAt }
+// cache key -> token request in flight, so concurrent batch rows share one request
+const pendingTokens = new Map();
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+const tokenCacheKey = (tokenUrl, flow, creds) =>
+  JSON.stringify([tokenUrl, flow, creds.clientId, creds.username, creds.scopes]);
+
+export const getCachedToken = (key) => tokenCache.get(key);
+
+export const invalidateTokens = (keys = null) => {
+  if (keys) keys.forEach(key => tokenCache.delete(key));
+  else tokenCache.clear();
+};
+
+const requestToken = async (tokenUrl, params, creds, fetchImpl) => {
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+  const body = new URLSearchParams(params);
+  if (creds.clientAuth === 'body') {
+    body.set('client_id', creds.clientId || '');
+    if (creds.clientSecret) body.set('client_secret', creds.clientSecret);
+  } else if (creds.clientId) {
+    headers.Authorization = `Basic ${base64(`${creds.clientId}:${creds.clientSecret || ''}`)}`;
+  }
+
+  const res = await fetchImpl(tokenUrl, { method: 'POST', headers, body: body.toString() });
+  const text = await res.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = Object.fromEntries(new URLSearchParams(text)); // some servers answer form-encoded
+  }
+  if (!res.ok || !json.access_token) {
+    throw new Error(`token request to ${tokenUrl} failed (${res.status}): ${json.error_description || json.error || text.slice(0, 200)}`);
+  }
+  return json;
+};
+
+// Refreshes or grants a token and caches it; resolves to the access token
+const fetchToken = async (scheme, flow, tokenUrl, creds, key, fetchImpl) => {
+  const cached = tokenCache.get(key);
+  let json;
+  if (cached?.refreshToken) {
+    try {
+      json = await requestToken(tokenUrl, { grant_type: 'refresh_token', refresh_token: cached.refreshToken }, creds, fetchImpl);
+    } catch {
+      json = null; // refresh token expired or revoked - fall back to a fresh grant
+    }
+  }
+  if (!json) {
+    const scope = creds.scopes ?? Object.keys(scheme.flows[flow].scopes || {}).join(' ');
+    const params = flow === 'password'
+      ? { grant_type: 'password', username: creds.username || '', password: creds.password || '' }
+      : { grant_type: 'client_credentials' };
+    if (scope) params.scope = scope;
+    json = await requestToken(tokenUrl, params, creds, fetchImpl);
+  }
+
+  tokenCache.set(key, {
+    accessToken: json.access_token,
+    refreshToken: json.refresh_token || cached?.refreshToken,
+    expiresAt: Date.now() + (Number(json.expires_in) || 3600) * 1000
+  });
+  return json.access_token;
+};
+
+/**
+ * Returns { accessToken, key } for an OAuth2 scheme, fetching a new token (or using
+ * the refresh token) only when the cached one is missing or about to expire. Callers
+ * asking while a token request is in flight share it. `fetchImpl` sends the token
+ * request (e.g. through the environment's CORS proxy).
+ */
+export const getOAuthToken = async (scheme, rawCreds, context = {}, { fetchImpl = fetch, forceRefresh = false } = {}) => {
+  const creds = {};
+  Object.keys(rawCreds || {}).forEach(k => { creds[k] = interpolate(rawCreds[k], context); });
+
+  const flow = pickOAuthFlow(scheme, creds);
+  if (!SUPPORTED_OAUTH_FLOWS.includes(flow)) {
+    throw new Error(`OAuth2 flow "${flow}" needs a browser redirect; paste an access token instead`);
+  }
+  let tokenUrl = interpolate(scheme.flows[flow].tokenUrl || '', context);
+  if (tokenUrl && !/^[a-z][a-z0-9+.-]*:\/\//i.test(tokenUrl)) {
+    tokenUrl = `${(context.baseUrl || '').replace(/\/$/, '')}/${tokenUrl.replace(/^\//, '')}`;
+  }
+  if (!tokenUrl) throw new Error('no token URL declared for this OAuth2 flow');
+
+  const key = tokenCacheKey(tokenUrl, flow, creds);
+  const cached = tokenCache.get(key);
+  if (!forceRefresh && cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return { accessToken: cached.accessToken, key };
+  }
+  if (pendingTokens.has(key)) return pendingTokens.get(key);
+
+  const pending = fetchToken(scheme, flow, tokenUrl, creds, key, fetchImpl)
+    .then(accessToken => ({ accessToken, key }))
+    .finally(() => pendingTokens.delete(key));
+  pendingTokens.set(key, pending);
+  return pending;
+};
+
+// Are the environment's credentials for this scheme filled in?
+const isConfigured = (scheme, creds = {}, context) => {
+  if (!scheme) return false;
+  if (scheme.type === 'apiKey') return !!creds.value;
+  if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic') return !!creds.username;
+  if (scheme.type === 'oauth2') return !!(creds.clientId || creds.accessToken);
+  return !!(creds.token || context.token);
+};
+
+/**
+ * Credentials to add to a request: { headers, query, cookies, schemes, tokenKeys }.
+ * Endpoints without security metadata (e.g. Postman imports) keep the environment's
+ * bearer token behaviour.
+ */
+export const resolveAuth = async (endpoint, schemes, env, context, options = {}) => {
+  const auth = { headers: {}, query: {}, cookies: {}, schemes: [], tokenKeys: [] };
+  const bearer = (token) => {
+    if (token) auth.headers.Authorization = `Bearer ${token}`;
+  };
+
+  const requirements = endpoint.security;
+  if (!schemes || Object.keys(schemes).length === 0 || !Array.isArray(requirements)) {
+    bearer(context.token);
+    return auth;
+  }
+  if (requirements.length === 0) return auth; // operation explicitly has no auth
+
+  // Alternatives are OR-ed; prefer the first one whose credentials are all filled in
+  const allCreds = env.auth || {};
+  const requirement = requirements.find(r => Object.keys(r).every(name => isConfigured(schemes[name], allCreds[name], context))) || requirements[0];
+
+  for (const name of Object.keys(requirement)) {
+    const scheme = schemes[name];
+    if (!scheme) continue;
+    const creds = allCreds[name] || {};
+    const value = (field) => interpolate(creds[field] || '', context);
+    auth.schemes.push(name);
+
+    if (scheme.type === 'apiKey') {
+      if (!creds.value) continue;
+      if (scheme.in === 'query') auth.query[scheme.name] = value('value');
+      else if (scheme.in === 'cookie') auth.cookies[scheme.name] = value('value');
+      else auth.headers[scheme.name] = value('value');
+    } else if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic') {
+      if (creds.username) auth.headers.Authorization = `Basic ${base64(`${value('username')}:${value('password')}`)}`;
+    } else if (scheme.type === 'oauth2') {
+      const flow = pickOAuthFlow(scheme, creds);
+      if (creds.clientId && SUPPORTED_OAUTH_FLOWS.includes(flow)) {
+        const { accessToken, key } = await getOAuthToken(scheme, creds, context, options);
+        auth.tokenKeys.push(key);
+        bearer(accessToken);
+      } else {
+        bearer(value('accessToken') || context.token);
+      }
+    } else {
+      // http bearer / openIdConnect: scheme token, else the environment's token
+      bearer(value('token') || context.token);
+    }
+  }
+  return auth;
+};
@@ -0,0 +1,144 @@
+/**
+ * BATCH RUNNER
+ * Runs rows through a bounded worker pool with an optional requests-per-second cap,
+ * retries with exponential backoff (honouring Retry-After) and pause / resume / cancel.
+ */
+
+export const DEFAULT_BATCH_OPTIONS = {
+  concurrency: 4,
+  rps: 0,          // 0 = no cap
+  retries: 2,
+  backoffMs: 500,
+  timeoutMs: 30000 // 0 = no timeout
+};
+
+// Resolves after ms, or straight away once the signal aborts
+export const sleep = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) {
+    resolve();
+    return;
+  }
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener('abort', done);
+});
+
+// Retry-After is either delay-seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// 429, 5xx and network failures are worth another go; timeouts, cancels and requests
+// that couldn't be built are final
+export const isRetryable = (result) => !result.isTimeout && !result.isCancelled && !result.isRequestError
+  && (result.isNetworkError || result.status === 429 || result.status >= 500);
+
+// Spaces request starts 1000/rps ms apart across all workers
+export const createRateLimiter = (rps) => {
+  let nextSlot = 0;
+  return async (signal) => {
+    if (!(rps > 0)) return;
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + 1000 / rps;
+    await sleep(wait, signal);
+  };
+};
+
+/**
+ * Pause stops workers from picking up new rows (in-flight requests finish);
+ * cancel aborts in-flight requests through the AbortController signal.
+ */
+export const createBatchController = () => {
+  const abortController = new AbortController();
+  let paused = false;
+  let waiters = [];
+
+  const resume = () => {
+    paused = false;
+    waiters.forEach(wake => wake());
+    waiters = [];
+  };
+
+  return {
+    signal: abortController.signal,
+    isPaused: () => paused,
+    isCancelled: () => abortController.signal.aborted,
+    pause: () => { paused = true; },
+    resume,
+    cancel: () => {
+      abortController.abort();
+      resume();
+    },
+    waitIfPaused: () => (paused ? new Promise(wake => waiters.push(wake)) : Promise.resolve())
+  };
+};
+
+/**
+ * Calls send(signal) until it succeeds, isn't retryable, or `retries` extra attempts
+ * are used up. Waits backoffMs * 2^n between attempts unless the server sent Retry-After.
+ * Returns { result, attempts }.
+ */
+export const sendWithRetries = async (send, { retries = 0, backoffMs = 500, limiter, signal } = {}) => {
+  let attempts = 0;
+  for (;;) {
+    if (limiter) await limiter(signal);
+    if (signal?.aborted) {
+      return { result: { success: false, status: 0, time: 0, data: 'Cancelled', isCancelled: true }, attempts };
+    }
+    const result = await send(signal);
+    attempts++;
+    if (attempts > retries || !isRetryable(result) || signal?.aborted) return { result, attempts };
+    const retryAfter = parseRetryAfter(result.headers?.['retry-after']);
+    await sleep(retryAfter ?? backoffMs * 2 ** (attempts - 1), signal);
+  }
+};
+
+/**
+ * Runs runRow(row, index, limiter) for every row with up to `concurrency` in flight.
+ * Finished rows are handed to onResults in chunks (at most every flushMs) so a large
+ * run doesn't re-render once per request. Rows not started before a cancel are skipped;
+ * a row whose runRow throws is reported as a FAIL row instead of ending the run.
+ */
+export const runBatch = async (rows, runRow, { concurrency = 1, rps = 0, controller, onResults, flushMs = 250 }) => {
+  const limiter = createRateLimiter(rps);
+  let nextIndex = 0;
+  let pending = [];
+  const flush = () => {
+    if (pending.length === 0) return;
+    onResults(pending);
+    pending = [];
+  };
+  const flushTimer = setInterval(flush, flushMs);
+
+  const worker = async () => {
+    for (;;) {
+      await controller.waitIfPaused();
+      if (controller.isCancelled() || nextIndex >= rows.length) return;
+      const index = nextIndex++;
+      let result;
+      try {
+        result = await runRow(rows[index], index, limiter);
+      } catch (err) {
+        result = { _rowIndex: index + 1, ...rows[index], _status: 0, _success: 'FAIL', _assertions: `error: ${err.message}`, _attempts: 0, _time: 0 };
+      }
+      pending.push(result); // not pending.push(await ...): a flush may swap the array meanwhile
+    }
+  };
+
+  try {
+    const size = Math.max(1, Math.min(Number(concurrency) || 1, rows.length));
+    await Promise.all(Array.from({ length: size }, worker));
+  } finally {
+    clearInterval(flushTimer);
+    flush();
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * BATCH TARGETS
+ * Lets each data row pick its own endpoint, so one sheet can cover the whole API:
+ *   _operationId   createUser
+ *   _method/_path  POST /users   (template, or a concrete path like /users/42)
+ * Rows without these columns use the endpoint selected in the UI.
+ */
+
+export const TARGET_COLUMNS = ['_operationId', '_method', '_path'];
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+export const hasRowTarget = (row) => TARGET_COLUMNS.some(key => hasValue(row[key]));
+
+export const hasRowTargets = (rows) => rows.some(hasRowTarget);
+
+export const endpointLabel = (endpoint) => `${endpoint.method.toUpperCase()} ${endpoint.path}`;
+
+const normalizePath = (path) => {
+  const clean = String(path).trim().split('?')[0].replace(/\/+$/, '');
+  return clean.startsWith('/') ? clean : `/${clean}`;
+};
+
+// A stray "%" (e.g. /pets/100%) isn't an escape; keep the segment as written
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// "/users/{id}" vs "/users/42" -> { id: '42' }; null when the path doesn't fit the template
+export const matchPathTemplate = (template, path) => {
+  const tplParts = normalizePath(template).split('/');
+  const pathParts = normalizePath(path).split('/');
+  if (tplParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < tplParts.length; i++) {
+    const param = tplParts[i].match(/^{(.+)}$/);
+    if (param) {
+      if (!pathParts[i]) return null;
+      params[param[1]] = decodeSegment(pathParts[i]);
+    } else if (tplParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Returns null when the row has no target columns, { error } when they match nothing
+ * (or more than one endpoint), else { endpoint, params } with any path params taken
+ * from a concrete _path.
+ */
+export const resolveRowEndpoint = (endpoints, row) => {
+  if (!hasRowTarget(row)) return null;
+
+  if (hasValue(row._operationId)) {
+    const id = String(row._operationId).trim();
+    const endpoint = endpoints.find(ep => ep.operationId === id)
+      || endpoints.find(ep => ep.operationId?.toLowerCase() === id.toLowerCase());
+    return endpoint ? { endpoint, params: {} } : { error: `no operation "${id}" in the spec` };
+  }
+
+  if (!hasValue(row._path)) return { error: '_method needs a _path column' };
+  const method = hasValue(row._method) ? String(row._method).trim().toLowerCase() : null;
+  const candidates = endpoints.filter(ep => !method || ep.method.toLowerCase() === method);
+  const target = `${method ? method.toUpperCase() : ''} ${row._path}`.trim();
+
+  // An exact template match beats a concrete path that happens to fit a template
+  const exact = candidates.filter(ep => normalizePath(ep.path) === normalizePath(row._path));
+  const matches = exact.length > 0
+    ? exact.map(endpoint => ({ endpoint, params: {} }))
+    : candidates
+      .map(endpoint => ({ endpoint, params: matchPathTemplate(endpoint.path, row._path) }))
+      .filter(m => m.params);
+
+  if (matches.length === 0) return { error: `no endpoint matches ${target}` };
+  if (matches.length > 1) {
+    // Prefer the template with the most literal segments (/users/me over /users/{id})
+    const literalCount = (m) => m.endpoint.path.split('/').filter(part => part && !part.startsWith('{')).length;
+    const best = Math.max(...matches.map(literalCount));
+    const top = matches.filter(m => literalCount(m) === best);
+    if (top.length > 1) {
+      return { error: `${target} matches ${top.map(m => endpointLabel(m.endpoint)).join(', ')}; add a _method column` };
+    }
+    return top[0];
+  }
+  return matches[0];
+};
+
+// Fill path params parsed from _path without overriding values typed into the row
+export const applyRowParams = (row, params) => {
+  const data = { ...row };
+  Object.keys(params).forEach(key => {
+    if (!hasValue(data[key])) data[key] = params[key];
+  });
+  return data;
+};
+
+// [{ label, rows, passed, failed }] in first-seen order, for the grouped results view
+export const groupResultsByEndpoint = (results) => {
+  const groups = new Map();
+  results.forEach(row => {
+    const label = row._endpoint || 'unknown';
+    if (!groups.has(label)) groups.set(label, { label, rows: [], passed: 0, failed: 0 });
+    const group = groups.get(label);
+    group.rows.push(row);
+    if (row._success === 'PASS') group.passed++;
+    else group.failed++;
+  });
+  return [...groups.values()];
+};
@@ -0,0 +1,200 @@
+import readExcelFile from 'read-excel-file/universal';
+
+/**
+ * BATCH DATA FILES
+ * CSV / TSV (RFC 4180), Excel .xlsx, JSON arrays and NDJSON -> rows (plain objects),
+ * grouped into sheets so .xlsx workbooks can pick one. JSON rows may carry nested
+ * body values directly instead of dotted column names.
+ */
+
+export const DATA_FILE_ACCEPT = '.csv,.tsv,.txt,.xlsx,.json,.ndjson,.jsonl';
+
+// Mapping target that drops a column from the run
+export const IGNORE_COLUMN = '-';
+
+const stripBom = (text) => (text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text);
+
+// Whichever of , ; TAB occurs most on the header line (outside quotes)
+export const sniffDelimiter = (text) => {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+/**
+ * RFC 4180 records: quoted fields may contain the delimiter, "" escapes and line
+ * breaks; rows end in LF or CRLF. Unquoted fields are trimmed, quoted ones kept as-is.
+ */
+export const parseCsvRecords = (input, delimiter) => {
+  const text = stripBom(input);
+  const sep = delimiter || sniffDelimiter(text);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (ch === sep) {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else if (ch === '"' && !quoted && field.trim() === '') {
+      field = '';
+      quoted = true;
+      inQuotes = true;
+    } else if (!(quoted && ch === ' ')) {
+      field += ch; // stray quotes inside unquoted fields are kept literally
+    }
+  }
+  if (field !== '' || quoted || record.length > 0) endRecord();
+  return records;
+};
+
+// Header record + value records -> row objects; blank lines and unnamed columns are skipped
+const recordsToRows = (records) => {
+  if (records.length === 0) return [];
+  const headers = records[0].map(h => String(h ?? '').trim());
+  return records.slice(1)
+    .filter(values => values.some(v => v !== '' && v !== null && v !== undefined))
+    .map(values => {
+      const row = {};
+      headers.forEach((header, i) => {
+        if (header) row[header] = values[i] ?? '';
+      });
+      return row;
+    });
+};
+
+export const parseCsv = (text, delimiter) => recordsToRows(parseCsvRecords(text, delimiter));
+
+const assertRows = (rows) => {
+  rows.forEach((row, i) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`Row ${i + 1} is not a JSON object.`);
+    }
+  });
+  return rows;
+};
+
+// A JSON array of objects, a single object, or NDJSON (one object per line)
+export const parseJsonRows = (input) => {
+  const text = stripBom(input).trim();
+  if (!text) return [];
+  try {
+    const data = JSON.parse(text);
+    return assertRows(Array.isArray(data) ? data : [data]);
+  } catch (e) {
+    if (text.startsWith('[')) throw new Error(`Invalid JSON data file: ${e.message}`);
+  }
+  return assertRows(text.split(/\r?\n/).map((line, i) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid NDJSON on line ${i + 1}: ${e.message}`);
+    }
+  }).filter(row => row !== null));
+};
+
+// Excel cells are strings, numbers, booleans, Dates or null
+const normalizeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+export const parseXlsx = async (data) => {
+  const sheets = await readExcelFile(data);
+  return sheets.map(({ sheet, data: cells }) => ({
+    name: sheet,
+    rows: recordsToRows(cells.map(cellsRow => cellsRow.map(normalizeCell)))
+  }));
+};
+
+export const detectDataFormat = (fileName) => {
+  const ext = (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+  if (ext === 'xlsx') return 'xlsx';
+  if (ext === 'json' || ext === 'ndjson' || ext === 'jsonl') return 'json';
+  if (ext === 'tsv') return 'tsv';
+  return 'csv';
+};
+
+/**
+ * Parses file contents (text, or an ArrayBuffer / Blob for .xlsx) into
+ * { format, sheets: [{ name, rows }] }. Non-Excel files have one sheet.
+ */
+export const parseDataFile = async (fileName, content) => {
+  const format = detectDataFormat(fileName);
+  if (format === 'xlsx') {
+    try {
+      return { format, sheets: await parseXlsx(content) };
+    } catch (e) {
+      throw new Error(`Could not read ${fileName} as an Excel workbook: ${e.message}`);
+    }
+  }
+  const rows = format === 'json' ? parseJsonRows(content) : parseCsv(content, format === 'tsv' ? '\t' : undefined);
+  return { format, sheets: [{ name: fileName, rows }] };
+};
+
+// --- Column mapping ---
+
+// Column names in first-seen order across all rows
+export const getColumns = (rows) => {
+  const seen = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => seen.add(key)));
+  return [...seen];
+};
+
+const looseName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "User ID" -> "userId" when the endpoint has such a field; exact names need no mapping
+export const suggestColumnMapping = (columns, fieldPaths) => {
+  const mapping = {};
+  columns.forEach(column => {
+    if (column.startsWith('_') || fieldPaths.includes(column)) return;
+    const match = fieldPaths.find(path => looseName(path) === looseName(column));
+    if (match) mapping[column] = match;
+  });
+  return mapping;
+};
+
+// Renames / drops columns; unmapped columns pass through unchanged
+export const applyColumnMapping = (rows, mapping) => {
+  const columns = Object.keys(mapping).filter(column => mapping[column]);
+  if (columns.length === 0) return rows;
+  return rows.map(row => {
+    const out = {};
+    Object.keys(row).forEach(key => {
+      const target = mapping[key] || key;
+      if (target !== IGNORE_COLUMN) out[target] = row[key];
+    });
+    return out;
+  });
+};
@@ -0,0 +1,14 @@
+/**
+ * DOWNLOADS
+ * Save generated text (reports, exports) as a file from the browser.
+ */
+
+export const downloadFile = (content, fileName, type = 'text/plain') => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
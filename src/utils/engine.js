@@ -0,0 +1,374 @@
+import { parseSpecText, bundleSpec } from './specLoader.js';
+import { getBodyTree, buildRequestBody, hasRequestBody, isRawBody, listFileFields } from './schema.js';
+import { parseParamValue, serializePathParam, serializeQueryParam, serializeHeaderParam, serializeCookieParam } from './params.js';
+import { bodyMediaType, encodeBody } from './mediaTypes.js';
+import { validateResponse, summarizeSchemaResult } from './validation.js';
+import { evaluateAssertions, summarizeAssertions } from './assertions.js';
+import { environmentContext, resolveBaseUrl } from './environments.js';
+import { interpolate, interpolateDeep } from './template.js';
+import { sendRequest } from './http.js';
+import { resolveProxy, proxiedFetch } from './proxy.js';
+import { resolveMockUrl, mockBaseUrl } from './mockServer.js';
+import { DEFAULT_BATCH_OPTIONS, runBatch, sendWithRetries } from './batchRunner.js';
+import { resolveRowEndpoint, applyRowParams, endpointLabel } from './batchTargets.js';
+import { createHistoryEntry } from './history.js';
+import { isPostmanCollection, parsePostmanCollection } from './postman.js';
+import {
+  isCurlCommand, parseCurlCommands, isHar, parseHarEntries, isInsomniaExport, parseInsomniaExport, capturedToSpec
+} from './importers.js';
+import { normalizeSecuritySchemes, resolveAuth, invalidateTokens } from './auth.js';
+
+/**
+ * REQUEST ENGINE
+ * Spec parsing, request building / sending (auth, scripts, retries) and batch row
+ * evaluation, without React or the DOM. The portal and the `api-portal` CLI both run
+ * requests through here, so a dataset gives the same results in either.
+ */
+
+// Turns pasted / uploaded spec text into { info, endpoints, securitySchemes }; throws on bad input
+export const parseSpecDocument = (specInput, specRootPath, specFiles) => {
+  if (isCurlCommand(specInput)) return capturedToSpec(parseCurlCommands(specInput), 'cURL import');
+  const rootPath = specRootPath || 'openapi.json';
+  let json = parseSpecText(specInput, rootPath);
+  let parsedData = null;
+
+  // DETECT TYPE
+  if (json.openapi || json.swagger) {
+    // --- SWAGGER / OPENAPI ---
+    if (!json.paths) throw new Error("Invalid OpenAPI/Swagger Spec: Missing 'paths'");
+    // Inline local and cross-file $refs so the rest of the app sees one document
+    json = bundleSpec(json, rootPath, specFiles);
+    const endpoints = [];
+    Object.keys(json.paths).forEach(path => {
+      Object.keys(json.paths[path]).forEach(method => {
+        if (['get', 'post', 'put', 'delete', 'patch'].includes(method.toLowerCase())) {
+          const details = json.paths[path][method];
+          endpoints.push({
+            id: `${method}-${path}`,
+            path,
+            method,
+            summary: details.summary || details.operationId || path,
+            operationId: details.operationId,
+            parameters: details.parameters || [],
+            requestBody: details.requestBody,
+            responses: details.responses || {},
+            // Operation-level security overrides the global requirement
+            security: details.security ?? json.security,
+            definitions: json.definitions || json.components?.schemas
+          });
+        }
+      });
+    });
+    parsedData = { info: json.info, endpoints, securitySchemes: normalizeSecuritySchemes(json) };
+
+  } else if (isPostmanCollection(json)) {
+    // --- POSTMAN COLLECTION ---
+    parsedData = parsePostmanCollection(json);
+  } else if (isHar(json)) {
+    // --- HAR (browser devtools recording) ---
+    parsedData = capturedToSpec(parseHarEntries(json), json.log.pages?.[0]?.title || 'HAR import');
+  } else if (isInsomniaExport(json)) {
+    // --- INSOMNIA v4 EXPORT ---
+    const workspace = json.resources.find(r => r._type === 'workspace');
+    parsedData = capturedToSpec(parseInsomniaExport(json), workspace?.name || 'Insomnia import');
+  } else {
+    throw new Error("Unknown Format. Please paste a valid OpenAPI (JSON/YAML), Postman Collection, Insomnia export, HAR file or cURL command.");
+  }
+  return parsedData;
+};
+
+/**
+ * Sends requests for one spec + environment. Options:
+ *   securitySchemes    the parsed spec's schemes (for resolveAuth)
+ *   environment        the active environment (see environments.js)
+ *   scriptVariables    variables set by earlier scripts; updated in place as scripts run
+ *   runScripts         (scripts, input) => Promise<run> runner for Postman scripts
+ *                      (scriptSandbox.js in the browser, cli/scriptRunner.js in Node)
+ *   onVariableChanges  called with { set, unset } when a script changes variables
+ *   onRecord           called with a history entry for every request
+ *   pickProxy          async (environment) => proxy or null (default: resolveProxy)
+ * Returns { buildRequest, performRequest, executeRequest }.
+ */
+export const createRequestEngine = ({
+  securitySchemes,
+  environment,
+  scriptVariables = {},
+  runScripts,
+  onVariableChanges = () => {},
+  onRecord = () => {},
+  pickProxy = resolveProxy
+}) => {
+  // URL, fetch options and resolved credentials for one call, without sending it.
+  // Rejects when credentials can't be obtained (e.g. the OAuth token endpoint fails; the
+  // error then has isAuthError set) or the request can't be put together.
+  // `variables` / `headers` are what a pre-request script left behind.
+  const buildRequest = async (endpoint, rawData, { variables, headers: scriptHeaders } = {}) => {
+    // Substitute {{variables}} from the active environment everywhere
+    const envContext = { ...environmentContext(environment), ...scriptVariables, ...variables };
+    const data = interpolateDeep(rawData, envContext);
+    // Mock mode swaps the base URL (and a Postman request's own host) for the spec mock
+    const baseUrl = environment.mock ? mockBaseUrl(await resolveMockUrl(environment)) : resolveBaseUrl(endpoint, envContext);
+    let url = baseUrl.replace(/\/$/, '') + interpolate(endpoint.path, envContext);
+    const options = {
+      method: endpoint.method.toUpperCase(),
+      headers: {
+        ...environment.headers.filter(h => h.key).reduce((acc, h) => ({ ...acc, [h.key]: interpolate(h.value, envContext) }), {}),
+        // Headers saved with the request (Postman), as a pre-request script left them
+        ...interpolateDeep(scriptHeaders || endpoint.headers || {}, envContext)
+      }
+    };
+
+    // The mock sends CORS headers itself
+    const proxy = environment.mock ? null : await pickProxy(environment);
+    // Credentials for the operation's security requirement (or the plain bearer token);
+    // OAuth token requests take the same route as the API calls
+    let auth;
+    try {
+      auth = await resolveAuth(endpoint, securitySchemes, environment, envContext, { fetchImpl: proxiedFetch(proxy) });
+    } catch (err) {
+      err.isAuthError = true;
+      throw err;
+    }
+    Object.assign(options.headers, auth.headers);
+    const cookies = Object.keys(auth.cookies).map(name => `${name}=${encodeURIComponent(auth.cookies[name])}`);
+    const query = [];
+
+    // Parameters, serialized per their style / explode (arrays and objects included)
+    endpoint.parameters?.forEach(param => {
+      const value = parseParamValue(param, data[param.name], endpoint.definitions);
+      // 1. Path Parameters (e.g., /users/{id})
+      if (param.in === 'path') {
+        url = url.replace(`{${param.name}}`, value === undefined ? '' : serializePathParam(param, value));
+        return;
+      }
+      if (value === undefined) return;
+      // 2. Header Parameters
+      if (param.in === 'header') options.headers[param.name] = serializeHeaderParam(param, value);
+      // 3. Query Parameters (credentials sent in the query replace a parameter of the same name)
+      else if (param.in === 'query' && auth.query[param.name] === undefined) query.push(...serializeQueryParam(param, value));
+      // 4. Cookie Parameters
+      else if (param.in === 'cookie') serializeCookieParam(param, value).forEach(([name, v]) => cookies.push(`${name}=${v}`));
+    });
+    Object.keys(auth.query).forEach(name => query.push(`${encodeURIComponent(name)}=${encodeURIComponent(auth.query[name])}`));
+    if (query.length) url += `?${query.join('&')}`;
+    if (cookies.length) options.headers['Cookie'] = cookies.join('; ');
+
+    // 5. Handle Body, in the media type picked on the form / data row (JSON by default)
+    let recordedBody = {};
+    if (hasRequestBody(endpoint)) {
+      const mediaType = bodyMediaType(endpoint, data) || 'application/json';
+      const paramNames = endpoint.parameters?.map(p => p.name) || [];
+      const bodyTree = getBodyTree(endpoint, mediaType);
+      let bodyData = {};
+
+      if (isRawBody(endpoint, mediaType)) {
+        // Raw XML / text is sent exactly as typed
+        bodyData = data._body;
+      } else if (bodyTree) {
+        // Walk the schema so nested objects / arrays / oneOf keep their real shape
+        bodyData = buildRequestBody(bodyTree, data, paramNames);
+      } else {
+        // No schema: send every key that isn't a parameter or a reserved "_" column
+        Object.keys(data).forEach(key => {
+          if (!paramNames.includes(key) && !key.startsWith('_')) {
+            bodyData[key] = data[key];
+          }
+        });
+      }
+      const encoded = encodeBody(mediaType, bodyData, { fileFields: listFileFields(bodyTree) });
+      options.body = encoded.body;
+      recordedBody = encoded.recorded;
+      // A Content-Type set in the environment wins, except for multipart where fetch must add the boundary
+      const typeHeader = Object.keys(options.headers).find(h => h.toLowerCase() === 'content-type');
+      if (!encoded.contentType) delete options.headers[typeHeader];
+      else if (!typeHeader) options.headers['Content-Type'] = encoded.contentType;
+    }
+
+    // What actually goes over the wire, for the history panel and exports
+    const request = { method: options.method, url, headers: options.headers, ...recordedBody };
+    return { url, options, auth, request, proxy };
+  };
+
+  const performRequest = async (endpoint, rawData, { isRetry = false, signal, timeoutMs = 0, variables, headers } = {}) => {
+    let built;
+    try {
+      built = await buildRequest(endpoint, rawData, { variables, headers });
+    } catch (err) {
+      // A token endpoint that can't be reached may answer next time; a value that can't be
+      // serialized or a mock that isn't running won't, so those are final
+      if (err.isAuthError) {
+        return { success: false, status: 0, time: 0, data: `Authentication failed: ${err.message}`, isNetworkError: true };
+      }
+      return { success: false, status: 0, time: 0, data: `Request could not be built: ${err.message}`, isRequestError: true };
+    }
+    const { url, options, auth, request, proxy } = built;
+
+    try {
+      const response = await sendRequest(url, options, { signal, timeoutMs, proxy });
+      const { res } = response;
+
+      // The OAuth2 token may have been revoked early: drop it and retry once with a fresh one
+      if (res.status === 401 && auth.tokenKeys.length && !isRetry) {
+        invalidateTokens(auth.tokenKeys);
+        return performRequest(endpoint, rawData, { isRetry: true, signal, timeoutMs, variables, headers });
+      }
+
+      return {
+        success: res.ok,
+        status: res.status,
+        statusText: res.statusText,
+        time: response.time,
+        data: response.data,
+        raw: response.raw,
+        blob: response.blob,
+        headers: response.headers,
+        contentType: response.contentType,
+        size: response.size,
+        timing: response.timing,
+        viaProxy: response.viaProxy,
+        request
+      };
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        return { success: false, status: 0, time: timeoutMs, data: `No response within ${timeoutMs}ms`, isTimeout: true, request };
+      }
+      if (err.name === 'AbortError') {
+        return { success: false, status: 0, time: 0, data: 'Cancelled', isCancelled: true, request };
+      }
+      return {
+        success: false,
+        status: 0,
+        time: 0,
+        data: err.message, // Likely CORS or Network error
+        isNetworkError: true,
+        viaProxy: Boolean(proxy),
+        request
+      };
+    }
+  };
+
+  // Runs one of an endpoint's Postman script lists; variables it sets go to the environment
+  const runEndpointScripts = async (endpoint, event, input) => {
+    const run = await runScripts(endpoint.scripts[event], { event, requestName: endpoint.summary, ...input });
+    const { set, unset } = run.changes;
+    if (Object.keys(set).length || unset.length) {
+      Object.assign(scriptVariables, set);
+      unset.forEach(key => { scriptVariables[key] = undefined; });
+      onVariableChanges(run.changes);
+    }
+    return run;
+  };
+
+  // Every request (manual, batch or scenario step) goes through here and is recorded in the history
+  const executeRequest = async (endpoint, rawData, source = 'manual', requestOptions = {}) => {
+    const scripts = endpoint.scripts;
+    let options = requestOptions;
+    let preRun = null;
+    if (scripts?.prerequest.length) {
+      preRun = await runEndpointScripts(endpoint, 'prerequest', {
+        variables: { ...environmentContext(environment), ...scriptVariables },
+        request: { method: endpoint.method.toUpperCase(), url: endpoint.path, headers: { ...endpoint.headers } }
+      });
+      // Like Postman, a failing pre-request script stops the request from being sent
+      if (preRun.error) {
+        const failed = {
+          success: false,
+          status: 0,
+          time: 0,
+          data: `Pre-request script error: ${preRun.error}`,
+          isNetworkError: true,
+          scripts: { tests: [], logs: preRun.logs, error: null } // the message is already the response
+        };
+        onRecord(createHistoryEntry(endpoint, rawData, failed, source));
+        return failed;
+      }
+      options = { ...requestOptions, variables: preRun.variables, headers: preRun.headers };
+    }
+
+    const result = await performRequest(endpoint, rawData, options);
+
+    if (scripts?.test.length && result.request && !result.isCancelled) {
+      const testRun = await runEndpointScripts(endpoint, 'test', {
+        variables: preRun?.variables || { ...environmentContext(environment), ...scriptVariables },
+        request: result.request,
+        response: { status: result.status, statusText: result.statusText, time: result.time, headers: result.headers, body: result.data }
+      });
+      result.scripts = { tests: testRun.tests, logs: [...(preRun?.logs || []), ...testRun.logs], error: testRun.error };
+    } else if (preRun) {
+      result.scripts = { tests: [], logs: preRun.logs, error: null };
+    }
+    onRecord(createHistoryEntry(endpoint, rawData, result, source));
+    return result;
+  };
+
+  return { buildRequest, performRequest, executeRequest };
+};
+
+/**
+ * Runs data rows through `engine` with the batch options (concurrency, rps, retries,
+ * backoff, timeout) and hands finished result rows to onResults in chunks:
+ *   { _rowIndex, ...row, _endpoint, _status, _success, _assertions, _attempts, _time, _schema, _request, _response }
+ * Rows with _operationId / _method + _path columns pick their own endpoint; the rest use
+ * `defaultEndpoint`. _success is PASS, FAIL, TIMEOUT or CANCELLED.
+ */
+export const runDataset = (engine, rows, { endpoints, defaultEndpoint, options = DEFAULT_BATCH_OPTIONS, controller, onResults }) => {
+  // A row that never got a response
+  const failedRow = (row, i, endpointName, message) => ({
+    _rowIndex: i + 1,
+    ...row,
+    _endpoint: endpointName,
+    _status: 0,
+    _success: 'FAIL',
+    _assertions: message,
+    _attempts: 0,
+    _time: 0,
+    _schema: 'N/A',
+    _response: ''
+  });
+
+  // Sends one row to its endpoint and judges the response
+  const sendRow = async (endpoint, target, row, i, limiter) => {
+    const data = target ? applyRowParams(row, target.params) : row;
+
+    const { result, attempts } = await sendWithRetries(
+      (signal) => engine.executeRequest(endpoint, data, 'batch', { signal, timeoutMs: options.timeoutMs }),
+      { retries: options.retries, backoffMs: options.backoffMs, limiter, signal: controller.signal }
+    );
+    // Reserved _expect_* / _max_ms columns decide PASS/FAIL (default: any 2xx)
+    const evaluation = evaluateAssertions(row, result);
+    const outcome = result.isCancelled ? 'CANCELLED' : result.isTimeout ? 'TIMEOUT' : evaluation.passed ? 'PASS' : 'FAIL';
+
+    return {
+      _rowIndex: i + 1,
+      ...row,
+      _endpoint: endpointLabel(endpoint),
+      _status: result.status,
+      _success: outcome,
+      _assertions: summarizeAssertions(evaluation),
+      _attempts: attempts,
+      _time: result.time,
+      _schema: summarizeSchemaResult(validateResponse(endpoint, result.status, result.data)),
+      _request: result.request,
+      // NO TRUNCATION HERE - Storing full response
+      _response: typeof result.data === 'object' ? JSON.stringify(result.data) : String(result.data)
+    };
+  };
+
+  const runRow = async (row, i, limiter) => {
+    // _operationId / _method + _path columns pick the row's own endpoint
+    const target = resolveRowEndpoint(endpoints, row);
+    const endpoint = target?.endpoint || (target ? null : defaultEndpoint);
+    if (!endpoint) {
+      const name = row._operationId || `${row._method || ''} ${row._path || ''}`.trim() || 'none';
+      return failedRow(row, i, name, target?.error || 'no endpoint selected for rows without a target');
+    }
+    try {
+      return await sendRow(endpoint, target, row, i, limiter);
+    } catch (err) {
+      // One bad row (a body that won't encode, a script that throws ...) doesn't end the run
+      return failedRow(row, i, endpointLabel(endpoint), `error: ${err.message}`);
+    }
+  };
+
+  return runBatch(rows, runRow, { concurrency: options.concurrency, rps: options.rps, controller, onResults });
+};
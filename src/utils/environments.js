@@ -0,0 +1,79 @@
+import { createId } from './ids.js';
+import { interpolate } from './template.js';
+
+/**
+ * ENVIRONMENTS
+ * Named sets of base URL, token, headers, {{variables}}, proxy and mock settings (dev / staging / UAT ...).
+ */
+
+export const createEnvironment = (name = 'Default', overrides = {}) => ({
+  id: createId('env'),
+  name,
+  baseUrl: '',
+  token: '',
+  headers: [],   // [{ key, value }]
+  variables: [], // [{ key, value }]
+  auth: {},      // securityScheme name -> credentials
+  proxy: 'auto', // CORS proxy: auto | on | off (see utils/proxy.js)
+  proxyUrl: '',  // empty: the dev server's own origin, then http://localhost:8787
+  proxyInsecure: false,
+  mock: false,   // send requests to the spec mock instead of baseUrl (see utils/mockServer.js)
+  mockUrl: '',   // empty: the dev server's own origin, then http://localhost:8788
+  ...overrides
+});
+
+/**
+ * Values available to {{placeholders}}: the environment's variables plus the
+ * built-ins {{baseUrl}} and {{token}} (a variable of the same name wins).
+ */
+export const environmentContext = (env) => {
+  const vars = {};
+  (env?.variables || []).forEach(({ key, value }) => {
+    if (key) vars[key] = value;
+  });
+  return {
+    baseUrl: interpolate(env?.baseUrl || '', vars),
+    token: interpolate(env?.token || '', vars),
+    ...vars
+  };
+};
+
+// Postman-style endpoints carry their own "{{baseUrl}}" host; fall back to the environment's
+export const resolveBaseUrl = (endpoint, context) => {
+  if (endpoint.server) {
+    const server = interpolate(endpoint.server, context);
+    if (server && !server.includes('{{')) return server;
+  }
+  return context.baseUrl || '';
+};
+
+const PLACEHOLDER_BASE_URL = 'https://api.example.com';
+
+/**
+ * Settings that came with an imported collection (its variables, auth credentials and
+ * base URL) added to an environment, without overwriting anything it already has.
+ */
+export const mergeImportedSettings = (env, { variables = [], credentials = {}, baseUrl } = {}) => {
+  const known = new Set((env.variables || []).map(v => v.key));
+  const auth = { ...(env.auth || {}) };
+  Object.keys(credentials).forEach(name => {
+    if (!auth[name]) auth[name] = credentials[name];
+  });
+  return {
+    ...env,
+    baseUrl: baseUrl && (!env.baseUrl || env.baseUrl === PLACEHOLDER_BASE_URL) ? baseUrl : env.baseUrl,
+    variables: [...(env.variables || []), ...variables.filter(v => !known.has(v.key))],
+    auth
+  };
+};
+
+// Writes script changes ({ set: { key: value }, unset: [key] }) into the variable list
+export const applyVariableChanges = (env, { set = {}, unset = [] }) => {
+  const variables = (env.variables || [])
+    .filter(v => !unset.includes(v.key))
+    .map(v => (Object.prototype.hasOwnProperty.call(set, v.key) ? { ...v, value: set[v.key] } : v));
+  Object.keys(set).forEach(key => {
+    if (!variables.some(v => v.key === key)) variables.push({ key, value: set[key] });
+  });
+  return { ...env, variables };
+};
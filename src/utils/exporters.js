@@ -0,0 +1,294 @@
+import { isSecretName } from './secrets.js';
+
+/**
+ * REQUEST EXPORTS
+ * Sent (or ready-to-send) requests -> cURL / fetch / HTTPie snippets, a Postman v2.1
+ * collection or a HAR file, so a run can be reproduced outside the portal.
+ * Requests are { method, url, headers, body } as built for the wire; multipart requests
+ * carry `form: [{ name, value } | { name, fileName, contentType }]` instead of a body.
+ */
+
+const headerEntries = (headers = {}) => Object.keys(headers).map(name => [name, String(headers[name])]);
+
+const findHeader = (headers = {}, name) => {
+  const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+const parseMaybeJson = (text) => {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// --- {{variables}} ---
+
+/**
+ * Puts {{name}} back wherever an environment value appears in the URL, headers or
+ * body. Longest values go first so "{{baseUrl}}" wins over a variable it contains;
+ * values shorter than 3 characters are too likely to match by accident.
+ */
+export const templatizeRequest = (request, context = {}) => {
+  const vars = Object.keys(context)
+    .filter(key => typeof context[key] === 'string' && context[key].length >= 3 && !context[key].includes('{{'))
+    .sort((a, b) => context[b].length - context[a].length);
+  const used = new Set();
+
+  const replace = (text) => {
+    if (typeof text !== 'string') return text;
+    return vars.reduce((out, key) => {
+      if (!out.includes(context[key])) return out;
+      used.add(key);
+      return out.split(context[key]).join(`{{${key}}}`);
+    }, text);
+  };
+
+  const headers = {};
+  headerEntries(request.headers).forEach(([name, value]) => { headers[name] = replace(value); });
+  const templated = { ...request, url: replace(request.url), headers, body: replace(request.body) };
+  if (request.form) templated.form = request.form.map(part => (part.fileName ? part : { ...part, value: replace(part.value) }));
+  return { request: templated, variables: [...used] };
+};
+
+// --- Snippets ---
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+export const toCurl = (request) => {
+  const parts = [`curl${request.method === 'GET' ? '' : ` -X ${request.method}`} ${shellQuote(request.url)}`];
+  headerEntries(request.headers).forEach(([name, value]) => parts.push(`-H ${shellQuote(`${name}: ${value}`)}`));
+  if (request.body) parts.push(`--data-raw ${shellQuote(request.body)}`);
+  // --form-string so a value starting with @ or < isn't read as a file
+  request.form?.forEach(part => parts.push(part.fileName
+    ? `-F ${shellQuote(`${part.name}=@${part.fileName}`)}`
+    : `--form-string ${shellQuote(`${part.name}=${part.value}`)}`));
+  return parts.join(' \\\n  ');
+};
+
+export const toFetch = (request) => {
+  const json = parseMaybeJson(request.body);
+  const lines = [];
+  if (request.form) {
+    lines.push('const form = new FormData();');
+    request.form.forEach(part => lines.push(part.fileName
+      ? `form.append(${JSON.stringify(part.name)}, fileInput.files[0], ${JSON.stringify(part.fileName)});`
+      : `form.append(${JSON.stringify(part.name)}, ${JSON.stringify(part.value)});`));
+  }
+  lines.push(`const response = await fetch(${JSON.stringify(request.url)}, {`, `  method: ${JSON.stringify(request.method)},`);
+  const headers = JSON.stringify(request.headers || {}, null, 2).replace(/\n/g, '\n  ');
+  lines.push(`  headers: ${headers}${request.body || request.form ? ',' : ''}`);
+  if (request.form) {
+    lines.push('  body: form');
+  } else if (request.body) {
+    lines.push(typeof json === 'object' && json !== null
+      ? `  body: JSON.stringify(${JSON.stringify(json, null, 2).replace(/\n/g, '\n  ')})`
+      : `  body: ${JSON.stringify(request.body)}`);
+  }
+  lines.push('});', 'const data = await response.json();');
+  return lines.join('\n');
+};
+
+export const toHttpie = (request) => {
+  const parts = [`http ${request.method} ${shellQuote(request.url)}`];
+  headerEntries(request.headers).forEach(([name, value]) => parts.push(shellQuote(`${name}:${value}`)));
+  if (request.body) parts.push(`--raw ${shellQuote(request.body)}`);
+  if (request.form) {
+    parts.push('--multipart');
+    request.form.forEach(part => parts.push(shellQuote(part.fileName ? `${part.name}@${part.fileName}` : `${part.name}=${part.value}`)));
+  }
+  return parts.join(' \\\n  ');
+};
+
+export const SNIPPET_FORMATS = [
+  { id: 'curl', label: 'cURL', render: toCurl },
+  { id: 'fetch', label: 'fetch', render: toFetch },
+  { id: 'httpie', label: 'HTTPie', render: toHttpie }
+];
+
+// --- Sessions ---
+
+/**
+ * Batch result rows / history entries -> exchanges
+ * { name, startedAt, request, status, time, response, responseHeaders, error }.
+ * Rows that never got as far as building a request are skipped.
+ */
+export const batchExchanges = (results, startedAt) => results
+  .filter(row => row._request)
+  .map(row => ({
+    name: `Row ${row._rowIndex} · ${row._endpoint}`,
+    startedAt,
+    request: row._request,
+    status: row._status,
+    time: row._time,
+    response: row._response,
+    error: row._success === 'PASS' ? '' : row._assertions
+  }));
+
+export const historyExchanges = (entries) => entries
+  .filter(entry => entry.request)
+  .map(entry => ({
+    name: `${entry.method.toUpperCase()} ${entry.path}`,
+    startedAt: entry.at,
+    request: entry.request,
+    status: entry.status,
+    time: entry.time,
+    response: entry.response,
+    responseHeaders: entry.responseHeaders,
+    error: entry.isTimeout || entry.isNetworkError ? String(entry.response ?? '') : ''
+  }))
+  .reverse(); // history is newest first; sessions read oldest first
+
+// --- Postman v2.1 ---
+
+const postmanUrl = (raw) => {
+  const [base, query] = raw.split(/\?(.*)/s);
+  const match = base.match(/^({{[^{}]+}}|([a-z][a-z0-9+.-]*):\/\/[^/]+)(.*)$/i);
+  const url = { raw };
+  let path = base;
+  if (match) {
+    if (match[2]) {
+      url.protocol = match[2];
+      url.host = match[1].slice(match[2].length + 3).split('.');
+    } else {
+      url.host = [match[1]];
+    }
+    path = match[3];
+  }
+  url.path = path.split('/').filter(Boolean);
+  if (query) {
+    url.query = query.split('&').filter(Boolean).map(pair => {
+      const [key, ...value] = pair.split('=');
+      return { key, value: value.join('=') };
+    });
+  }
+  return url;
+};
+
+const postmanBody = (request) => {
+  if (request.form) {
+    return {
+      mode: 'formdata',
+      formdata: request.form.map(part => (part.fileName
+        ? { key: part.name, type: 'file', src: part.fileName }
+        : { key: part.name, value: part.value, type: 'text' }))
+    };
+  }
+  if (!request.body) return undefined;
+  if (/x-www-form-urlencoded/i.test(findHeader(request.headers, 'content-type') || '')) {
+    return { mode: 'urlencoded', urlencoded: [...new URLSearchParams(request.body)].map(([key, value]) => ({ key, value })) };
+  }
+  const json = parseMaybeJson(request.body);
+  return typeof json === 'object' && json !== null
+    ? { mode: 'raw', raw: JSON.stringify(json, null, 2), options: { raw: { language: 'json' } } }
+    : { mode: 'raw', raw: request.body };
+};
+
+/**
+ * One request per exchange. With an environment `context`, its values are swapped back
+ * to {{vars}} and listed as collection variables (secret-looking ones left blank).
+ */
+export const toPostmanCollection = (exchanges, { name = 'API EasyPortal export', context } = {}) => {
+  const variables = new Set();
+  const items = exchanges.map(exchange => {
+    let { request } = exchange;
+    if (context) {
+      const templated = templatizeRequest(request, context);
+      request = templated.request;
+      templated.variables.forEach(v => variables.add(v));
+    }
+    return {
+      name: exchange.name,
+      request: {
+        method: request.method,
+        header: headerEntries(request.headers).map(([key, value]) => ({ key, value })),
+        url: postmanUrl(request.url),
+        body: postmanBody(request)
+      },
+      response: []
+    };
+  });
+
+  return JSON.stringify({
+    info: {
+      name,
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    item: items,
+    variable: [...variables].sort().map(key => ({
+      key,
+      value: isSecretName(key) ? '' : context[key]
+    }))
+  }, null, 2);
+};
+
+// --- HAR 1.2 ---
+
+const harHeaders = (headers) => headerEntries(headers).map(([name, value]) => ({ name, value }));
+
+const harQuery = (url) => {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+};
+
+export const toHar = (exchanges) => JSON.stringify({
+  log: {
+    version: '1.2',
+    creator: { name: 'API EasyPortal', version: '1.0' },
+    entries: exchanges.map(exchange => {
+      const { request } = exchange;
+      const text = typeof exchange.response === 'string' ? exchange.response : JSON.stringify(exchange.response ?? '');
+      const entry = {
+        startedDateTime: new Date(exchange.startedAt || 0).toISOString(),
+        time: exchange.time || 0,
+        request: {
+          method: request.method,
+          url: request.url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: harHeaders(request.headers),
+          queryString: harQuery(request.url),
+          headersSize: -1,
+          bodySize: request.body ? request.body.length : 0
+        },
+        response: {
+          status: exchange.status || 0,
+          statusText: '',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: harHeaders(exchange.responseHeaders),
+          content: {
+            size: text.length,
+            mimeType: findHeader(exchange.responseHeaders, 'content-type') || 'application/json',
+            text
+          },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: exchange.time || 0, receive: 0 }
+      };
+      if (request.form) {
+        entry.request.postData = {
+          mimeType: 'multipart/form-data',
+          params: request.form.map(part => (part.fileName
+            ? { name: part.name, fileName: part.fileName, contentType: part.contentType }
+            : { name: part.name, value: part.value }))
+        };
+      } else if (request.body) {
+        entry.request.postData = {
+          mimeType: findHeader(request.headers, 'content-type') || 'application/json',
+          text: request.body
+        };
+      }
+      if (exchange.error) entry.comment = exchange.error;
+      return entry;
+    })
+  }
+}, null, 2);
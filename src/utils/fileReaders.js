@@ -0,0 +1,76 @@
+import { parseDataFile, detectDataFormat } from './dataFiles.js';
+
+/**
+ * BROWSER FILE HELPERS
+ * Read uploaded / dropped files (including whole folders) into { path: text } maps.
+ */
+
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (evt) => resolve(evt.target.result);
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+  reader.readAsText(file);
+});
+
+const SPEC_FILE_PATTERN = /\.(ya?ml|json|har)$/i;
+
+// Strip the shared top-level folder so refs resolve relative to the spec folder itself
+const stripCommonRoot = (entries) => {
+  const firstSegments = new Set(entries.map(e => (e.path.includes('/') ? e.path.split('/')[0] : '')));
+  if (firstSegments.size !== 1 || firstSegments.has('')) return entries;
+  return entries.map(e => ({ ...e, path: e.path.split('/').slice(1).join('/') }));
+};
+
+const toFileMap = async (entries) => {
+  const files = {};
+  for (const { path, file } of stripCommonRoot(entries)) {
+    files[path] = await readFileAsText(file);
+  }
+  return files;
+};
+
+// <input type="file" multiple> or <input webkitdirectory>
+export const readSpecFileList = (fileList) => toFileMap(
+  Array.from(fileList)
+    .filter(file => SPEC_FILE_PATTERN.test(file.name))
+    .map(file => ({ path: file.webkitRelativePath || file.name, file }))
+);
+
+// Recursively walk a dropped directory entry (FileSystemEntry API)
+const walkEntry = (entry, prefix = '') => new Promise((resolve) => {
+  if (entry.isFile) {
+    entry.file(file => resolve([{ path: prefix + file.name, file }]), () => resolve([]));
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries returns results in chunks; keep reading until it returns an empty batch
+    const readBatch = () => reader.readEntries(async (batch) => {
+      if (batch.length === 0) {
+        const nested = await Promise.all(children.map(child => walkEntry(child, `${prefix}${entry.name}/`)));
+        resolve(nested.flat());
+      } else {
+        children.push(...batch);
+        readBatch();
+      }
+    }, () => resolve([]));
+    readBatch();
+  } else {
+    resolve([]);
+  }
+});
+
+// Drag & drop: supports several files and/or folders at once
+export const readDroppedSpecFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (entries.length === 0) return readSpecFileList(dataTransfer.files);
+
+  const collected = (await Promise.all(entries.map(entry => walkEntry(entry)))).flat();
+  return toFileMap(collected.filter(({ file }) => SPEC_FILE_PATTERN.test(file.name)));
+};
+
+// Batch data upload: .xlsx is read as binary, everything else as text
+export const readDataFile = async (file) => {
+  const content = detectDataFormat(file.name) === 'xlsx' ? await file.arrayBuffer() : await readFileAsText(file);
+  return parseDataFile(file.name, content);
+};
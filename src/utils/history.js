@@ -0,0 +1,31 @@
+import { createId } from './ids.js';
+
+/**
+ * REQUEST HISTORY
+ * One entry per request sent (manual, batch or scenario), newest first.
+ */
+
+export const HISTORY_LIMIT = 200;
+
+export const createHistoryEntry = (endpoint, formData, result, source = 'manual') => ({
+  id: createId('req'),
+  at: Date.now(),
+  source,
+  endpointId: endpoint.id,
+  method: endpoint.method,
+  path: endpoint.path,
+  formData,
+  request: result.request || null, // { method, url, headers, body } as sent
+  status: result.status,
+  success: result.success,
+  isNetworkError: !!result.isNetworkError,
+  isTimeout: !!result.isTimeout,
+  time: result.time,
+  response: result.data,
+  responseHeaders: result.headers || {},
+  contentType: result.contentType || '',
+  size: result.size ?? null
+});
+
+// Prepend entries (given oldest first) and drop the oldest beyond the limit
+export const addHistoryEntries = (history, entries) => [...entries].reverse().concat(history).slice(0, HISTORY_LIMIT);
@@ -0,0 +1,60 @@
+import { toProxyRequest, fromProxyHeaders, parseServerTiming } from './proxy.js';
+
+/**
+ * HTTP
+ * Sends a prepared request and times it. Bodies are read once as text and parsed
+ * as JSON when possible, so non-JSON responses still come back intact. Images, PDFs
+ * and other binary bodies are kept as a Blob for the viewer instead.
+ */
+
+// Bodies that would be mangled by reading them as text
+export const isBinaryContentType = (contentType = '') =>
+  /^(image|audio|video|font)\/|^application\/(pdf|octet-stream|zip|gzip|x-tar|vnd\.ms-excel|vnd\.openxmlformats)/i.test(contentType.trim());
+
+// Aborts on the caller's signal or after timeoutMs, whichever comes first
+const combineSignals = (signal, timeoutMs) => {
+  const signals = [signal, timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null].filter(Boolean);
+  return signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+};
+
+/**
+ * Returns { res, time, data, raw, blob, headers, contentType, size, timing, viaProxy }:
+ *   data   - parsed JSON, else the text; for binary bodies a "[image/png, 1234 bytes]" placeholder
+ *   raw    - the body text as received (empty for binary bodies)
+ *   blob   - binary bodies only
+ *   size   - body size in bytes
+ *   timing - { dns, connect, tls, ttfb, download, total } in ms, when sent through `proxy`
+ * Rejects with a TimeoutError when timeoutMs elapses and an AbortError when `signal` is aborted;
+ * a proxy that can't reach the API rejects like a network error, with the proxy's reason.
+ */
+export const sendRequest = async (url, options, { signal, timeoutMs = 0, proxy = null } = {}) => {
+  const start = Date.now();
+  const [target, init] = proxy ? toProxyRequest(proxy, url, options) : [url, options];
+  const res = await fetch(target, { ...init, signal: combineSignals(signal, timeoutMs) });
+  let headers = Object.fromEntries(res.headers.entries());
+  let timing = null;
+  if (proxy) {
+    if (headers['x-proxy-error']) throw new TypeError(`Proxy could not reach the API: ${headers['x-proxy-error']}`);
+    timing = parseServerTiming(headers['x-proxy-timing']);
+    headers = fromProxyHeaders(headers);
+  }
+  const contentType = headers['content-type'] || '';
+  const meta = { res, headers, contentType, timing, viaProxy: Boolean(proxy) };
+
+  if (isBinaryContentType(contentType)) {
+    const blob = await res.blob();
+    const time = Date.now() - start;
+    const data = `[${contentType.split(';')[0]}, ${blob.size} bytes]`;
+    return { ...meta, time, data, raw: '', blob, size: blob.size };
+  }
+
+  const text = await res.text();
+  const time = Date.now() - start;
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Not JSON - keep the raw text
+  }
+  return { ...meta, time, data, raw: text, size: new TextEncoder().encode(text).length };
+};
@@ -0,0 +1,3 @@
+// Short unique ids for scenarios, steps, environments and workspaces
+export const createId = (prefix = 'id') =>
+  `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
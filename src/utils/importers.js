@@ -0,0 +1,404 @@
+/**
+ * CAPTURED REQUEST IMPORTS
+ * cURL commands, HAR files and Insomnia v4 exports -> the same { info, endpoints }
+ * shape the OpenAPI / Postman parsers produce. Paths, params and body schemas are
+ * inferred from the concrete requests, which also become a starter batch dataset.
+ *
+ * Every source is first reduced to captured requests:
+ *   { name, method, url, headers: [[name, value]], body, mimeType }
+ */
+
+// --- cURL ---
+
+export const isCurlCommand = (text) => /^\s*curl\s/i.test(text || '');
+
+const ANSI_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', 0: '\0', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v' };
+
+/**
+ * Bash-style word splitting: '...', "...", $'...', backslash escapes and line
+ * continuations. Unquoted ; && | and newlines come back as ";" separator tokens.
+ */
+const tokenizeShell = (text) => {
+  const tokens = [];
+  let word = null;
+  const end = () => {
+    if (word !== null) tokens.push(word);
+    word = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      const next = text[i + 1];
+      if (next === '\n' || (next === '\r' && text[i + 2] === '\n')) {
+        i += next === '\r' ? 2 : 1; // line continuation
+      } else if (next !== undefined) {
+        word = (word ?? '') + next;
+        i++;
+      }
+    } else if (ch === '\n' || ch === ';' || ch === '|' || (ch === '&' && text[i + 1] === '&')) {
+      end();
+      tokens.push(';');
+      if (ch === '&' || (ch === '|' && text[i + 1] === '|')) i++;
+    } else if (/\s/.test(ch)) {
+      end();
+    } else if (ch === "'") {
+      const close = text.indexOf("'", i + 1);
+      const stop = close === -1 ? text.length : close;
+      word = (word ?? '') + text.slice(i + 1, stop);
+      i = stop;
+    } else if (ch === '$' && text[i + 1] === "'") {
+      // ANSI-C quoting, used by browser devtools for bodies with special characters
+      word = word ?? '';
+      for (i += 2; i < text.length && text[i] !== "'"; i++) {
+        if (text[i] !== '\\') {
+          word += text[i];
+        } else if (text[i + 1] === 'x' || text[i + 1] === 'u') {
+          const len = text[i + 1] === 'x' ? 2 : 4;
+          const hex = text.slice(i + 2, i + 2 + len).match(/^[0-9a-f]+/i)?.[0] || '';
+          word += hex ? String.fromCharCode(parseInt(hex, 16)) : text[i + 1];
+          i += 1 + hex.length;
+        } else {
+          word += ANSI_ESCAPES[text[i + 1]] ?? text[i + 1];
+          i++;
+        }
+      }
+    } else if (ch === '"') {
+      word = word ?? '';
+      for (i += 1; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\' && '"\\$`\n'.includes(text[i + 1])) i++;
+        word += text[i];
+      }
+    } else {
+      word = (word ?? '') + ch;
+    }
+  }
+  end();
+  return tokens;
+};
+
+// Options that take a value we don't use
+const IGNORED_VALUE_OPTIONS = new Set([
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '-x', '--proxy', '--cacert', '--capath',
+  '-E', '--cert', '--key', '-w', '--write-out', '--retry', '--resolve', '-A', '--user-agent',
+  '-e', '--referer', '-c', '--cookie-jar', '--limit-rate', '-r', '--range', '-T', '--upload-file'
+]);
+
+const DATA_OPTIONS = new Set(['-d', '--data', '--data-raw', '--data-binary', '--data-ascii']);
+
+const encodeDataUrlencode = (value) => {
+  const idx = value.indexOf('=');
+  if (idx === -1) return encodeURIComponent(value);
+  return `${value.slice(0, idx)}=${encodeURIComponent(value.slice(idx + 1))}`;
+};
+
+const curlToCaptured = (args) => {
+  let method = null;
+  let url = null;
+  let forceGet = false;
+  const headers = [];
+  const data = [];
+  const form = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const next = () => args[++i] ?? '';
+    if (arg === '-X' || arg === '--request') method = next().toUpperCase();
+    else if (arg === '-H' || arg === '--header') {
+      const header = next();
+      const idx = header.indexOf(':');
+      if (idx > 0) headers.push([header.slice(0, idx).trim(), header.slice(idx + 1).trim()]);
+    } else if (DATA_OPTIONS.has(arg)) data.push(next());
+    else if (arg === '--data-urlencode') data.push(encodeDataUrlencode(next()));
+    else if (arg === '--json') {
+      data.push(next());
+      headers.push(['Content-Type', 'application/json']);
+    } else if (arg === '-F' || arg === '--form') form.push(next());
+    else if (arg === '-u' || arg === '--user') headers.push(['Authorization', `Basic ${btoa(next())}`]);
+    else if (arg === '-b' || arg === '--cookie') headers.push(['Cookie', next()]);
+    else if (arg === '--url') url = next();
+    else if (arg === '-G' || arg === '--get') forceGet = true;
+    else if (arg === '-I' || arg === '--head') method = 'HEAD';
+    else if (IGNORED_VALUE_OPTIONS.has(arg)) next();
+    else if (!arg.startsWith('-') && url === null) url = arg;
+  }
+  if (!url) throw new Error('cURL command has no URL.');
+
+  const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type')?.[1];
+  let body = data.length ? data.join('&') : null;
+  let mimeType = contentType || (body ? 'application/x-www-form-urlencoded' : null);
+  if (forceGet && body) {
+    url += (url.includes('?') ? '&' : '?') + body;
+    body = null;
+  }
+  if (form.length) {
+    mimeType = 'multipart/form-data';
+    body = form.join('&');
+  }
+
+  return {
+    method: method || (body ? 'POST' : 'GET'),
+    url: /^[a-z][a-z0-9+.-]*:\/\//i.test(url) || url.startsWith('{{') ? url : `http://${url}`,
+    headers,
+    body,
+    mimeType
+  };
+};
+
+// One or more commands (devtools' "Copy all as cURL" puts one per line)
+export const parseCurlCommands = (text) => {
+  const commands = [[]];
+  tokenizeShell(text).forEach(token => {
+    if (token === ';') commands.push([]);
+    else commands[commands.length - 1].push(token);
+  });
+  const curls = commands.filter(cmd => cmd[0]?.toLowerCase() === 'curl');
+  if (curls.length === 0) throw new Error('No curl command found.');
+  return curls.map(cmd => curlToCaptured(cmd.slice(1)));
+};
+
+// --- HAR ---
+
+export const isHar = (json) => Array.isArray(json?.log?.entries);
+
+const STATIC_ASSET = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|html?|mp4|webm)(\?|$)/i;
+
+// Only the API calls: XHR / fetch when the browser recorded resource types, else non-asset URLs
+export const parseHarEntries = (json) => {
+  const entries = json.log.entries.filter(e => e.request?.url && /^https?:/i.test(e.request.url));
+  const typed = entries.filter(e => ['xhr', 'fetch'].includes(e._resourceType));
+  const calls = typed.length ? typed : entries.filter(e => !STATIC_ASSET.test(e.request.url.split('#')[0]));
+
+  return calls.map(({ request }) => {
+    const postData = request.postData;
+    let body = postData?.text ?? null;
+    if (!body && postData?.params?.length) {
+      body = postData.params.map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(p.value ?? '')}`).join('&');
+    }
+    return {
+      method: (request.method || 'GET').toUpperCase(),
+      url: request.url,
+      headers: (request.headers || []).map(h => [h.name, h.value]),
+      body,
+      mimeType: postData?.mimeType || null
+    };
+  });
+};
+
+// --- Insomnia v4 ---
+
+export const isInsomniaExport = (json) => json?._type === 'export' && Array.isArray(json.resources);
+
+// "{{ _.baseUrl }}" (Insomnia's template syntax) -> "{{baseUrl}}"
+const fromInsomniaTemplate = (text) => (typeof text === 'string' ? text.replace(/{{\s*_\.([\w.-]+)\s*}}/g, '{{$1}}') : text);
+
+export const parseInsomniaExport = (json) => json.resources
+  .filter(r => r._type === 'request' && r.url)
+  .map(r => {
+    const enabled = (list) => (list || []).filter(item => !item.disabled && item.name);
+    const query = enabled(r.parameters).map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(fromInsomniaTemplate(p.value ?? ''))}`);
+    let url = fromInsomniaTemplate(r.url);
+    if (query.length) url += (url.includes('?') ? '&' : '?') + query.join('&');
+
+    let body = fromInsomniaTemplate(r.body?.text) ?? null;
+    if (!body && r.body?.params?.length) {
+      body = enabled(r.body.params).map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(fromInsomniaTemplate(p.value ?? ''))}`).join('&');
+    }
+    return {
+      name: r.name,
+      method: (r.method || 'GET').toUpperCase(),
+      url,
+      headers: enabled(r.headers).map(h => [h.name, fromInsomniaTemplate(h.value ?? '')]),
+      body,
+      mimeType: r.body?.mimeType || null
+    };
+  });
+
+// --- Inference ---
+
+// Browser / transport headers that say nothing about the API (auth belongs in the environment)
+const SKIPPED_HEADER = /^(host|connection|content-length|content-type|accept|accept-encoding|accept-language|user-agent|referer|origin|cookie|pragma|cache-control|dnt|priority|te|upgrade-insecure-requests|authorization|x-api-key|sec-.*|:.*)$/i;
+
+// Segments that look like record ids: numbers, UUIDs, long hex or mixed tokens
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,}|(?=.*\d)(?=.*[a-z])[\w-]{20,})$/i;
+
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch {
+    return text;
+  }
+};
+
+const parseQueryString = (query) => (query || '').split('&').filter(Boolean).map(pair => {
+  const idx = pair.indexOf('=');
+  return idx === -1 ? [safeDecode(pair), ''] : [safeDecode(pair.slice(0, idx)), safeDecode(pair.slice(idx + 1))];
+});
+
+// "https://api.x.com/v1/users?a=1" -> { origin, path, query: [[k, v]] }; "{{baseUrl}}" hosts are kept as-is
+const splitUrl = (url) => {
+  const [, origin = '', path = '', query = ''] = url.match(/^({{[^{}]+}}|[a-z][a-z0-9+.-]*:\/\/[^/?#]+)?([^?#]*)(?:\?([^#]*))?/i) || [];
+  return { origin, path: path.startsWith('/') ? path : `/${path}`, query: parseQueryString(query) };
+};
+
+const singular = (word) => word.replace(/ies$/, 'y').replace(/(ss|[^s])s$/, '$1').replace(/[^\w]/g, '');
+
+// "/users/42/orders/{{orderId}}" -> { template: "/users/{userId}/orders/{orderId}", values: { userId: '42' } }
+const templatePath = (path) => {
+  const values = {};
+  const names = new Set();
+  const segments = path.split('/').map((segment, i, all) => {
+    const variable = segment.match(/^{{\s*([\w.-]+)\s*}}$/) || segment.match(/^:(\w+)$/);
+    if (!variable && !ID_SEGMENT.test(segment)) return segment;
+    const prev = all.slice(0, i).reverse().find(s => s && !ID_SEGMENT.test(s) && !s.startsWith('{') && !s.startsWith(':'));
+    let name = variable ? variable[1] : `${prev ? singular(prev) : ''}${prev ? 'Id' : 'id'}`;
+    for (let n = 2; names.has(name); n++) name = `${name.replace(/\d+$/, '')}${n}`;
+    names.add(name);
+    values[name] = variable ? (segment.startsWith(':') ? '' : segment) : safeDecode(segment);
+    return `{${name}}`;
+  });
+  return { template: segments.join('/').replace(/(.)\/$/, '$1'), values };
+};
+
+// Schema (with examples) describing a concrete JSON value
+export const inferSchema = (value) => {
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length ? inferSchema(value[0]) : {}, example: value };
+  }
+  if (value && typeof value === 'object') {
+    const properties = {};
+    Object.keys(value).forEach(key => { properties[key] = inferSchema(value[key]); });
+    return { type: 'object', properties };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number', example: value };
+  if (typeof value === 'boolean') return { type: 'boolean', example: value };
+  if (value === null) return { type: 'string', nullable: true };
+  return { type: 'string', example: value };
+};
+
+// JSON that may hold bare {{vars}} ("age": {{age}}), which JSON.parse would reject
+export const parseTemplatedJson = (text) => JSON.parse(text.replace(/(^|[^"]){{([^{}]+)}}/g, '$1"{{$2}}"'));
+
+const baseMime = (mimeType) => (mimeType || '').split(';')[0].trim().toLowerCase();
+
+// { mime, value } where value is parsed JSON, an object of form fields, or the raw text
+const parseBody = (captured) => {
+  if (captured.body === null || captured.body === undefined || captured.body === '') return null;
+  const mime = baseMime(captured.mimeType);
+  if (mime.includes('json') || (!mime && /^\s*[{[]/.test(captured.body))) {
+    try {
+      return { mime: 'application/json', value: parseTemplatedJson(captured.body) };
+    } catch {
+      return { mime: mime || 'text/plain', value: captured.body };
+    }
+  }
+  if (mime === 'application/x-www-form-urlencoded' || mime === 'multipart/form-data') {
+    return { mime, value: Object.fromEntries(parseQueryString(captured.body)) };
+  }
+  return { mime: mime || 'text/plain', value: captured.body };
+};
+
+// Dataset columns for a body: nested objects as dotted keys (the CSV convention), arrays as JSON
+const flattenBody = (value, prefix = '', out = {}) => {
+  Object.keys(value).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const v = value[key];
+    if (v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length) flattenBody(v, path, out);
+    else out[path] = v && typeof v === 'object' ? JSON.stringify(v) : v;
+  });
+  return out;
+};
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || '';
+};
+
+/**
+ * Captured requests -> { info, endpoints, baseUrl, dataset }. Requests with the same
+ * method and path template become one endpoint; `baseUrl` is the most common concrete
+ * host (endpoints on other hosts keep their own `server`); `dataset` has one row per
+ * request, targeted with _method / _path so a single sheet covers every endpoint.
+ */
+export const capturedToSpec = (captured, title) => {
+  if (captured.length === 0) throw new Error('No API requests found to import.');
+  const parsed = captured.map(c => ({ ...c, ...splitUrl(c.url), parsedBody: parseBody(c) }));
+  const baseUrl = mostCommon(parsed.map(p => p.origin).filter(o => o && !o.startsWith('{{')));
+
+  const groups = new Map();
+  const dataset = [];
+  parsed.forEach(p => {
+    const { template, values } = templatePath(p.path);
+    const key = `${p.method} ${p.origin === baseUrl ? '' : p.origin}${template}`;
+    if (!groups.has(key)) groups.set(key, { ...p, template, samples: [] });
+    const headers = p.headers.filter(([name]) => !SKIPPED_HEADER.test(name));
+    groups.get(key).samples.push({ pathValues: values, query: p.query, headers, body: p.parsedBody });
+
+    const bodyValue = p.parsedBody?.value;
+    dataset.push({
+      _method: p.method,
+      _path: template,
+      ...values,
+      ...Object.fromEntries(p.query),
+      ...Object.fromEntries(headers),
+      ...(bodyValue && typeof bodyValue === 'object' && !Array.isArray(bodyValue)
+        ? flattenBody(bodyValue)
+        : bodyValue !== undefined ? { _body: typeof bodyValue === 'string' ? bodyValue : JSON.stringify(bodyValue) } : {})
+    });
+  });
+
+  const endpoints = [...groups.values()].map(group => {
+    const { samples } = group;
+    const first = samples[0];
+    const inAll = (name, pick) => samples.every(s => pick(s).some(([n]) => n === name));
+    const params = [
+      ...Object.keys(first.pathValues).map(name => ({
+        name, in: 'path', required: true, schema: { type: 'string' }, example: first.pathValues[name] || undefined
+      }))
+    ];
+    [['query', s => s.query], ['header', s => s.headers]].forEach(([location, pick]) => {
+      const seen = new Map();
+      samples.forEach(s => pick(s).forEach(([name, value]) => { if (!seen.has(name)) seen.set(name, value); }));
+      seen.forEach((value, name) => params.push({
+        name, in: location, required: inAll(name, pick), schema: { type: 'string' }, example: value
+      }));
+    });
+
+    let requestBody = null;
+    const bodies = samples.map(s => s.body).filter(Boolean);
+    if (bodies.length) {
+      const { mime, value } = bodies[0];
+      const objects = bodies.filter(b => b.mime === mime && b.value && typeof b.value === 'object' && !Array.isArray(b.value));
+      let schema = typeof value === 'string' ? { type: 'string', example: value } : inferSchema(value);
+      if (objects.length) {
+        // Union of the fields seen across samples; required when every sample sends it
+        const merged = {};
+        objects.forEach(b => {
+          const { properties } = inferSchema(b.value);
+          Object.keys(properties).forEach(k => { if (!merged[k]) merged[k] = properties[k]; });
+        });
+        schema = {
+          type: 'object',
+          properties: merged,
+          required: Object.keys(merged).filter(k => objects.every(b => b.value[k] !== undefined))
+        };
+      }
+      requestBody = { content: { [mime]: { schema } } };
+    }
+
+    const otherHost = group.origin && group.origin !== baseUrl;
+    return {
+      id: `${group.method.toLowerCase()}-${otherHost ? group.origin : ''}${group.template}`,
+      path: group.template,
+      server: otherHost ? group.origin : null,
+      method: group.method.toLowerCase(),
+      summary: group.name || `${group.method} ${group.template}`,
+      parameters: params,
+      requestBody,
+      definitions: {}
+    };
+  });
+
+  return { info: { title, version: '1.0' }, endpoints, baseUrl, dataset };
+};
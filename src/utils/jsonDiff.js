@@ -0,0 +1,33 @@
+import { toJsonPath } from './jsonPath.js';
+
+/**
+ * JSON DIFF
+ * Structural comparison of two JSON values. Objects are compared key by key and
+ * arrays index by index; each difference is reported with its JSONPath.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Returns [{ path, type: 'added' | 'removed' | 'changed', before, after }],
+ * in document order. An empty list means the values are equal.
+ */
+export const diffJson = (before, after, segments = [], changes = []) => {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (i >= before.length) changes.push({ path: toJsonPath([...segments, i]), type: 'added', after: after[i] });
+      else if (i >= after.length) changes.push({ path: toJsonPath([...segments, i]), type: 'removed', before: before[i] });
+      else diffJson(before[i], after[i], [...segments, i], changes);
+    }
+  } else if (isObject(before) && isObject(after)) {
+    const keys = [...Object.keys(before), ...Object.keys(after).filter(key => !(key in before))];
+    keys.forEach(key => {
+      if (!(key in after)) changes.push({ path: toJsonPath([...segments, key]), type: 'removed', before: before[key] });
+      else if (!(key in before)) changes.push({ path: toJsonPath([...segments, key]), type: 'added', after: after[key] });
+      else diffJson(before[key], after[key], [...segments, key], changes);
+    });
+  } else if (before !== after) {
+    changes.push({ path: toJsonPath(segments), type: 'changed', before, after });
+  }
+  return changes;
+};
@@ -0,0 +1,102 @@
+/**
+ * JSONPATH (subset)
+ * Supports $, .key, ['key'], [0], [-1], [*], .* and ..key (recursive descent).
+ */
+
+const readName = (path, start) => {
+  let end = start;
+  while (end < path.length && path[end] !== '.' && path[end] !== '[') end++;
+  return [path.slice(start, end), end];
+};
+
+const readBracket = (path, start) => {
+  let i = start + 1;
+  let quote = null;
+  while (i < path.length) {
+    const char = path[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ']') {
+      break;
+    }
+    i++;
+  }
+  if (i >= path.length) throw new Error(`Unclosed [ in JSONPath "${path}"`);
+
+  const inner = path.slice(start + 1, i).trim();
+  let token;
+  if (inner === '*') token = { type: 'wildcard' };
+  else if (/^-?\d+$/.test(inner)) token = { type: 'index', index: Number(inner) };
+  else if (/^(['"]).*\1$/.test(inner)) token = { type: 'key', key: inner.slice(1, -1).replace(/\\(.)/g, '$1') };
+  else token = { type: 'key', key: inner };
+  return [token, i + 1];
+};
+
+export const parseJsonPath = (expression) => {
+  let path = expression.trim();
+  if (!path.startsWith('$')) path = path.startsWith('[') ? `$${path}` : `$.${path}`;
+
+  const tokens = [];
+  let i = 1;
+  while (i < path.length) {
+    if (path.startsWith('..', i)) {
+      let token;
+      if (path[i + 2] === '[') {
+        [token, i] = readBracket(path, i + 2);
+      } else {
+        let name;
+        [name, i] = readName(path, i + 2);
+        token = name === '*' ? { type: 'wildcard' } : { type: 'key', key: name };
+      }
+      tokens.push({ ...token, descend: true });
+    } else if (path[i] === '.') {
+      let name;
+      [name, i] = readName(path, i + 1);
+      if (!name) throw new Error(`Empty segment in JSONPath "${expression}"`);
+      tokens.push(name === '*' ? { type: 'wildcard' } : { type: 'key', key: name });
+    } else if (path[i] === '[') {
+      let token;
+      [token, i] = readBracket(path, i);
+      tokens.push(token);
+    } else {
+      throw new Error(`Unexpected "${path[i]}" in JSONPath "${expression}"`);
+    }
+  }
+  return tokens;
+};
+
+const childrenOf = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+};
+
+const applyToken = (value, token) => {
+  if (token.type === 'wildcard') return childrenOf(value);
+  if (token.type === 'index') {
+    if (!Array.isArray(value)) return [];
+    const idx = token.index < 0 ? value.length + token.index : token.index;
+    return idx in value ? [value[idx]] : [];
+  }
+  if (value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, token.key)) {
+    return [value[token.key]];
+  }
+  return [];
+};
+
+// Every node below (and including) value, depth-first
+const descendants = (value) => [value, ...childrenOf(value).flatMap(descendants)];
+
+// Returns every value matched by the expression (empty array when nothing matches)
+export const queryJsonPath = (data, expression) => parseJsonPath(expression).reduce((nodes, token) => (
+  nodes.flatMap(node => (token.descend ? descendants(node).flatMap(n => applyToken(n, token)) : applyToken(node, token)))
+), [data]);
+
+// Build "$.items[0]['odd key']" from a list of keys / indexes
+export const toJsonPath = (segments) => segments.reduce((path, segment) => {
+  if (typeof segment === 'number') return `${path}[${segment}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${path}.${segment}` : `${path}['${String(segment).replace(/'/g, "\\'")}']`;
+}, '$');
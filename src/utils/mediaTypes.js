@@ -0,0 +1,98 @@
+/**
+ * REQUEST MEDIA TYPES
+ * Which body encodings an endpoint declares, which one a request uses, and how a
+ * built body value goes on the wire: JSON, form-urlencoded, multipart (with file
+ * parts) or raw text / XML.
+ */
+
+const baseType = (mime = '') => mime.split(';')[0].trim().toLowerCase();
+
+// 'json' | 'form' | 'multipart' | 'text'
+export const mediaKind = (mime) => {
+  const type = baseType(mime);
+  if (type === 'application/x-www-form-urlencoded') return 'form';
+  if (type.startsWith('multipart/')) return 'multipart';
+  if (type === '*/*' || /[/+]json$/.test(type)) return 'json';
+  return 'text';
+};
+
+export const listMediaTypes = (endpoint) => Object.keys(endpoint.requestBody?.content || {});
+
+// JSON when the spec offers it, otherwise whatever it lists first
+export const defaultMediaType = (endpoint) => {
+  const types = listMediaTypes(endpoint);
+  return types.find(type => mediaKind(type) === 'json') || types[0];
+};
+
+// The media type a request uses: the form / data row's "_contentType" if the spec declares it
+export const bodyMediaType = (endpoint, data = {}) => {
+  const chosen = data?._contentType;
+  return chosen && listMediaTypes(endpoint).includes(chosen) ? chosen : defaultMediaType(endpoint);
+};
+
+// Example text for a raw body: media type example, first named example, then the schema's
+export const mediaExample = (media = {}) => {
+  const firstExample = media.examples ? Object.values(media.examples)[0]?.value : undefined;
+  const value = media.example ?? firstExample ?? media.schema?.example ?? media.schema?.default;
+  if (value === undefined) return undefined;
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+const fieldText = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Form fields are flat: arrays repeat the field name, objects are sent as JSON text
+const formEntries = (value) => {
+  if (!value || typeof value !== 'object') return [];
+  return Object.keys(value).flatMap(name => {
+    const list = Array.isArray(value[name]) ? value[name] : [value[name]];
+    return list.filter(item => item !== undefined && item !== null).map(item => [name, item]);
+  });
+};
+
+/**
+ * Encodes a body value (as built from the form / data row) for `mediaType`.
+ * Returns { body, contentType, recorded }:
+ *   body        - what fetch sends (a string, or FormData for multipart)
+ *   contentType - the header to set; null for multipart, where fetch adds the boundary
+ *   recorded    - { body } or { form: [{ name, value } | { name, fileName, contentType }] }
+ *                 for history and exports
+ * `fileFields` are multipart fields declared as binary; a text value given for one
+ * (e.g. a data file cell) is sent as the file's contents.
+ */
+export const encodeBody = (mediaType, value, { fileFields = [] } = {}) => {
+  switch (mediaKind(mediaType)) {
+    case 'form': {
+      const text = new URLSearchParams(formEntries(value).map(([name, item]) => [
+        name,
+        item instanceof Blob ? item.name || '' : fieldText(item)
+      ])).toString();
+      return { body: text, contentType: mediaType, recorded: { body: text } };
+    }
+    case 'multipart': {
+      const form = new FormData();
+      const parts = [];
+      formEntries(value).forEach(([name, item]) => {
+        if (item instanceof Blob || fileFields.includes(name)) {
+          // A file that didn't survive being saved (it comes back as {}) is left out
+          if (!(item instanceof Blob) && typeof item === 'object') return;
+          const file = item instanceof Blob ? item : new Blob([fieldText(item)], { type: 'text/plain' });
+          const fileName = file.name || `${name}.txt`;
+          form.append(name, file, fileName);
+          parts.push({ name, fileName, contentType: file.type || 'application/octet-stream' });
+        } else {
+          form.append(name, fieldText(item));
+          parts.push({ name, value: fieldText(item) });
+        }
+      });
+      return { body: form, contentType: null, recorded: { form: parts } };
+    }
+    case 'text': {
+      const text = value === undefined || value === null ? '' : fieldText(value);
+      return { body: text, contentType: mediaType, recorded: { body: text } };
+    }
+    default: {
+      const text = JSON.stringify(value);
+      return { body: text, contentType: baseType(mediaType) === '*/*' ? 'application/json' : mediaType, recorded: { body: text } };
+    }
+  }
+};
@@ -0,0 +1,237 @@
+import { derefSchema, mergeAllOf, schemaType, coercePrimitive } from './schema.js';
+import { mediaKind } from './mediaTypes.js';
+import { findResponseSpec } from './validation.js';
+import { matchPathTemplate } from './batchTargets.js';
+
+/**
+ * MOCK RESPONSES
+ * What the mock server answers for an endpoint: the spec's example / examples for the
+ * chosen status, else fake data generated from the response schema. Generation is
+ * seeded by the request, so the same URL always gets the same data.
+ */
+
+// Deeper (usually recursive) schemas are cut off with an empty value
+const MAX_DEPTH = 6;
+// Below this depth only required properties are filled in, so recursive schemas stay small
+const OPTIONAL_DEPTH = 2;
+
+// --- Seeded randomness ---
+
+// FNV-1a hash of the seed text -> mulberry32 generator in [0, 1)
+export const createRandom = (seedText = '') => {
+  let state = 2166136261;
+  for (let i = 0; i < seedText.length; i++) {
+    state ^= seedText.charCodeAt(i);
+    state = Math.imul(state, 16777619);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const between = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const WORDS = ['alpha', 'bravo', 'delta', 'echo', 'nova', 'orbit', 'pixel', 'quartz', 'river', 'summit', 'tango', 'vector'];
+const FIRST_NAMES = ['Ada', 'Grace', 'Alan', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Turing', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson'];
+const CITIES = ['Berlin', 'Lisbon', 'Nairobi', 'Osaka', 'Toronto', 'Valparaiso'];
+const COUNTRIES = ['DE', 'PT', 'KE', 'JP', 'CA', 'CL'];
+
+const hex = (random, length) => Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join('');
+
+// Dates spread over 2024 so they look plausible and stay stable per seed
+const fakeDate = (random) => new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * 365 * 24 * 3600) * 1000);
+
+const FORMATS = {
+  'date-time': (random) => fakeDate(random).toISOString(),
+  date: (random) => fakeDate(random).toISOString().slice(0, 10),
+  time: (random) => fakeDate(random).toISOString().slice(11, 19),
+  email: (random) => `${pick(random, FIRST_NAMES).toLowerCase()}.${pick(random, LAST_NAMES).toLowerCase()}@example.com`,
+  uuid: (random) => `${hex(random, 8)}-${hex(random, 4)}-4${hex(random, 3)}-${pick(random, ['8', '9', 'a', 'b'])}${hex(random, 3)}-${hex(random, 12)}`,
+  uri: (random) => `https://example.com/${pick(random, WORDS)}`,
+  url: (random) => `https://example.com/${pick(random, WORDS)}`,
+  hostname: (random) => `${pick(random, WORDS)}.example.com`,
+  ipv4: (random) => [10, between(random, 0, 255), between(random, 0, 255), between(random, 1, 254)].join('.'),
+  ipv6: (random) => `fd00::${hex(random, 4)}:${hex(random, 4)}`,
+  byte: (random) => btoa(pick(random, WORDS)),
+  binary: () => '',
+  password: () => 'P@ssw0rd!'
+};
+
+// Property names that say more than "string" does
+const NAMED_STRINGS = [
+  [/e-?mail/i, FORMATS.email],
+  [/^(first_?name|given_?name)$/i, (random) => pick(random, FIRST_NAMES)],
+  [/^(last_?name|family_?name|surname)$/i, (random) => pick(random, LAST_NAMES)],
+  [/name$/i, (random) => `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`],
+  [/phone|mobile/i, (random) => `+1-555-${between(random, 100, 999)}-${between(random, 1000, 9999)}`],
+  [/city/i, (random) => pick(random, CITIES)],
+  [/country/i, (random) => pick(random, COUNTRIES)],
+  [/url|link|href|website/i, FORMATS.uri],
+  [/(^|_)id$|Id$/, (random) => `${pick(random, WORDS)}_${hex(random, 8)}`],
+  [/(date|_at|At)$/, FORMATS['date-time']]
+];
+
+const fitLength = (text, { minLength = 0, maxLength }) => {
+  let value = text;
+  while (value.length < minLength) value += 'x';
+  return maxLength !== undefined ? value.slice(0, maxLength) : value;
+};
+
+const fakeString = (schema, name, random) => {
+  const format = FORMATS[schema.format];
+  const named = NAMED_STRINGS.find(([pattern]) => pattern.test(name || ''));
+  const text = format ? format(random) : named ? named[1](random) : `${pick(random, WORDS)} ${pick(random, WORDS)}`;
+  return fitLength(text, schema);
+};
+
+const fakeNumber = (schema, type, random) => {
+  const exclusiveMin = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : undefined;
+  const exclusiveMax = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : undefined;
+  const step = type === 'integer' ? 1 : 0.01;
+  let min = schema.minimum ?? (exclusiveMin !== undefined ? exclusiveMin + step : 1);
+  let max = schema.maximum ?? (exclusiveMax !== undefined ? exclusiveMax - step : min + 999);
+  if (schema.exclusiveMinimum === true) min += step;
+  if (schema.exclusiveMaximum === true) max -= step;
+  if (max < min) max = min;
+  let value = min + random() * (max - min);
+  if (schema.multipleOf) value = Math.max(Math.ceil(min / schema.multipleOf), Math.floor(value / schema.multipleOf)) * schema.multipleOf;
+  return type === 'integer' ? Math.round(value) : Math.round(value * 100) / 100;
+};
+
+/**
+ * A value that satisfies `schema`: its example / default / const / enum when given,
+ * else generated by type and format (property names hint at emails, names, ids ...).
+ * String patterns aren't followed.
+ */
+export const fakeValue = (schema, definitions, { random = createRandom(), name = '', depth = 0 } = {}) => {
+  const merged = mergeAllOf(derefSchema(schema || {}, definitions), definitions);
+  if (merged.example !== undefined) return merged.example;
+  if (merged.examples && Array.isArray(merged.examples) && merged.examples.length) return merged.examples[0];
+  if (merged.const !== undefined) return merged.const;
+  if (merged.default !== undefined) return merged.default;
+  if (Array.isArray(merged.enum) && merged.enum.length) return pick(random, merged.enum);
+
+  const options = merged.oneOf || merged.anyOf;
+  if (options?.length) {
+    const { oneOf: _oneOf, anyOf: _anyOf, discriminator: _discriminator, ...base } = merged;
+    const option = options[0];
+    return fakeValue(base.properties ? { allOf: [base, option] } : option, definitions, { random, name, depth });
+  }
+
+  const type = schemaType(merged);
+  const next = { random, depth: depth + 1 };
+  if (type === 'object') {
+    if (depth >= MAX_DEPTH) return {};
+    const properties = merged.properties || {};
+    const value = {};
+    const required = merged.required || [];
+    Object.keys(properties).forEach(key => {
+      if (depth >= OPTIONAL_DEPTH && !required.includes(key)) return;
+      if (!derefSchema(properties[key], definitions)?.writeOnly) value[key] = fakeValue(properties[key], definitions, { ...next, name: key });
+    });
+    if (Object.keys(properties).length === 0 && merged.additionalProperties && typeof merged.additionalProperties === 'object') {
+      value[pick(random, WORDS)] = fakeValue(merged.additionalProperties, definitions, next);
+    }
+    return value;
+  }
+  if (type === 'array') {
+    if (depth >= MAX_DEPTH) return [];
+    const count = Math.max(merged.minItems || 0, Math.min(merged.maxItems ?? 2, 2));
+    return Array.from({ length: count }, () => fakeValue(merged.items, definitions, { ...next, name }));
+  }
+  if (type === 'integer' || type === 'number') return fakeNumber(merged, type, random);
+  if (type === 'boolean') return random() < 0.5;
+  if (type === 'null') return null;
+  return fakeString(merged, name, random);
+};
+
+// --- Routing ---
+
+/**
+ * The endpoint that answers METHOD path, as { endpoint, params }, or null. Literal path
+ * segments win over templated ones, so /users/me beats /users/{id}.
+ */
+export const findMockRoute = (endpoints, method, path) => {
+  const candidates = endpoints
+    .filter(ep => ep.method.toLowerCase() === method.toLowerCase())
+    .map(endpoint => ({ endpoint, params: matchPathTemplate(endpoint.path, path) }))
+    .filter(match => match.params);
+  candidates.sort((a, b) => Object.keys(a.params).length - Object.keys(b.params).length);
+  return candidates[0] || null;
+};
+
+// Declared status codes for override menus ("2XX" / "default" aren't concrete codes)
+export const listMockStatuses = (endpoint) => Object.keys(endpoint.responses || {}).filter(code => /^\d{3}$/.test(code)).map(Number);
+
+// The status a mock answers with when nothing asks for another: the first declared 2xx
+export const defaultMockStatus = (endpoint) => {
+  const codes = listMockStatuses(endpoint);
+  return codes.find(code => code >= 200 && code < 300) || codes[0] || 200;
+};
+
+// { mediaType, schema, examples: { name: value } } for a declared response (OpenAPI 3 or Swagger 2)
+const responseMedia = (response) => {
+  if (response.content) {
+    const types = Object.keys(response.content);
+    const mediaType = types.find(type => mediaKind(type) === 'json') || types[0];
+    if (!mediaType) return null;
+    const media = response.content[mediaType] || {};
+    const examples = {};
+    if (media.example !== undefined) examples.default = media.example;
+    Object.keys(media.examples || {}).forEach(key => {
+      if (media.examples[key]?.value !== undefined) examples[key] = media.examples[key].value;
+    });
+    return { mediaType, schema: media.schema, examples };
+  }
+  if (response.schema || response.examples) {
+    const mediaType = Object.keys(response.examples || {})[0] || 'application/json';
+    return { mediaType, schema: response.schema, examples: response.examples?.[mediaType] !== undefined ? { default: response.examples[mediaType] } : {} };
+  }
+  return null;
+};
+
+/**
+ * The mock's answer for one request: { status, contentType, body, source } where body is
+ * the serialized text and source is 'example', 'schema' or 'empty'. Options:
+ *   status   the code to answer with (default: the first declared 2xx)
+ *   example  name of a named example to prefer
+ *   dynamic  generate from the schema even when there are examples
+ *   params   path params of the request; generated objects echo them (GET /pets/7 -> { id: 7 })
+ *   seed     text the fake data is seeded with (default: the endpoint id and params)
+ */
+export const mockResponse = (endpoint, { status, example, dynamic = false, params = {}, seed } = {}) => {
+  const code = Number(status) || defaultMockStatus(endpoint);
+  const media = code === 204 ? null : responseMedia(findResponseSpec(endpoint, code)?.response || {});
+  if (!media && (code === 204 || Object.keys(endpoint.responses || {}).length)) {
+    return { status: code, contentType: null, body: '', source: 'empty' };
+  }
+  const { mediaType = 'application/json', schema, examples = {} } = media || {};
+
+  let value;
+  let source = 'example';
+  const names = Object.keys(examples);
+  if (!dynamic && names.length) {
+    value = examples[names.includes(example) ? example : names[0]];
+  } else {
+    source = 'schema';
+    const random = createRandom(seed ?? `${endpoint.id} ${JSON.stringify(params)}`);
+    value = schema ? fakeValue(schema, endpoint.definitions, { random }) : {};
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      // fakeValue hands back a schema's own `example` as is; echo the params into a copy
+      value = structuredClone(value);
+      Object.keys(params).forEach(key => {
+        if (key in value) {
+          const param = endpoint.parameters?.find(p => p.name === key && p.in === 'path');
+          value[key] = coercePrimitive(params[key], derefSchema(param?.schema || param || {}, endpoint.definitions));
+        }
+      });
+    }
+  }
+  const body = mediaKind(mediaType) === 'json' || typeof value !== 'string' ? JSON.stringify(value, null, 2) : value;
+  return { status: code, contentType: mediaType, body, source };
+};
@@ -0,0 +1,73 @@
+/**
+ * MOCK SERVER (client side)
+ * Points an environment at the spec-driven mock in server/mock.js instead of the real
+ * API. The Vite dev server mounts the mock on the page's own origin; `npm run mock`
+ * (or `api-portal mock`) runs it standalone on DEFAULT_MOCK_URL. The portal pushes the
+ * loaded spec and per-route overrides to it, so it always answers for what is on screen.
+ */
+
+export const DEFAULT_MOCK_URL = 'http://localhost:8788';
+
+// Overrides for one endpoint: status 0 = the first declared 2xx; errorStatus 0 = drop the connection
+export const DEFAULT_MOCK_OVERRIDE = { status: 0, delayMs: 0, errorRate: 0, errorStatus: 500 };
+
+const HEALTH_TIMEOUT_MS = 1500;
+const HEALTH_CACHE_MS = 30000;
+
+// mock url -> { ok, at }, like the proxy's health cache
+const healthCache = new Map();
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+export const checkMock = async (url) => {
+  const cached = healthCache.get(url);
+  if (cached && Date.now() - cached.at < HEALTH_CACHE_MS) return cached.ok;
+  let ok = false;
+  try {
+    const res = await fetch(`${url}/__mock/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+    ok = res.ok && (await res.json()).mock === 'api-portal';
+  } catch {
+    // Not running (or not ours)
+  }
+  healthCache.set(url, { ok, at: Date.now() });
+  return ok;
+};
+
+// The mock an environment talks to: its own mockUrl, else the dev server if it has one, else the default
+export const resolveMockUrl = async (env) => {
+  const configured = trimSlash(env?.mockUrl || '');
+  if (configured) return configured;
+  const origin = globalThis.location?.origin;
+  if (origin && await checkMock(origin)) return origin;
+  return DEFAULT_MOCK_URL;
+};
+
+// Base URL requests go to while an environment is in mock mode
+export const mockBaseUrl = (url) => `${trimSlash(url)}/__mock/api`;
+
+// Every endpoint carries the same definitions object; send it once instead of per endpoint
+export const packMockSpec = (spec) => ({
+  info: spec.info,
+  definitions: spec.endpoints.find(ep => ep.definitions)?.definitions || {},
+  endpoints: spec.endpoints.map(endpoint => {
+    const { definitions: _definitions, ...rest } = endpoint;
+    return rest;
+  })
+});
+
+export const unpackMockSpec = (packed) => ({
+  info: packed.info,
+  endpoints: (packed.endpoints || []).map(endpoint => ({ ...endpoint, definitions: packed.definitions }))
+});
+
+// Hands the mock the spec it answers for and the per-endpoint overrides; throws when it isn't reachable
+export const pushMockConfig = async (url, { spec, overrides = {} }) => {
+  const res = await fetch(`${url}/__mock/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ spec: spec ? packMockSpec(spec) : null, overrides }),
+    signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS * 2)
+  });
+  if (!res.ok) throw new Error(`Mock server answered ${res.status}`);
+  healthCache.set(url, { ok: true, at: Date.now() });
+};
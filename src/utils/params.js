@@ -0,0 +1,166 @@
+import { derefSchema, schemaType, coercePrimitive } from './schema.js';
+
+/**
+ * PARAMETER SERIALIZATION
+ * Path, query, header and cookie parameters per the OpenAPI 3 style / explode rules
+ * (and Swagger 2 collectionFormat). Form inputs and CSV cells are strings, so values
+ * are first parsed into the array / object / primitive the parameter's schema declares.
+ */
+
+const DEFAULT_STYLES = { path: 'simple', query: 'form', header: 'simple', cookie: 'form' };
+
+// Swagger 2 collectionFormat -> OpenAPI 3 style / explode
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  ssv: { style: 'spaceDelimited', explode: false },
+  tsv: { style: 'tabDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false },
+  multi: { style: 'form', explode: true }
+};
+
+// Swagger 2 puts type/enum/format directly on the parameter; OpenAPI 3 nests them under `schema`
+const paramSchema = (param, definitions) => derefSchema(param.schema || param, definitions);
+
+// { style, explode } with the OpenAPI defaults for the parameter's location
+export const paramStyle = (param) => {
+  if (!param.schema && param.type === 'array') {
+    const format = COLLECTION_FORMATS[param.collectionFormat || 'csv'];
+    // Swagger 2 path / header arrays are always comma separated
+    return param.in === 'query' || param.in === 'formData' ? format : { style: 'simple', explode: false };
+  }
+  const style = param.style || DEFAULT_STYLES[param.in] || 'form';
+  return { style, explode: param.explode ?? style === 'form' };
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * A form / CSV value as the type the parameter declares: arrays from JSON or "a,b,c",
+ * objects from JSON or "key=value,key2=value2", primitives coerced to number / boolean.
+ */
+export const parseParamValue = (param, value, definitions) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const schema = paramSchema(param, definitions);
+  const type = schemaType(schema);
+
+  if (type === 'array') {
+    let items = value;
+    if (typeof value === 'string') {
+      const json = parseJson(value);
+      items = Array.isArray(json) ? json : value.split(',').map(item => item.trim());
+    }
+    if (!Array.isArray(items)) items = [items];
+    const itemSchema = derefSchema(schema.items || {}, definitions);
+    items = items.filter(item => item !== undefined && item !== null && item !== '').map(item => coercePrimitive(item, itemSchema));
+    return items.length ? items : undefined;
+  }
+  if (type === 'object') {
+    if (typeof value !== 'string') return value;
+    const json = parseJson(value);
+    if (json && typeof json === 'object' && !Array.isArray(json)) return json;
+    return Object.fromEntries(value.split(/[,&]/).filter(pair => pair.includes('=')).map(pair => {
+      const [key, ...rest] = pair.split('=');
+      return [key.trim(), rest.join('=').trim()];
+    }));
+  }
+  return coercePrimitive(value, schema);
+};
+
+const text = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Percent-encode one component; allowReserved keeps :/?[]@!$&'()*+,;= as they are
+const encodeComponent = (value, allowReserved = false) => (allowReserved
+  ? encodeURI(text(value)).replace(/#/g, '%23')
+  : encodeURIComponent(text(value)));
+
+const entries = (value) => Object.keys(value).filter(key => value[key] !== undefined).map(key => [key, value[key]]);
+
+// --- Path ---
+
+// The text that replaces {name} in the path: simple "a,b", label ".a.b", matrix ";id=a;id=b"
+export const serializePathParam = (param, value) => {
+  const { style, explode } = paramStyle(param);
+  const enc = (v) => encodeComponent(v);
+  const name = enc(param.name);
+
+  if (Array.isArray(value)) {
+    if (style === 'label') return '.' + value.map(enc).join(explode ? '.' : ',');
+    if (style === 'matrix') return explode ? value.map(v => `;${name}=${enc(v)}`).join('') : `;${name}=${value.map(enc).join(',')}`;
+    return value.map(enc).join(',');
+  }
+  if (value && typeof value === 'object') {
+    const pairs = entries(value);
+    if (style === 'matrix') {
+      return explode
+        ? pairs.map(([k, v]) => `;${enc(k)}=${enc(v)}`).join('')
+        : `;${name}=${pairs.map(([k, v]) => `${enc(k)},${enc(v)}`).join(',')}`;
+    }
+    const joined = explode
+      ? pairs.map(([k, v]) => `${enc(k)}=${enc(v)}`).join(style === 'label' ? '.' : ',')
+      : pairs.map(([k, v]) => `${enc(k)},${enc(v)}`).join(',');
+    return style === 'label' ? `.${joined}` : joined;
+  }
+  if (style === 'label') return `.${enc(value)}`;
+  if (style === 'matrix') return `;${name}=${enc(value)}`;
+  return enc(value);
+};
+
+// --- Query ---
+
+const DELIMITERS = { spaceDelimited: '%20', pipeDelimited: '%7C', tabDelimited: '%09' };
+
+// Encoded "name=value" pairs for the query string
+export const serializeQueryParam = (param, value) => {
+  const { style, explode } = paramStyle(param);
+  const enc = (v) => encodeComponent(v, param.allowReserved);
+  const name = encodeComponent(param.name);
+
+  if (param.content) return [`${name}=${enc(typeof value === 'string' ? value : JSON.stringify(value))}`];
+
+  if (Array.isArray(value)) {
+    if (DELIMITERS[style] && !explode) return [`${name}=${value.map(enc).join(DELIMITERS[style])}`];
+    return explode ? value.map(v => `${name}=${enc(v)}`) : [`${name}=${value.map(enc).join(',')}`];
+  }
+  if (value && typeof value === 'object') {
+    const pairs = entries(value);
+    if (style === 'deepObject') return pairs.map(([k, v]) => `${name}[${encodeComponent(k)}]=${enc(v)}`);
+    if (explode) return pairs.map(([k, v]) => `${encodeComponent(k)}=${enc(v)}`);
+    const delimiter = DELIMITERS[style] || ',';
+    return [`${name}=${pairs.map(([k, v]) => `${enc(k)}${delimiter}${enc(v)}`).join(delimiter)}`];
+  }
+  return [`${name}=${enc(value)}`];
+};
+
+// --- Header ---
+
+// Headers are always "simple": "a,b" for arrays, "k,v,k2,v2" or (explode) "k=v,k2=v2" for objects
+export const serializeHeaderParam = (param, value) => {
+  if (param.content) return typeof value === 'string' ? value : JSON.stringify(value);
+  const { explode } = paramStyle(param);
+  if (Array.isArray(value)) return value.map(text).join(',');
+  if (value && typeof value === 'object') {
+    return entries(value).map(([k, v]) => (explode ? `${k}=${text(v)}` : `${k},${text(v)}`)).join(',');
+  }
+  return text(value);
+};
+
+// --- Cookie ---
+
+// [name, value] pairs for the Cookie header; exploded arrays / objects become several cookies
+export const serializeCookieParam = (param, value) => {
+  if (param.content) return [[param.name, typeof value === 'string' ? value : JSON.stringify(value)]];
+  const { explode } = paramStyle(param);
+  const enc = (v) => encodeURIComponent(text(v));
+  if (Array.isArray(value)) return explode ? value.map(v => [param.name, enc(v)]) : [[param.name, value.map(enc).join(',')]];
+  if (value && typeof value === 'object') {
+    const pairs = entries(value);
+    return explode ? pairs.map(([k, v]) => [k, enc(v)]) : [[param.name, pairs.map(([k, v]) => `${enc(k)},${enc(v)}`).join(',')]];
+  }
+  return [[param.name, enc(value)]];
+};
@@ -0,0 +1,296 @@
+import { inferSchema, parseTemplatedJson } from './importers.js';
+
+/**
+ * POSTMAN COLLECTIONS (v2.0 / v2.1)
+ * Requests -> endpoints, keeping what the collection says about each request:
+ * folder path (sidebar group), headers, inherited auth (as security schemes plus
+ * credentials for the environment), body mode, collection variables and the
+ * pre-request / test scripts of the collection, its folders and the request.
+ */
+
+export const isPostmanCollection = (json) => !!(json?.info && json.item);
+
+// Split a raw Postman URL ("{{baseUrl}}/users/:id?page=1") into host variable, path and query pairs
+const splitPostmanUrl = (raw) => {
+  const [beforeQuery, query = ''] = raw.split(/\?(.*)/s);
+  let server = null;
+  let path = beforeQuery;
+
+  const variableHost = beforeQuery.match(/^({{[^{}]+}})(.*)$/);
+  if (variableHost) {
+    server = variableHost[1];
+    path = variableHost[2];
+  } else {
+    const absolute = beforeQuery.match(/^[a-z][a-z0-9+.-]*:\/\/[^/]+(.*)$/i);
+    if (absolute) path = absolute[1];
+  }
+
+  return {
+    server,
+    path: path.startsWith('/') ? path : '/' + path,
+    query: query.split('&').filter(Boolean).map(pair => {
+      const [key, ...value] = pair.split('=');
+      return { key, value: value.join('=') };
+    })
+  };
+};
+
+const enabled = (list) => (Array.isArray(list) ? list.filter(entry => entry && !entry.disabled) : []);
+
+// { path, server, query: [{ key, value }], pathVariables: [{ key, value }] }
+const readUrl = (url) => {
+  if (!url) return { path: '/', server: null, query: [], pathVariables: [] };
+  if (typeof url === 'string') return { ...splitPostmanUrl(url), pathVariables: [] };
+
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host;
+  let parsed;
+  if (url.path) {
+    const p = Array.isArray(url.path) ? url.path.join('/') : url.path;
+    parsed = { server: null, path: p.startsWith('/') ? p : '/' + p, query: [] };
+  } else {
+    parsed = splitPostmanUrl(url.raw || '');
+  }
+  if (host && /^{{[^{}]+}}$/.test(host)) parsed.server = host;
+  return {
+    ...parsed,
+    query: url.query ? enabled(url.query) : parsed.query,
+    pathVariables: enabled(url.variable)
+  };
+};
+
+// --- Auth ---
+
+// v2.1 stores auth params as [{ key, value }], v2.0 as a plain object
+const authParams = (auth) => {
+  const raw = auth[auth.type];
+  if (Array.isArray(raw)) return Object.fromEntries(raw.map(p => [p.key, p.value]));
+  return raw || {};
+};
+
+const OAUTH_GRANTS = { client_credentials: 'clientCredentials', password_credentials: 'password' };
+
+// Postman auth -> { scheme, credentials } in the shape resolveAuth understands; null if unsupported
+const toSecurityScheme = (auth) => {
+  const p = authParams(auth);
+  switch (auth.type) {
+    case 'bearer':
+      return { scheme: { type: 'http', scheme: 'bearer' }, credentials: { token: p.token || '' } };
+    case 'basic':
+      return { scheme: { type: 'http', scheme: 'basic' }, credentials: { username: p.username || '', password: p.password || '' } };
+    case 'apikey':
+      return {
+        scheme: { type: 'apiKey', in: p.in === 'query' ? 'query' : 'header', name: p.key || 'X-API-Key' },
+        credentials: { value: p.value || '' }
+      };
+    case 'oauth2': {
+      const flow = OAUTH_GRANTS[p.grant_type];
+      return {
+        scheme: {
+          type: 'oauth2',
+          flows: flow && p.accessTokenUrl ? { [flow]: { tokenUrl: p.accessTokenUrl, scopes: {} } } : {}
+        },
+        credentials: {
+          clientId: flow ? p.clientId || '' : '',
+          clientSecret: p.clientSecret || '',
+          username: p.username || '',
+          password: p.password || '',
+          scopes: p.scope || '',
+          accessToken: p.accessToken || '',
+          ...(p.client_authentication === 'body' ? { clientAuth: 'body' } : {})
+        }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+const SCHEME_NAMES = { bearer: 'bearerAuth', basic: 'basicAuth', apikey: 'apiKeyAuth', oauth2: 'oauth2' };
+
+// --- Bodies ---
+
+const RAW_LANGUAGES = {
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+  text: 'text/plain'
+};
+
+const fieldsSchema = (fields, fileFields = []) => ({
+  type: 'object',
+  properties: Object.fromEntries(fields.map(f => [
+    f.key,
+    fileFields.includes(f) ? { type: 'string', format: 'binary' } : { type: 'string', example: f.value ?? '' }
+  ]))
+});
+
+// Postman body -> OpenAPI-style requestBody (examples taken from the collection's values)
+const toRequestBody = (body, contentType) => {
+  if (!body || body.disabled) return null;
+  if (body.mode === 'urlencoded') {
+    const fields = enabled(body.urlencoded);
+    return fields.length ? { content: { 'application/x-www-form-urlencoded': { schema: fieldsSchema(fields) } } } : null;
+  }
+  if (body.mode === 'formdata') {
+    const fields = enabled(body.formdata);
+    const files = fields.filter(f => f.type === 'file');
+    return fields.length ? { content: { 'multipart/form-data': { schema: fieldsSchema(fields, files) } } } : null;
+  }
+  if (body.mode === 'graphql' && body.graphql) {
+    let variables = body.graphql.variables;
+    try {
+      variables = variables ? parseTemplatedJson(variables) : undefined;
+    } catch {
+      // Leave unparseable variables as text
+    }
+    return { content: { 'application/json': { schema: inferSchema({ query: body.graphql.query || '', ...(variables ? { variables } : {}) }) } } };
+  }
+  if (body.mode === 'raw' && body.raw) {
+    const language = body.options?.raw?.language;
+    const mime = (contentType || RAW_LANGUAGES[language] || 'text/plain').split(';')[0].trim();
+    if (mime.includes('json') || (!contentType && !language && /^\s*[{[]/.test(body.raw))) {
+      try {
+        // Examples only: a key in one sample request doesn't make it required
+        return { content: { 'application/json': { schema: inferSchema(parseTemplatedJson(body.raw)) } } };
+      } catch {
+        // Not valid JSON even with {{vars}} quoted - keep it as raw text
+      }
+    }
+    return { content: { [mime]: { schema: { type: 'string', example: body.raw } } } };
+  }
+  return null;
+};
+
+// --- Scripts ---
+
+const scriptsOf = (events) => {
+  const scripts = { prerequest: [], test: [] };
+  (events || []).forEach(event => {
+    if (!event?.script || event.disabled || !scripts[event.listen]) return;
+    const exec = event.script.exec;
+    const code = Array.isArray(exec) ? exec.join('\n') : exec || '';
+    if (code.trim()) scripts[event.listen].push(code);
+  });
+  return scripts;
+};
+
+const concatScripts = (outer, inner) => ({
+  prerequest: [...outer.prerequest, ...inner.prerequest],
+  test: [...outer.test, ...inner.test]
+});
+
+/**
+ * Returns { info, endpoints, securitySchemes, credentials, variables }:
+ *   credentials - schemeName -> env.auth entry, filled from the collection's auth blocks
+ *   variables   - the collection's variables, as [{ key, value }] for the environment
+ * Endpoints carry `group` (folder path), `headers`, `security` and `scripts`.
+ */
+export const parsePostmanCollection = (json) => {
+  const endpoints = [];
+  const usedIds = new Set();
+  const securitySchemes = {};
+  const credentials = {};
+  const schemeBySignature = new Map();
+
+  // Same auth block (type + params) -> same scheme; returns an OpenAPI security requirement list
+  const securityFor = (auth) => {
+    if (!auth) return undefined;
+    if (auth.type === 'noauth') return [];
+    const mapped = toSecurityScheme(auth);
+    if (!mapped) return undefined;
+    const signature = JSON.stringify([auth.type, authParams(auth)]);
+    if (!schemeBySignature.has(signature)) {
+      const base = SCHEME_NAMES[auth.type];
+      let name = base;
+      for (let n = 2; securitySchemes[name]; n++) name = `${base}${n}`;
+      securitySchemes[name] = mapped.scheme;
+      credentials[name] = mapped.credentials;
+      schemeBySignature.set(signature, name);
+    }
+    return [{ [schemeBySignature.get(signature)]: [] }];
+  };
+
+  // Stable across re-imports: the item's own id, else folder path + name + method
+  const endpointId = (item, method, folders) => {
+    const base = item.id || [method, ...folders, item.name || ''].join('/');
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}#${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  const traverseItems = (items, parent) => {
+    items.forEach(item => {
+      // A folder's auth / scripts apply to everything inside it; "inherit" (or none) keeps the parent's
+      const auth = item.auth && item.auth.type !== 'inherit' ? item.auth : parent.auth;
+      const scripts = concatScripts(parent.scripts, scriptsOf(item.event));
+
+      if (item.item) {
+        traverseItems(item.item, { folders: [...parent.folders, item.name], auth, scripts });
+        return;
+      }
+      if (!item.request) return;
+
+      const req = typeof item.request === 'string' ? { url: item.request } : item.request;
+      const method = req.method?.toLowerCase() || 'get';
+      const url = readUrl(req.url);
+      const requestAuth = req.auth && req.auth.type !== 'inherit' ? req.auth : auth;
+
+      const headers = {};
+      let contentType = null;
+      enabled(req.header).forEach(h => {
+        if (!h.key) return;
+        if (h.key.toLowerCase() === 'content-type') contentType = h.value;
+        else headers[h.key] = h.value ?? '';
+      });
+
+      const examples = Object.fromEntries(url.pathVariables.map(v => [v.key, v.value]));
+      // Convert Postman :id syntax to Swagger {id} syntax for compatibility
+      const path = url.path.replace(/:([a-zA-Z0-9_]+)/g, '{$1}');
+      const pathParams = [...path.matchAll(/{([^{}]+)}/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        description: url.pathVariables.find(v => v.key === name)?.description,
+        example: examples[name] || undefined
+      }));
+      const queryParams = url.query.filter(q => q.key).map(q => ({
+        name: q.key,
+        in: 'query',
+        required: false,
+        description: q.description,
+        example: q.value ?? undefined
+      }));
+
+      endpoints.push({
+        id: endpointId(item, method, parent.folders),
+        path,
+        server: url.server,
+        method,
+        summary: item.name,
+        group: parent.folders.join(' / ') || undefined,
+        parameters: [...pathParams, ...queryParams],
+        headers,
+        requestBody: toRequestBody(req.body, contentType),
+        security: securityFor(requestAuth),
+        scripts: scripts.prerequest.length || scripts.test.length ? scripts : undefined,
+        definitions: {}
+      });
+    });
+  };
+
+  traverseItems(json.item, {
+    folders: [],
+    auth: json.auth && json.auth.type !== 'inherit' ? json.auth : null,
+    scripts: scriptsOf(json.event)
+  });
+
+  return {
+    info: { title: json.info?.name || 'Postman Collection', version: '1.0' },
+    endpoints,
+    securitySchemes,
+    credentials,
+    variables: enabled(json.variable).filter(v => v.key).map(v => ({ key: v.key, value: v.value == null ? '' : String(v.value) }))
+  };
+};
@@ -0,0 +1,246 @@
+import { diffJson } from './jsonDiff.js';
+import { interpolate } from './template.js';
+
+/**
+ * POSTMAN SCRIPT SANDBOX
+ * The commonly used subset of Postman's `pm` API for pre-request and test scripts:
+ *   pm.environment / pm.collectionVariables / pm.globals  get, set, unset, has, toObject
+ *   pm.variables                                           get, set (this request only), replaceIn
+ *   pm.request.headers                                     add, upsert, remove, get
+ *   pm.response                                            code, status, responseTime, headers, text(), json(), to.have.status()
+ *   pm.test(name, fn), pm.expect(value)                    chai-style BDD assertions
+ *   postman.setEnvironmentVariable & co                    (legacy API)
+ * Scripts run synchronously here; the app runs them in a worker (see scriptSandbox.js),
+ * the CLI in a node:vm context (cli/scriptRunner.js).
+ */
+
+const show = (value) => {
+  if (typeof value === 'string') return `'${value}'`;
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const typeName = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const deepEqual = (a, b) => diffJson(a, b).length === 0;
+
+const includes = (container, item, deep) => {
+  if (typeof container === 'string') return container.includes(item);
+  if (Array.isArray(container)) return container.some(v => (deep ? deepEqual(v, item) : v === item));
+  if (container && typeof container === 'object' && item && typeof item === 'object') {
+    return Object.keys(item).every(key => (deep ? deepEqual(container[key], item[key]) : container[key] === item[key]));
+  }
+  return false;
+};
+
+const CHAIN_WORDS = ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'does', 'all', 'any'];
+
+// chai's expect(), enough for the assertions Postman collections typically use
+export const expect = (actual) => {
+  let negate = false;
+  let deep = false;
+  const chain = {};
+  const check = (ok, message) => {
+    if (Boolean(ok) === negate) throw new Error(`expected ${show(actual)} ${negate ? 'not ' : ''}${message}`);
+    return chain;
+  };
+  const size = () => (actual && typeof actual === 'object' && !Array.isArray(actual) ? Object.keys(actual).length : actual?.length);
+
+  CHAIN_WORDS.forEach(word => Object.defineProperty(chain, word, { get: () => chain }));
+  Object.defineProperty(chain, 'not', { get: () => { negate = !negate; return chain; } });
+  Object.defineProperty(chain, 'deep', { get: () => { deep = true; return chain; } });
+
+  const getters = {
+    ok: () => check(actual, 'to be truthy'),
+    true: () => check(actual === true, 'to be true'),
+    false: () => check(actual === false, 'to be false'),
+    null: () => check(actual === null, 'to be null'),
+    undefined: () => check(actual === undefined, 'to be undefined'),
+    exist: () => check(actual !== null && actual !== undefined, 'to exist'),
+    empty: () => check(size() === 0, 'to be empty')
+  };
+  Object.keys(getters).forEach(name => Object.defineProperty(chain, name, { get: getters[name] }));
+
+  const equal = (expected) => check(deep ? deepEqual(actual, expected) : actual === expected, `to ${deep ? 'deeply ' : ''}equal ${show(expected)}`);
+  const eql = (expected) => check(deepEqual(actual, expected), `to deeply equal ${show(expected)}`);
+  const type = (name) => check(typeName(actual) === String(name).toLowerCase(), `to be a ${name}`);
+  const include = (item) => check(includes(actual, item, deep), `to include ${show(item)}`);
+  const above = (n) => check(actual > n, `to be above ${n}`);
+  const below = (n) => check(actual < n, `to be below ${n}`);
+  const least = (n) => check(actual >= n, `to be at least ${n}`);
+  const most = (n) => check(actual <= n, `to be at most ${n}`);
+
+  return Object.assign(chain, {
+    equal, equals: equal, eq: equal,
+    eql, eqls: eql,
+    a: type, an: type,
+    include, includes: include, contain: include, contains: include,
+    above, gt: above, greaterThan: above,
+    below, lt: below, lessThan: below,
+    least, gte: least,
+    most, lte: most,
+    within: (lo, hi) => check(actual >= lo && actual <= hi, `to be within ${lo}..${hi}`),
+    property: (name, ...value) => {
+      check(actual !== null && actual !== undefined && Object.prototype.hasOwnProperty.call(Object(actual), name), `to have property ${show(name)}`);
+      if (value.length) check(deep ? deepEqual(actual[name], value[0]) : actual[name] === value[0], `to have property ${show(name)} of ${show(value[0])}`);
+      return chain;
+    },
+    lengthOf: (n) => check(size() === n, `to have a length of ${n}`),
+    match: (re) => check(re instanceof RegExp ? re.test(actual) : new RegExp(re).test(actual), `to match ${re}`),
+    oneOf: (list) => check(list.some(v => (deep ? deepEqual(v, actual) : v === actual)), `to be one of ${show(list)}`),
+    keys: (...keys) => {
+      const wanted = keys.flat();
+      return check(actual && wanted.every(k => Object.prototype.hasOwnProperty.call(actual, k)), `to have keys ${show(wanted)}`);
+    }
+  });
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const headerApi = (headers) => {
+  const find = (name) => Object.keys(headers).find(h => h.toLowerCase() === String(name).toLowerCase());
+  return {
+    get: (name) => headers[find(name)],
+    has: (name) => find(name) !== undefined,
+    toObject: () => ({ ...headers }),
+    add: ({ key, value }) => { headers[key] = toText(value); },
+    upsert: ({ key, value }) => { headers[find(key) ?? key] = toText(value); },
+    remove: (name) => { delete headers[find(name)]; }
+  };
+};
+
+// The response as scripts see it; `input` is { status, time, headers, body }
+const responseApi = (input) => {
+  const headers = headerApi({ ...(input.headers || {}) });
+  const text = () => toText(input.body);
+  const response = {
+    code: input.status,
+    status: input.statusText || String(input.status),
+    responseTime: input.time,
+    headers,
+    text,
+    json: () => (typeof input.body === 'string' ? JSON.parse(input.body) : input.body),
+    to: {
+      have: {
+        status: (code) => {
+          if (input.status !== code) throw new Error(`expected response to have status code ${code} but got ${input.status}`);
+        },
+        header: (name) => {
+          if (!headers.has(name)) throw new Error(`expected response to have header ${name}`);
+        },
+        body: (expected) => {
+          if (text() !== expected) throw new Error(`expected response body to equal ${show(expected)}`);
+        }
+      },
+      be: {}
+    }
+  };
+  const statusClasses = { ok: 2, success: 2, redirection: 3, clientError: 4, serverError: 5 };
+  Object.keys(statusClasses).forEach(name => Object.defineProperty(response.to.be, name, {
+    get: () => {
+      if (Math.floor(input.status / 100) !== statusClasses[name]) throw new Error(`expected response to be ${name} but got ${input.status}`);
+      return response;
+    }
+  }));
+  return response;
+};
+
+// Shadow the globals a collection script has no business touching
+const compileScript = (code) => new Function('pm', 'postman', 'console', 'self', 'globalThis', 'fetch', 'XMLHttpRequest', 'importScripts', 'postMessage', `"use strict";\n${code}`);
+
+/**
+ * Runs scripts in order against one shared state:
+ *   input  { event: 'prerequest' | 'test', requestName, variables, request: { method, url, headers, body }, response }
+ *   result { variables, changes: { set, unset }, headers, tests: [{ name, passed, error }], logs, error }
+ * `variables` is the full set afterwards; `changes` is what should be written back to
+ * the environment. A script that throws stops the run and sets `error`.
+ * `compile(code)` turns one script into a (pm, postman, console) => void function; the
+ * default compiles it in this realm with the risky globals shadowed.
+ */
+export const runScripts = (scripts, input, { compile = compileScript } = {}) => {
+  const variables = { ...(input.variables || {}) };
+  const local = {};
+  const changes = { set: {}, unset: [] };
+  const headers = { ...(input.request?.headers || {}) };
+  const tests = [];
+  const logs = [];
+
+  const store = {
+    get: (key) => variables[key],
+    has: (key) => Object.prototype.hasOwnProperty.call(variables, key),
+    set: (key, value) => {
+      variables[key] = toText(value);
+      changes.set[key] = variables[key];
+      changes.unset = changes.unset.filter(k => k !== key);
+    },
+    unset: (key) => {
+      delete variables[key];
+      delete changes.set[key];
+      if (!changes.unset.includes(key)) changes.unset.push(key);
+    },
+    toObject: () => ({ ...variables }),
+    replaceIn: (text) => interpolate(text, { ...variables, ...local })
+  };
+  const log = (level) => (...args) => logs.push({ level, text: args.map(a => (typeof a === 'string' ? a : show(a))).join(' ') });
+
+  const pm = {
+    info: { eventName: input.event, requestName: input.requestName },
+    environment: store,
+    collectionVariables: store,
+    globals: store,
+    variables: {
+      get: (key) => (key in local ? local[key] : variables[key]),
+      set: (key, value) => { local[key] = toText(value); },
+      has: (key) => key in local || store.has(key),
+      toObject: () => ({ ...variables, ...local }),
+      replaceIn: store.replaceIn
+    },
+    request: {
+      method: input.request?.method,
+      url: { toString: () => input.request?.url || '' },
+      headers: headerApi(headers),
+      body: { raw: input.request?.body }
+    },
+    response: input.response ? responseApi(input.response) : undefined,
+    expect,
+    test: (name, fn) => {
+      try {
+        fn();
+        tests.push({ name, passed: true });
+      } catch (e) {
+        tests.push({ name, passed: false, error: e?.message || String(e) });
+      }
+    }
+  };
+  const postman = {
+    setEnvironmentVariable: store.set,
+    getEnvironmentVariable: store.get,
+    clearEnvironmentVariable: store.unset,
+    setGlobalVariable: store.set,
+    getGlobalVariable: store.get
+  };
+  const console = { log: log('log'), info: log('info'), warn: log('warn'), error: log('error') };
+
+  let error = null;
+  for (const code of scripts) {
+    try {
+      compile(code)(pm, postman, console);
+    } catch (e) {
+      error = e?.message || String(e);
+      break;
+    }
+  }
+
+  // pm.variables.set only lasts for this request, but it does apply to it
+  return { variables: { ...variables, ...local }, changes, headers, tests, logs, error };
+};
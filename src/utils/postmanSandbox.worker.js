@@ -0,0 +1,30 @@
+import { runScripts } from './postmanSandbox.js';
+
+/**
+ * Worker entry for collection scripts. Scripts come from whoever wrote the
+ * collection, so storage and request APIs are removed before any of them runs.
+ * That doesn't cut the network off: `import()` is syntax and can't be removed, so a
+ * script can still make the browser request a URL carrying its variables.
+ */
+
+// Taken before any script runs, then removed: a script that can post could forge its own result
+const postResult = self.postMessage.bind(self);
+
+const BLOCKED = [
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB',
+  'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'navigator', 'postMessage'
+];
+for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+  BLOCKED.forEach(name => {
+    try {
+      delete scope[name];
+    } catch {
+      // Non-configurable in this browser - the script's own scope still shadows it
+    }
+  });
+}
+
+self.onmessage = (e) => {
+  const { scripts, input } = e.data;
+  postResult(runScripts(scripts, input));
+};
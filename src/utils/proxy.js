@@ -0,0 +1,92 @@
+/**
+ * CORS PROXY (client side)
+ * Routes requests through the companion proxy in server/proxy.js when an environment
+ * asks for it. In "auto" mode the proxy is used whenever one answers its health check:
+ * the Vite dev server (`npm run dev`) mounts it on the page's own origin, and
+ * `npm run proxy` runs it standalone on DEFAULT_PROXY_URL.
+ */
+
+export const DEFAULT_PROXY_URL = 'http://localhost:8787';
+
+export const PROXY_MODES = [
+  { id: 'auto', label: 'Auto - use the proxy when it is running' },
+  { id: 'on', label: 'Always' },
+  { id: 'off', label: 'Never - call the API directly' }
+];
+
+const HEALTH_TIMEOUT_MS = 1500;
+const HEALTH_CACHE_MS = 30000;
+
+// proxy url -> { ok, at } so a batch of requests doesn't health-check every row
+const healthCache = new Map();
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+export const checkProxy = async (url) => {
+  const cached = healthCache.get(url);
+  if (cached && Date.now() - cached.at < HEALTH_CACHE_MS) return cached.ok;
+  let ok = false;
+  try {
+    const res = await fetch(`${url}/__proxy/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+    ok = res.ok && (await res.json()).proxy === 'api-portal';
+  } catch {
+    // Not running (or not ours)
+  }
+  healthCache.set(url, { ok, at: Date.now() });
+  return ok;
+};
+
+/**
+ * The proxy to send an environment's requests through, as { url, insecure }, or null to
+ * call the API directly. "on" uses the configured (or default) proxy even when the health
+ * check fails, so the failure shows up on the request rather than being skipped silently.
+ */
+export const resolveProxy = async (env) => {
+  const mode = env?.proxy || 'auto';
+  if (mode === 'off') return null;
+  const insecure = Boolean(env.proxyInsecure);
+  const configured = trimSlash(env.proxyUrl || '');
+  const candidates = configured ? [configured] : [globalThis.location?.origin, DEFAULT_PROXY_URL].filter(Boolean);
+  for (const url of candidates) {
+    if (await checkProxy(url)) return { url, insecure };
+  }
+  return mode === 'on' ? { url: configured || DEFAULT_PROXY_URL, insecure } : null;
+};
+
+// The fetch() arguments that send `url` / `options` through the proxy instead
+export const toProxyRequest = (proxy, url, options) => {
+  const headers = {};
+  Object.keys(options.headers || {}).forEach(name => {
+    // Pages can't set Cookie themselves; the proxy puts it back
+    headers[name.toLowerCase() === 'cookie' ? 'X-Proxy-Cookie' : name] = options.headers[name];
+  });
+  if (proxy.insecure) headers['X-Proxy-Insecure'] = '1';
+  return [`${proxy.url}/__proxy/forward?url=${encodeURIComponent(url)}`, { ...options, headers }];
+};
+
+// fetch() for requests the app makes on its own (OAuth token requests), through `proxy` when there is one
+export const proxiedFetch = (proxy) => (proxy ? (url, options) => fetch(...toProxyRequest(proxy, url, options)) : fetch);
+
+// "dns;dur=1.2, connect;dur=3" -> { dns: 1.2, connect: 3 }
+export const parseServerTiming = (value = '') => {
+  const timing = {};
+  value.split(',').forEach(entry => {
+    const [name, ...params] = entry.trim().split(';');
+    const dur = params.map(p => p.trim()).find(p => p.startsWith('dur='));
+    if (name && dur) timing[name] = Number(dur.slice(4));
+  });
+  return timing;
+};
+
+/**
+ * The API's own headers from a proxied response: Set-Cookie restored from
+ * X-Proxy-Set-Cookie, the proxy's X-Proxy-* and CORS headers dropped.
+ */
+export const fromProxyHeaders = (headers) => {
+  const out = {};
+  Object.keys(headers).forEach(name => {
+    if (!/^(x-proxy-|access-control-)/i.test(name)) out[name] = headers[name];
+  });
+  if (headers['x-proxy-set-cookie']) out['set-cookie'] = headers['x-proxy-set-cookie'];
+  return out;
+};
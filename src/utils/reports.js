@@ -0,0 +1,270 @@
+import { groupResultsByEndpoint } from './batchTargets.js';
+import { isAssertionColumn } from './assertions.js';
+import { isSecretHeader, isSecretName } from './secrets.js';
+
+/**
+ * BATCH REPORTS
+ * Summary stats plus CSV, JSON, JUnit XML and self-contained HTML exports of the
+ * batch result rows ({ _rowIndex, ...row, _endpoint, _status, _success, _time, ... }).
+ */
+
+// Header values that shouldn't end up in a shared report; `secretNames` adds the spec's apiKey names
+export const redactHeaders = (headers = {}, secretNames = []) => {
+  const out = {};
+  Object.keys(headers).forEach(name => {
+    out[name] = isSecretHeader(name, secretNames) ? '••••••' : headers[name];
+  });
+  return out;
+};
+
+// Query parameters that carry credentials (apiKey schemes with `in: query`, signed URLs)
+const SECRET_QUERY_PARAM = /^(key|sig|signature|auth)$/i;
+
+// "/pets?api_key=abc&limit=5" -> "/pets?api_key=••••••&limit=5"
+export const redactUrl = (url = '', secretNames = []) => {
+  const [base, query] = String(url).split(/\?(.*)/s);
+  if (!query) return url;
+  const params = query.split('&').map(pair => {
+    const [rawName] = pair.split('=');
+    let name = rawName;
+    try {
+      name = decodeURIComponent(rawName.replace(/\+/g, ' '));
+    } catch {
+      // Not an escape sequence - compare the name as written
+    }
+    return pair.includes('=') && (isSecretName(name, secretNames) || SECRET_QUERY_PARAM.test(name)) ? `${rawName}=••••••` : pair;
+  });
+  return `${base}?${params.join('&')}`;
+};
+
+// Nearest-rank percentile of an ascending list
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+};
+
+export const statusKey = (row) => (row._status ? String(row._status) : row._success === 'TIMEOUT' ? 'TIMEOUT' : 'ERR');
+
+export const summarizeBatch = (results) => {
+  const count = (outcome) => results.filter(r => r._success === outcome).length;
+  const times = results.filter(r => typeof r._time === 'number' && r._status).map(r => r._time).sort((a, b) => a - b);
+  const statuses = {};
+  results.forEach(row => {
+    const key = statusKey(row);
+    statuses[key] = (statuses[key] || 0) + 1;
+  });
+
+  return {
+    total: results.length,
+    passed: count('PASS'),
+    failed: count('FAIL'),
+    timeouts: count('TIMEOUT'),
+    cancelled: count('CANCELLED'),
+    latency: {
+      min: times[0] || 0,
+      p50: percentile(times, 50),
+      p95: percentile(times, 95),
+      max: times[times.length - 1] || 0,
+      avg: times.length ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) : 0
+    },
+    statuses
+  };
+};
+
+const dataColumns = (row) => Object.keys(row).filter(key => !key.startsWith('_'));
+
+// The row as it was in the data file: its values plus the assertion columns
+const rowInputs = (row) => Object.fromEntries(Object.keys(row)
+  .filter(key => !key.startsWith('_') || isAssertionColumn(key))
+  .map(key => [key, row[key]]));
+
+const parseMaybeJson = (text) => {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// --- CSV ---
+
+const escapeCsv = (val) => {
+  if (val === null || val === undefined) return '';
+  const stringVal = typeof val === 'object' ? JSON.stringify(val) : String(val);
+  // If it contains quotes, commas, or newlines, wrap in quotes and escape internal quotes
+  if (/[",\r\n]/.test(stringVal)) return `"${stringVal.replace(/"/g, '""')}"`;
+  return stringVal;
+};
+
+export const toCsvReport = (results) => {
+  const headers = [...new Set(results.flatMap(row => Object.keys(row)))].filter(h => h !== '_request');
+  return [
+    headers.join(','),
+    ...results.map(row => headers.map(h => escapeCsv(row[h])).join(','))
+  ].join('\n');
+};
+
+// --- JSON ---
+
+// The sent request with credentials masked
+const redactRequest = (request, secretNames) => ({
+  ...request,
+  url: redactUrl(request.url, secretNames),
+  headers: redactHeaders(request.headers, secretNames)
+});
+
+export const toJsonReport = (results, meta = {}, { secretNames = [] } = {}) => JSON.stringify({
+  generatedAt: new Date().toISOString(),
+  ...meta,
+  summary: summarizeBatch(results),
+  results: results.map(row => ({
+    row: row._rowIndex,
+    case: row._case,
+    endpoint: row._endpoint,
+    outcome: row._success,
+    status: row._status,
+    time: row._time,
+    attempts: row._attempts,
+    assertions: row._assertions,
+    schema: row._schema,
+    data: rowInputs(row),
+    request: row._request ? { ...redactRequest(row._request, secretNames), body: parseMaybeJson(row._request.body) } : null,
+    response: parseMaybeJson(row._response)
+  }))
+}, null, 2);
+
+// --- JUnit XML ---
+
+// Control characters other than tab / newlines are not allowed in XML 1.0
+const isXmlChar = (ch) => ch >= ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+
+const escapeXml = (value) => [...String(value ?? '')].filter(isXmlChar).join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One <testsuite> per endpoint, one <testcase> per row
+export const toJUnitXml = (results, { name = 'API batch run' } = {}) => {
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const suites = groupResultsByEndpoint(results).map(group => {
+    const failures = group.rows.filter(r => r._success === 'FAIL').length;
+    const errors = group.rows.filter(r => r._success === 'TIMEOUT').length;
+    const skipped = group.rows.filter(r => r._success === 'CANCELLED').length;
+    const time = group.rows.reduce((sum, r) => sum + (r._time || 0), 0);
+
+    const cases = group.rows.map(row => {
+      const label = row._case || dataColumns(row).map(k => `${k}=${row[k]}`).join(', ').slice(0, 80);
+      const open = `    <testcase classname="${escapeXml(group.label)}" name="${escapeXml(`row ${row._rowIndex}${label ? ` (${label})` : ''}`)}" time="${seconds(row._time)}"`;
+      if (row._success === 'PASS') return `${open}/>`;
+      const inner = row._success === 'TIMEOUT'
+        ? `<error type="timeout" message="${escapeXml(row._assertions)}"/>`
+        : row._success === 'CANCELLED'
+          ? '<skipped message="cancelled"/>'
+          : `<failure type="assertion" message="${escapeXml(row._assertions)}">${escapeXml(`status ${row._status}\n${row._response ?? ''}`.slice(0, 4000))}</failure>`;
+      return `${open}>\n      ${inner}\n    </testcase>`;
+    });
+
+    return `  <testsuite name="${escapeXml(group.label)}" tests="${group.rows.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${seconds(time)}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  const summary = summarizeBatch(results);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${summary.total}" failures="${summary.failed}" errors="${summary.timeouts}" skipped="${summary.cancelled}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+// --- HTML ---
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const prettyBlock = (value) => {
+  const parsed = parseMaybeJson(value);
+  return escapeHtml(typeof parsed === 'string' ? parsed : JSON.stringify(parsed, null, 2));
+};
+
+const HTML_STYLES = `
+body{font-family:system-ui,-apple-system,Segoe UI,sans-serif;margin:2rem;color:#0f172a;background:#f8fafc}
+h1{font-size:1.5rem;margin:0 0 .25rem}.meta{color:#64748b;font-size:.85rem;margin-bottom:1.5rem}
+.cards{display:flex;flex-wrap:wrap;gap:.75rem;margin-bottom:1.5rem}.card{background:#fff;border:1px solid #e2e8f0;border-radius:.5rem;padding:.75rem 1rem;min-width:7rem}
+.card b{display:block;font-size:1.4rem}.card span{color:#64748b;font-size:.75rem;text-transform:uppercase}
+.PASS{color:#15803d}.FAIL{color:#b91c1c}.TIMEOUT{color:#c2410c}.CANCELLED{color:#64748b}
+details{background:#fff;border:1px solid #e2e8f0;border-radius:.5rem;margin-bottom:.5rem}
+summary{cursor:pointer;padding:.6rem .9rem;display:flex;gap:1rem;align-items:center;font-size:.85rem}
+summary .ep{font-family:ui-monospace,monospace;flex:1}.why{color:#b91c1c;font-size:.8rem;padding:0 .9rem}
+pre{background:#0f172a;color:#e2e8f0;padding:.75rem;border-radius:.375rem;overflow:auto;max-height:24rem;font-size:.75rem;margin:.25rem 0 .75rem}
+.body{padding:0 .9rem .9rem}.body h4{margin:.5rem 0 0;font-size:.75rem;color:#475569;text-transform:uppercase}
+table.hist{border-collapse:collapse;font-size:.8rem;margin-bottom:1.5rem}table.hist td{padding:.2rem .6rem;border-bottom:1px solid #e2e8f0}
+`;
+
+export const toHtmlReport = (results, meta = {}, { secretNames = [] } = {}) => {
+  const summary = summarizeBatch(results);
+  const { latency } = summary;
+  const cards = [
+    ['Total', summary.total], ['Passed', summary.passed, 'PASS'], ['Failed', summary.failed, 'FAIL'],
+    ['Timeouts', summary.timeouts, 'TIMEOUT'], ['p50', `${latency.p50}ms`], ['p95', `${latency.p95}ms`], ['Max', `${latency.max}ms`]
+  ].map(([label, value, cls]) => `<div class="card"><b class="${cls || ''}">${escapeHtml(value)}</b><span>${label}</span></div>`).join('');
+
+  const histogram = Object.keys(summary.statuses).sort()
+    .map(code => `<tr><td>${escapeHtml(code)}</td><td>${summary.statuses[code]}</td></tr>`).join('');
+
+  const rows = results.map(row => {
+    const request = row._request && redactRequest(row._request, secretNames);
+    return `<details>
+<summary><span>#${row._rowIndex}</span><span class="${escapeHtml(row._success)}"><b>${escapeHtml(row._success)}</b></span><span>${escapeHtml(statusKey(row))}</span><span class="ep">${escapeHtml(row._endpoint)}</span><span>${row._time ?? 0}ms</span></summary>
+${row._success !== 'PASS' ? `<div class="why">${escapeHtml(row._assertions)}</div>` : ''}
+<div class="body">
+<h4>Data</h4><pre>${escapeHtml(JSON.stringify(rowInputs(row), null, 2))}</pre>
+${request ? `<h4>Request</h4><pre>${escapeHtml(`${request.method} ${request.url}`)}\n\n${escapeHtml(JSON.stringify(request.headers, null, 2))}${request.body ? `\n\n${prettyBlock(request.body)}` : ''}</pre>` : ''}
+<h4>Response</h4><pre>${prettyBlock(row._response)}</pre>
+<h4>Schema</h4><pre>${escapeHtml(row._schema)}</pre>
+</div>
+</details>`;
+  }).join('\n');
+
+  const metaLine = [meta.spec, meta.environment && `env: ${meta.environment}`, meta.baseUrl, meta.file, meta.finishedAt && new Date(meta.finishedAt).toLocaleString()]
+    .filter(Boolean).map(escapeHtml).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.title || 'API batch report')}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(meta.title || 'API batch report')}</h1>
+<div class="meta">${metaLine}</div>
+<div class="cards">${cards}</div>
+<table class="hist"><tr><td><b>Status</b></td><td><b>Count</b></td></tr>${histogram}</table>
+${rows}
+</body>
+</html>
+`;
+};
+
+// --- Files ---
+
+export const REPORT_FORMATS = ['csv', 'json', 'junit', 'html'];
+
+/**
+ * One report as a file: { content, fileName, type }. `meta` is the run's
+ * { title, spec, environment, baseUrl, file, startedAt, finishedAt }; `secretNames`
+ * are header / query names masked on top of the usual ones (apiKeyNames(schemes)).
+ */
+export const renderBatchReport = (results, format, meta = {}, { secretNames = [] } = {}) => {
+  const stamp = (meta.startedAt ? new Date(meta.startedAt) : new Date()).toISOString().slice(0, 10);
+  if (format === 'html') return { content: toHtmlReport(results, meta, { secretNames }), fileName: `test_report_${stamp}.html`, type: 'text/html' };
+  if (format === 'junit') return { content: toJUnitXml(results, { name: meta.title }), fileName: `test_results_${stamp}.xml`, type: 'application/xml' };
+  if (format === 'json') return { content: toJsonReport(results, meta, { secretNames }), fileName: `test_results_${stamp}.json`, type: 'application/json' };
+  return { content: toCsvReport(results), fileName: `test_results_${stamp}.csv`, type: 'text/csv' };
+};
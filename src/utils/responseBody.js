@@ -0,0 +1,111 @@
+import { toJsonPath } from './jsonPath.js';
+
+/**
+ * RESPONSE BODIES
+ * Helpers for the response viewer: which renderer a body gets, byte sizes, XML
+ * pretty-printing, cookies and JSON tree search.
+ */
+
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// 'image' | 'pdf' | 'binary' | 'json' | 'html' | 'xml' | 'text'
+export const bodyView = (response) => {
+  const type = (response.contentType || '').split(';')[0].trim().toLowerCase();
+  if (response.blob) {
+    if (type.startsWith('image/')) return 'image';
+    if (type === 'application/pdf') return 'pdf';
+    return 'binary';
+  }
+  if (response.data !== null && typeof response.data === 'object') return 'json';
+  if (type === 'text/html') return 'html';
+  if (/[/+]xml$/.test(type)) return 'xml';
+  return 'text';
+};
+
+// Past this the XML is shown as received rather than re-indented
+const XML_FORMAT_LIMIT = 1024 * 1024;
+
+// One element per line, indented by nesting; a text-only element stays on one line
+export const formatXml = (text) => {
+  if (typeof text !== 'string' || text.length > XML_FORMAT_LIMIT) return text;
+  const tokens = text.replace(/>\s+</g, '><').trim().split(/(<[^>]+>)/).filter(token => token.trim());
+  const lines = [];
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const indent = '  '.repeat(depth);
+    if (token.startsWith('</')) {
+      depth = Math.max(depth - 1, 0);
+      lines.push('  '.repeat(depth) + token);
+    } else if (/^<[^!?]/.test(token) && !token.endsWith('/>')) {
+      const [inner, close] = [tokens[i + 1], tokens[i + 2]];
+      if (inner && !inner.startsWith('<') && close?.startsWith('</')) {
+        lines.push(indent + token + inner.trim() + close);
+        i += 2;
+      } else {
+        lines.push(indent + token);
+        depth++;
+      }
+    } else {
+      // Declarations, comments, self-closing tags and stray text
+      lines.push(indent + token.trim());
+    }
+  }
+  return lines.join('\n');
+};
+
+// Set-Cookie headers as { name, value, attributes }; browsers hide them from fetch, proxies don't
+export const parseSetCookies = (headers = {}) => {
+  const key = Object.keys(headers).find(h => h.toLowerCase() === 'set-cookie');
+  if (!key) return [];
+  // Joined with ", " by Headers; an Expires date also contains ", " so split only before "name="
+  return String(headers[key]).split(/,\s*(?=[^;,=\s]+=)/).map(cookie => {
+    const [pair, ...attributes] = cookie.split(';').map(part => part.trim());
+    const eq = pair.indexOf('=');
+    return { name: pair.slice(0, eq), value: pair.slice(eq + 1), attributes: attributes.filter(Boolean) };
+  });
+};
+
+// Stop collecting matches past this so typing in a huge payload stays responsive
+const SEARCH_MATCH_LIMIT = 500;
+
+/**
+ * Case-insensitive search over keys and primitive values of a JSON value.
+ * Returns { matches, visible, truncated } - `matches` are JSONPaths of matching nodes,
+ * `visible` adds their ancestors so the tree can open down to them.
+ */
+export const searchJson = (data, query) => {
+  const matches = new Set();
+  const visible = new Set();
+  const needle = query.trim().toLowerCase();
+  if (!needle) return { matches, visible, truncated: false };
+
+  let truncated = false;
+  const walk = (value, segments, name) => {
+    if (truncated) return false;
+    const path = toJsonPath(segments);
+    const isContainer = value !== null && typeof value === 'object';
+    const selfMatch = (name !== undefined && String(name).toLowerCase().includes(needle))
+      || (!isContainer && String(value).toLowerCase().includes(needle));
+    let found = selfMatch;
+    if (selfMatch) {
+      matches.add(path);
+      if (matches.size >= SEARCH_MATCH_LIMIT) truncated = true;
+    }
+    if (isContainer) {
+      const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+      keys.forEach(key => {
+        if (walk(value[key], [...segments, key], Array.isArray(value) ? undefined : key)) found = true;
+      });
+    }
+    if (found) visible.add(path);
+    return found;
+  };
+  walk(data, [], undefined);
+  return { matches, visible, truncated };
+};
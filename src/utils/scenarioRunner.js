@@ -0,0 +1,58 @@
+import { interpolateDeep } from './template.js';
+import { evaluateAssertions } from './assertions.js';
+
+/**
+ * SCENARIO RUNNER
+ * Runs ordered steps, capturing each response as {{stepName.status}},
+ * {{stepName.body...}} and {{stepName.time}} for the steps that follow.
+ */
+
+export const STEP_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Steps keep method + path so they survive endpoint id changes on re-import
+export const findStepEndpoint = (endpoints, step) =>
+  endpoints.find(ep => ep.id === step.endpointId) ||
+  endpoints.find(ep => ep.method === step.method && ep.path === step.path);
+
+export const stepInputsToData = (step) => {
+  const data = {};
+  (step.inputs || []).forEach(({ key, value }) => {
+    if (key) data[key] = value;
+  });
+  return data;
+};
+
+/**
+ * `execute(endpoint, data)` is the app's executeRequest. `onStep` receives the
+ * results so far after every step, for progressive rendering.
+ */
+export const runScenario = async (scenario, endpoints, execute, { onStep, context = {} } = {}) => {
+  const captures = { ...context };
+  const results = [];
+
+  for (const step of scenario.steps) {
+    const endpoint = findStepEndpoint(endpoints, step);
+    let result;
+
+    if (!endpoint) {
+      result = { passed: false, failures: [`endpoint ${step.method?.toUpperCase() || ''} ${step.path || step.endpointId || ''} not found in the loaded spec`] };
+    } else {
+      const missing = [];
+      const data = interpolateDeep(stepInputsToData(step), captures, missing);
+      if (missing.length > 0) {
+        result = { data, passed: false, failures: [`unresolved: ${[...new Set(missing)].map(m => `{{${m}}}`).join(', ')}`] };
+      } else {
+        const response = await execute(endpoint, data);
+        const evaluation = evaluateAssertions(data, response);
+        captures[step.name] = { status: response.status, body: response.data, time: response.time };
+        result = { data, response, passed: evaluation.passed, failures: evaluation.failures };
+      }
+    }
+
+    results.push({ stepId: step.id, name: step.name, ...result });
+    onStep?.([...results]);
+    if (!result.passed && scenario.stopOnFailure !== false) break;
+  }
+
+  return results;
+};
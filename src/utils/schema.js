@@ -0,0 +1,371 @@
+import { defaultMediaType, mediaKind, mediaExample } from './mediaTypes.js';
+
+/**
+ * SCHEMA WALKER
+ * Turns (bundled) JSON schemas into a field tree the form can render, and turns
+ * form / CSV values back into a correctly nested request body.
+ */
+
+// Recursive schemas are cut off here and edited as raw JSON instead
+const MAX_DEPTH = 8;
+
+// Follow leftover local $refs (bundling keeps circular ones as refs)
+export const derefSchema = (schema, definitions) => {
+  let current = schema;
+  const seen = new Set();
+  while (current?.$ref && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    const { $ref, ...siblings } = current;
+    const target = definitions?.[$ref.split('/').pop()];
+    if (!target) return siblings;
+    current = Object.keys(siblings).length ? { ...target, ...siblings } : target;
+  }
+  return current || {};
+};
+
+// Flatten allOf composition into a single schema
+export const mergeAllOf = (schema, definitions) => {
+  const resolved = derefSchema(schema, definitions);
+  if (!resolved.allOf) return resolved;
+  const { allOf, ...rest } = resolved;
+  return [...allOf.map(part => mergeAllOf(part, definitions)), rest].reduce((acc, part) => {
+    const merged = { ...acc, ...part, type: acc.type || part.type };
+    if (acc.properties || part.properties) merged.properties = { ...acc.properties, ...part.properties };
+    if (acc.required || part.required) merged.required = [...new Set([...(acc.required || []), ...(part.required || [])])];
+    return merged;
+  }, {});
+};
+
+export const schemaType = (schema) => {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (type) return type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return 'string';
+};
+
+// Name of a schema inside components.schemas / definitions (bundled refs keep identity)
+const schemaName = (schema, definitions) =>
+  Object.keys(definitions || {}).find(key => definitions[key] === schema);
+
+// Discriminator value for a oneOf/anyOf option (explicit mapping first, then the schema name)
+const discriminatorValue = (option, target, discriminator, definitions) => {
+  if (!discriminator) return undefined;
+  const mapping = discriminator.mapping || {};
+  const mapped = Object.keys(mapping).find(key => {
+    const ref = mapping[key];
+    return (option.$ref && option.$ref === ref) || derefSchema({ $ref: ref }, definitions) === target;
+  });
+  return mapped || schemaName(target, definitions) || target.title;
+};
+
+/**
+ * Builds a field tree node:
+ *   kind 'primitive' | 'object' (children) | 'array' (item) | 'variant' (oneOf/anyOf options) | 'json'
+ */
+export const buildFieldTree = (schema, definitions, { name = '', required = false, depth = 0, ancestors = [] } = {}) => {
+  const raw = derefSchema(schema || {}, definitions);
+  const merged = mergeAllOf(raw, definitions);
+  const node = {
+    name,
+    required,
+    description: merged.description || '',
+    schema: merged,
+    type: schemaType(merged)
+  };
+
+  if (ancestors.includes(raw) || depth > MAX_DEPTH) {
+    return { ...node, kind: 'json', circular: true };
+  }
+  const childOptions = { depth: depth + 1, ancestors: [...ancestors, raw] };
+
+  const options = merged.oneOf || merged.anyOf;
+  if (options) {
+    // Properties declared next to oneOf/anyOf are shared by every option
+    const base = { ...merged };
+    delete base.oneOf;
+    delete base.anyOf;
+    delete base.discriminator;
+    return {
+      ...node,
+      kind: 'variant',
+      discriminator: merged.discriminator?.propertyName,
+      variants: options.map((option, i) => {
+        const target = derefSchema(option, definitions);
+        const value = discriminatorValue(option, target, merged.discriminator, definitions);
+        const combined = base.properties ? { allOf: [base, target] } : target;
+        return {
+          label: value || target.title || schemaName(target, definitions) || `Option ${i + 1}`,
+          discriminatorValue: value,
+          node: buildFieldTree(combined, definitions, { name, required, ...childOptions })
+        };
+      })
+    };
+  }
+
+  if (node.type === 'object') {
+    const properties = merged.properties || {};
+    if (Object.keys(properties).length === 0) {
+      // Free-form maps (additionalProperties only) are edited as raw JSON
+      return { ...node, kind: 'json' };
+    }
+    const requiredFields = merged.required || [];
+    return {
+      ...node,
+      kind: 'object',
+      children: Object.keys(properties)
+        .filter(key => !properties[key]?.readOnly)
+        .map(key => buildFieldTree(properties[key], definitions, {
+          name: key,
+          required: requiredFields.includes(key),
+          ...childOptions
+        }))
+    };
+  }
+
+  if (node.type === 'array') {
+    return {
+      ...node,
+      kind: 'array',
+      item: buildFieldTree(merged.items || {}, definitions, { name: 'item', required: true, ...childOptions })
+    };
+  }
+
+  return { ...node, kind: 'primitive' };
+};
+
+export const hasRequestBody = (endpoint) => ['post', 'put', 'patch'].includes(endpoint.method) && !!endpoint.requestBody;
+
+// Raw text / XML bodies are typed in as a whole under "_body" rather than field by field
+export const isRawBody = (endpoint, mediaType = defaultMediaType(endpoint)) =>
+  hasRequestBody(endpoint) && !!mediaType && mediaKind(mediaType) === 'text';
+
+// Body tree for an endpoint in one of its media types (JSON by default), or null if
+// there is no schema to build fields from
+export const getBodyTree = (endpoint, mediaType = defaultMediaType(endpoint)) => {
+  if (!hasRequestBody(endpoint) || !mediaType || isRawBody(endpoint, mediaType)) return null;
+  const schema = endpoint.requestBody.content?.[mediaType]?.schema;
+  return schema ? buildFieldTree(schema, endpoint.definitions) : null;
+};
+
+// Top-level body fields uploaded as files (format: binary), for multipart bodies
+export const listFileFields = (tree) => (tree?.kind === 'object'
+  ? tree.children.filter(c => c.schema?.format === 'binary' || c.item?.schema?.format === 'binary').map(c => c.name)
+  : []);
+
+// Object-like bodies keep their fields at the top level of formData / the CSV row;
+// anything else (arrays, primitives, free-form JSON) is edited as a whole under "_body"
+export const isTopLevelBody = (tree) => tree.kind === 'object' || tree.kind === 'variant';
+
+export const joinFieldPath = (path, key) => (path === '' ? String(key) : `${path}.${key}`);
+
+// Which oneOf/anyOf option applies to a value
+export const pickVariant = (node, value, variants = {}, path = '') => {
+  if (variants[path] !== undefined) return Number(variants[path]);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (node.discriminator && value[node.discriminator] !== undefined) {
+      const idx = node.variants.findIndex(v => v.discriminatorValue === String(value[node.discriminator]));
+      if (idx !== -1) return idx;
+    }
+    // First option whose required fields are all present
+    const idx = node.variants.findIndex(v =>
+      v.node.kind === 'object' &&
+      v.node.children.some(c => c.required) &&
+      v.node.children.filter(c => c.required).every(c => value[c.name] !== undefined && value[c.name] !== '')
+    );
+    if (idx !== -1) return idx;
+  }
+  return 0;
+};
+
+// datetime-local inputs give "2024-05-01T10:30" (local time, no zone)
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Converts a form / CSV string to the schema's primitive type so the body carries
+ * 42 and true rather than "42" and "true". Values that don't convert cleanly are
+ * left alone for validation to report.
+ */
+export const coercePrimitive = (value, schema = {}) => {
+  if (typeof value !== 'string') return value;
+  const type = schemaType(schema);
+  const trimmed = value.trim();
+
+  if (trimmed === 'null' && (schema.nullable || (Array.isArray(schema.type) && schema.type.includes('null')))) return null;
+  if ((type === 'integer' || type === 'number') && trimmed !== '' && !isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (type === 'boolean') {
+    if (/^(true|1|yes|y)$/i.test(trimmed)) return true;
+    if (/^(false|0|no|n)$/i.test(trimmed)) return false;
+  }
+  if (type === 'string' && schema.format === 'date-time' && LOCAL_DATE_TIME.test(trimmed)) {
+    const date = new Date(trimmed);
+    if (!isNaN(date)) return date.toISOString();
+  }
+  return value;
+};
+
+// Initial form value for a node from the schema's default / example
+const schemaDefault = (schema) => {
+  if (schema.default !== undefined) return schema.default;
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  return undefined;
+};
+
+export const buildInitialValue = (node) => {
+  const own = schemaDefault(node.schema);
+  if (own !== undefined) return own;
+  if (node.kind === 'object') {
+    const out = {};
+    node.children.forEach(child => {
+      const value = buildInitialValue(child);
+      if (value !== undefined) out[child.name] = value;
+    });
+    return Object.keys(out).length ? out : undefined;
+  }
+  if (node.kind === 'variant') return buildInitialValue(node.variants[0].node);
+  return undefined;
+};
+
+// Pre-filled formData for an endpoint (parameter + body defaults / examples)
+export const buildInitialFormData = (endpoint) => {
+  const data = {};
+  (endpoint.parameters || []).forEach(param => {
+    const value = param.example ?? schemaDefault(param.schema || param);
+    if (value !== undefined) data[param.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+  if (isRawBody(endpoint)) {
+    const example = mediaExample(endpoint.requestBody.content[defaultMediaType(endpoint)]);
+    if (example !== undefined) data._body = example;
+    return data;
+  }
+  const tree = getBodyTree(endpoint);
+  if (tree) {
+    const value = buildInitialValue(tree);
+    if (value !== undefined) {
+      if (isTopLevelBody(tree) && value && typeof value === 'object' && !Array.isArray(value)) Object.assign(data, value);
+      else data._body = value;
+    }
+  }
+  return data;
+};
+
+const tryParseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Builds the body value for a tree node from form / CSV data. Empty values are
+ * dropped so optional fields are omitted rather than sent as "".
+ * `variants` maps field paths to the selected oneOf/anyOf option index.
+ */
+export const buildBodyValue = (node, value, variants = {}, path = '') => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  switch (node.kind) {
+    case 'object': {
+      const source = tryParseJson(value);
+      if (!source || typeof source !== 'object' || Array.isArray(source)) return undefined;
+      const out = {};
+      node.children.forEach(child => {
+        const childValue = buildBodyValue(child, source[child.name], variants, joinFieldPath(path, child.name));
+        if (childValue !== undefined) out[child.name] = childValue;
+      });
+      return Object.keys(out).length ? out : undefined;
+    }
+    case 'array': {
+      let source = tryParseJson(value);
+      if (typeof source === 'string') {
+        // CSV convenience: "a,b,c" for arrays of primitives
+        source = node.item.kind === 'primitive' ? source.split(',').map(s => s.trim()) : [source];
+      } else if (source && typeof source === 'object' && !Array.isArray(source)) {
+        // Unflattened CSV columns like items.0.sku arrive as { 0: {...} }
+        source = Object.keys(source).sort((a, b) => a - b).map(k => source[k]);
+      }
+      if (!Array.isArray(source)) source = [source];
+      const items = source
+        .map((item, i) => buildBodyValue(node.item, item, variants, joinFieldPath(path, i)))
+        .filter(item => item !== undefined);
+      return items.length ? items : undefined;
+    }
+    case 'variant': {
+      const idx = pickVariant(node, tryParseJson(value), variants, path);
+      const option = node.variants[idx] || node.variants[0];
+      const built = buildBodyValue(option.node, value, variants, path);
+      if (built && typeof built === 'object' && node.discriminator && option.discriminatorValue && built[node.discriminator] === undefined) {
+        built[node.discriminator] = option.discriminatorValue;
+      }
+      return built;
+    }
+    case 'json':
+      return tryParseJson(value);
+    default:
+      return coercePrimitive(value, node.schema);
+  }
+};
+
+// Split dotted / indexed CSV headers ("address.city", "items[0].sku") into nested objects
+export const unflattenData = (data) => {
+  const out = {};
+  Object.keys(data).forEach(key => {
+    if (key.startsWith('_') || !/[.[]/.test(key)) {
+      out[key] = data[key];
+      return;
+    }
+    const tokens = key.replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+    let target = out;
+    tokens.slice(0, -1).forEach(token => {
+      if (!target[token] || typeof target[token] !== 'object') target[token] = {};
+      target = target[token];
+    });
+    target[tokens[tokens.length - 1]] = data[key];
+  });
+  return out;
+};
+
+// Build the full request body for an endpoint from form data or a CSV row
+export const buildRequestBody = (tree, data, excludeKeys = []) => {
+  const nested = unflattenData(data);
+  const source = {};
+  Object.keys(nested).forEach(key => {
+    if (!excludeKeys.includes(key) && !key.startsWith('_')) source[key] = nested[key];
+  });
+  if (isTopLevelBody(tree)) {
+    return buildBodyValue(tree, source, nested._variants) || {};
+  }
+  // Free-form object bodies can still be given as individual CSV columns
+  if (nested._body === undefined && tree.kind === 'json' && tree.type === 'object') return source;
+  return buildBodyValue(tree, nested._body, nested._variants);
+};
+
+// Dotted input keys for an endpoint ("id", "address.city", "items[0].sku") - the same
+// convention CSV headers use, so scenarios and datasets can be filled in by key
+export const listFieldPaths = (endpoint) => {
+  const paths = (endpoint.parameters || []).map(p => p.name);
+  const walk = (node, path) => {
+    if (node.kind === 'object') {
+      node.children.forEach(child => walk(child, path ? `${path}.${child.name}` : child.name));
+    } else if (node.kind === 'variant') {
+      node.variants.forEach(v => walk(v.node, path));
+    } else if (node.kind === 'array' && node.item.kind === 'object') {
+      walk(node.item, `${path}[0]`);
+    } else if (path && !paths.includes(path)) {
+      paths.push(path);
+    }
+  };
+  const tree = getBodyTree(endpoint);
+  if (tree) {
+    if (isTopLevelBody(tree)) walk(tree, '');
+    else paths.push('_body');
+  } else if (isRawBody(endpoint)) {
+    paths.push('_body');
+  }
+  return paths;
+};
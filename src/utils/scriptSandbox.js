@@ -0,0 +1,35 @@
+/**
+ * SCRIPT SANDBOX (browser)
+ * Runs Postman pre-request / test scripts in a throwaway worker, so a script can't
+ * reach the page or its storage, and a runaway loop is cut off. It is not isolated
+ * from the network (see postmanSandbox.worker.js): only run collections you trust.
+ */
+
+export const SCRIPT_TIMEOUT_MS = 5000;
+
+const failedRun = (input, error) => ({
+  variables: { ...(input.variables || {}) },
+  changes: { set: {}, unset: [] },
+  headers: { ...(input.request?.headers || {}) },
+  tests: [],
+  logs: [],
+  error
+});
+
+// Same result shape as runScripts() in postmanSandbox.js
+export const runSandboxedScripts = (scripts, input, { timeoutMs = SCRIPT_TIMEOUT_MS } = {}) => new Promise((resolve) => {
+  const worker = new Worker(new URL('./postmanSandbox.worker.js', import.meta.url), { type: 'module' });
+  let timer = null;
+  const finish = (result) => {
+    clearTimeout(timer);
+    worker.terminate();
+    resolve(result);
+  };
+  timer = setTimeout(() => finish(failedRun(input, `Script did not finish within ${timeoutMs}ms`)), timeoutMs);
+  worker.onmessage = (e) => finish(e.data);
+  worker.onerror = (e) => {
+    e.preventDefault();
+    finish(failedRun(input, e.message || 'Script could not be run'));
+  };
+  worker.postMessage({ scripts, input });
+});
@@ -0,0 +1,25 @@
+/**
+ * SECRETS
+ * Which names carry credentials, shared by everything that writes requests or
+ * environments somewhere else: reports, workspace / collection exports and the
+ * proxy dropping credentials on a cross-origin redirect.
+ */
+
+// Variable, query parameter and header names whose values are secrets
+export const SECRET_NAME = /token|secret|password|passwd|api[-_]?key|credential/i;
+
+// Headers that carry credentials whatever SECRET_NAME makes of their name
+const CREDENTIAL_HEADER = /^((proxy-)?authorization|cookie)$/i;
+
+const sameName = (names, name) => names.some(other => other.toLowerCase() === String(name).toLowerCase());
+
+// `extraNames`: more secret names, e.g. the header an apiKey scheme declares ("X-Tenant-Auth")
+export const isSecretHeader = (name, extraNames = []) =>
+  CREDENTIAL_HEADER.test(name) || SECRET_NAME.test(name) || sameName(extraNames, name);
+
+export const isSecretName = (name, extraNames = []) => SECRET_NAME.test(name) || sameName(extraNames, name);
+
+// Header / query parameter names of the apiKey schemes in a parsed spec's securitySchemes
+export const apiKeyNames = (schemes = {}) => Object.values(schemes || {})
+  .filter(scheme => scheme?.type === 'apiKey' && scheme.name)
+  .map(scheme => scheme.name);
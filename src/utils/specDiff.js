@@ -0,0 +1,296 @@
+import { derefSchema, mergeAllOf, schemaType } from './schema.js';
+import { defaultMediaType, bodyMediaType } from './mediaTypes.js';
+import { getParamSchema, responseSchema } from './validation.js';
+import { resolveRowEndpoint, endpointLabel } from './batchTargets.js';
+import { findStepEndpoint, stepInputsToData } from './scenarioRunner.js';
+import { BODY_ASSERTION_PREFIX } from './assertions.js';
+
+/**
+ * SPEC DIFF
+ * Compares the operations of two parsed spec versions - added / removed operations,
+ * parameters, request body fields and response properties - and flags each change
+ * as breaking or not for existing clients. Also finds the batch rows and scenario
+ * steps a change affects, so they can be fixed before the next run.
+ */
+
+const MAX_DEPTH = 8;
+
+// Operations are matched on method + path shape, so renaming {id} to {userId} isn't a removal
+const operationKey = (endpoint) => `${endpoint.method.toUpperCase()} ${endpoint.path.replace(/{[^}]+}/g, '{}')}`;
+
+// "items[0].sku" and "items[].sku" name the same field
+const normalizeFieldPath = (path) => path.replace(/\[\d*\]/g, '[]');
+
+const typeLabel = (schema) => {
+  const type = schemaType(schema) || (schema.properties ? 'object' : 'any');
+  return schema.format ? `${type} (${schema.format})` : type;
+};
+
+/**
+ * Map of dotted field path -> { type, required, enum } for every property under
+ * `schema` ("" is the schema itself, array items are "path[]"). oneOf / anyOf options
+ * are merged, so a field any option declares is listed.
+ */
+const schemaFields = (schema, definitions, fields = new Map(), path = '', required = true, ancestors = []) => {
+  if (!schema) return fields;
+  const raw = derefSchema(schema, definitions);
+  const merged = mergeAllOf(raw, definitions);
+  fields.set(path, { type: typeLabel(merged), required, enum: merged.enum });
+  if (ancestors.includes(raw) || ancestors.length > MAX_DEPTH) return fields;
+  const next = [...ancestors, raw];
+
+  (merged.oneOf || merged.anyOf || []).forEach(option => {
+    const optionFields = schemaFields(option, definitions, new Map(), path, required, next);
+    optionFields.forEach((info, key) => {
+      if (key !== path && !fields.has(key)) fields.set(key, info);
+    });
+  });
+  const requiredKeys = merged.required || [];
+  Object.keys(merged.properties || {}).forEach(key => {
+    schemaFields(merged.properties[key], definitions, fields, path ? `${path}.${key}` : key, requiredKeys.includes(key), next);
+  });
+  if (merged.items) schemaFields(merged.items, definitions, fields, `${path}[]`, true, next);
+  return fields;
+};
+
+const bodySchema = (endpoint) => endpoint.requestBody?.content?.[defaultMediaType(endpoint)]?.schema;
+
+const paramMap = (endpoint) => new Map((endpoint.parameters || []).map(param => {
+  const schema = mergeAllOf(derefSchema(getParamSchema(param), endpoint.definitions), endpoint.definitions);
+  return [`${param.in}:${param.name}`, { param, type: typeLabel(schema), required: Boolean(param.required) || param.in === 'path', enum: schema.enum }];
+}));
+
+const listEnum = (values) => values.map(value => JSON.stringify(value)).join(', ');
+
+// Differences between two enum lists, as [removed, added]
+const enumChanges = (before = [], after = []) => [
+  before.filter(value => !after.some(v => JSON.stringify(v) === JSON.stringify(value))),
+  after.filter(value => !before.some(v => JSON.stringify(v) === JSON.stringify(value)))
+];
+
+const diffOperation = (before, after, add) => {
+  // --- Parameters ---
+  const oldParams = paramMap(before);
+  const newParams = paramMap(after);
+  oldParams.forEach((old, key) => {
+    const { name, in: location } = old.param;
+    const current = newParams.get(key);
+    if (!current) {
+      add({ kind: 'parameter', change: 'removed', field: name, breaking: true, message: `${location} parameter "${name}" removed` });
+      return;
+    }
+    if (old.type !== current.type) {
+      add({ kind: 'parameter', change: 'changed', field: name, breaking: true, message: `${location} parameter "${name}" changed type ${old.type} → ${current.type}` });
+    }
+    if (!old.required && current.required) {
+      add({ kind: 'parameter', change: 'changed', field: name, breaking: true, required: true, message: `${location} parameter "${name}" is now required` });
+    } else if (old.required && !current.required) {
+      add({ kind: 'parameter', change: 'changed', field: name, breaking: false, message: `${location} parameter "${name}" is now optional` });
+    }
+    const [removed, added] = enumChanges(old.enum, current.enum);
+    if (old.enum && removed.length) {
+      add({ kind: 'parameter', change: 'changed', field: name, breaking: true, message: `${location} parameter "${name}" no longer accepts ${listEnum(removed)}` });
+    }
+    if (current.enum && old.enum && added.length) {
+      add({ kind: 'parameter', change: 'changed', field: name, breaking: false, message: `${location} parameter "${name}" also accepts ${listEnum(added)}` });
+    }
+  });
+  newParams.forEach((current, key) => {
+    if (oldParams.has(key)) return;
+    const { name, in: location } = current.param;
+    add({
+      kind: 'parameter',
+      change: 'added',
+      field: name,
+      breaking: current.required,
+      required: current.required,
+      message: `${current.required ? 'new required' : 'new optional'} ${location} parameter "${name}"`
+    });
+  });
+
+  // --- Request body ---
+  const oldBody = bodySchema(before);
+  const newBody = bodySchema(after);
+  if (!before.requestBody?.required && after.requestBody?.required) {
+    add({ kind: 'request', change: before.requestBody ? 'changed' : 'added', field: '_body', breaking: true, required: true, message: 'request body is now required' });
+  } else if (before.requestBody && !after.requestBody) {
+    add({ kind: 'request', change: 'removed', field: '_body', breaking: true, message: 'request body removed' });
+  }
+  Object.keys(before.requestBody?.content || {}).forEach(type => {
+    if (after.requestBody && !after.requestBody.content?.[type]) {
+      add({ kind: 'request', change: 'removed', field: '_contentType', contentType: type, breaking: true, message: `request content type ${type} no longer accepted` });
+    }
+  });
+  if (oldBody || newBody) {
+    const oldFields = schemaFields(oldBody, before.definitions);
+    const newFields = schemaFields(newBody, after.definitions);
+    oldFields.forEach((old, path) => {
+      if (!path || !newBody) return;
+      const current = newFields.get(path);
+      if (!current) {
+        add({ kind: 'request', change: 'removed', field: path, breaking: true, message: `request field "${path}" removed` });
+        return;
+      }
+      if (old.type !== current.type) {
+        add({ kind: 'request', change: 'changed', field: path, breaking: true, message: `request field "${path}" changed type ${old.type} → ${current.type}` });
+      }
+      if (!old.required && current.required) {
+        add({ kind: 'request', change: 'changed', field: path, breaking: true, required: true, message: `request field "${path}" is now required` });
+      } else if (old.required && !current.required) {
+        add({ kind: 'request', change: 'changed', field: path, breaking: false, message: `request field "${path}" is now optional` });
+      }
+      const [removed, added] = enumChanges(old.enum, current.enum);
+      if (old.enum && removed.length) {
+        add({ kind: 'request', change: 'changed', field: path, breaking: true, message: `request field "${path}" no longer accepts ${listEnum(removed)}` });
+      }
+      if (current.enum && old.enum && added.length) {
+        add({ kind: 'request', change: 'changed', field: path, breaking: false, message: `request field "${path}" also accepts ${listEnum(added)}` });
+      }
+    });
+    newFields.forEach((current, path) => {
+      if (!path || oldFields.has(path)) return;
+      // Required inside a new object only matters once that object is sent - the object itself is reported
+      const required = current.required && oldFields.has(path.replace(/(\.[^.]+|\[\])$/, ''));
+      add({
+        kind: 'request',
+        change: 'added',
+        field: path,
+        breaking: required,
+        required,
+        message: `${required ? 'new required' : 'new optional'} request field "${path}"`
+      });
+    });
+  }
+
+  // --- Responses ---
+  const oldResponses = before.responses || {};
+  const newResponses = after.responses || {};
+  Object.keys(oldResponses).forEach(code => {
+    if (!newResponses[code]) {
+      const success = /^2/.test(code);
+      add({ kind: 'response', change: 'removed', field: code, breaking: success, message: `response ${code} removed` });
+      return;
+    }
+    const oldSchema = responseSchema(oldResponses[code]);
+    const newSchema = responseSchema(newResponses[code]);
+    if (!oldSchema) return;
+    const oldFields = schemaFields(oldSchema, before.definitions);
+    const newFields = schemaFields(newSchema, after.definitions);
+    oldFields.forEach((old, path) => {
+      const current = newFields.get(path);
+      const label = path ? `property "${path}"` : 'body';
+      if (!current) {
+        add({ kind: 'response', change: 'removed', field: path, status: code, breaking: true, message: `response ${code} ${label} removed` });
+      } else if (old.type !== current.type) {
+        add({ kind: 'response', change: 'changed', field: path, status: code, breaking: true, message: `response ${code} ${label} changed type ${old.type} → ${current.type}` });
+      } else if (old.required && !current.required && path) {
+        add({ kind: 'response', change: 'changed', field: path, status: code, breaking: true, message: `response ${code} ${label} is no longer always present` });
+      }
+    });
+    newFields.forEach((current, path) => {
+      if (path && !oldFields.has(path)) {
+        add({ kind: 'response', change: 'added', field: path, status: code, breaking: false, message: `response ${code} property "${path}" added` });
+      }
+    });
+  });
+  Object.keys(newResponses).forEach(code => {
+    if (!oldResponses[code]) add({ kind: 'response', change: 'added', field: code, breaking: false, message: `new response ${code}` });
+  });
+};
+
+/**
+ * Changes from spec `before` to spec `after` (parsed specs, { endpoints }):
+ * [{ key, endpoint, endpointId, kind, change, field, breaking, required, message }] where
+ * kind is operation | parameter | request | response and endpoint is "METHOD /path".
+ */
+export const diffSpecs = (before, after) => {
+  const changes = [];
+  const oldOps = new Map(before.endpoints.map(ep => [operationKey(ep), ep]));
+  const newOps = new Map(after.endpoints.map(ep => [operationKey(ep), ep]));
+
+  oldOps.forEach((endpoint, key) => {
+    const base = { key, endpoint: endpointLabel(endpoint), endpointId: endpoint.id };
+    const current = newOps.get(key);
+    if (!current) {
+      changes.push({ ...base, kind: 'operation', change: 'removed', field: '', breaking: true, message: 'operation removed' });
+      return;
+    }
+    diffOperation(endpoint, current, (change) => changes.push({ ...base, endpoint: endpointLabel(current), ...change }));
+  });
+  newOps.forEach((endpoint, key) => {
+    if (!oldOps.has(key)) {
+      changes.push({ key, endpoint: endpointLabel(endpoint), endpointId: endpoint.id, kind: 'operation', change: 'added', field: '', breaking: false, message: 'new operation' });
+    }
+  });
+  return changes;
+};
+
+export const summarizeSpecDiff = (changes) => ({
+  total: changes.length,
+  breaking: changes.filter(c => c.breaking).length,
+  added: changes.filter(c => c.kind === 'operation' && c.change === 'added').length,
+  removed: changes.filter(c => c.kind === 'operation' && c.change === 'removed').length,
+  changed: new Set(changes.filter(c => c.kind !== 'operation').map(c => c.key)).size
+});
+
+// Field paths a request sets, plus _body when it sends any body field
+const requestInputs = (endpoint, data) => {
+  const params = new Set((endpoint.parameters || []).map(param => param.name));
+  const keys = Object.keys(data).filter(key => key === '_body' || !key.startsWith('_'));
+  const inputs = new Set(keys.map(normalizeFieldPath));
+  if (keys.some(key => !params.has(key))) inputs.add('_body');
+  return inputs;
+};
+
+/**
+ * Breaking changes that hit a request for `endpoint` (the old version) sending `data`:
+ * a removed operation, a newly required input it doesn't set, a change to an input it
+ * sets, or its body's media type going away. Response changes count when
+ * `checksResponse` (the row asserts on the body, or a later step captures from it).
+ */
+const breakingFor = (changes, endpoint, data, checksResponse) => {
+  const inputs = requestInputs(endpoint, data);
+  return changes.filter(c => {
+    if (!c.breaking) return false;
+    if (c.kind === 'operation') return true;
+    if (c.kind === 'response') return checksResponse;
+    if (c.field === '_contentType') return inputs.has('_body') && bodyMediaType(endpoint, data) === c.contentType;
+    return inputs.has(normalizeFieldPath(c.field)) !== Boolean(c.required);
+  });
+};
+
+/**
+ * What in the workspace a diff affects: { rows: [{ row, messages }], scenarios:
+ * [{ id, name, steps: [{ name, messages }] }] }. Rows are 1-based; rows without a target
+ * column are checked against `defaultEndpoint` when given.
+ */
+export const findAffected = (changes, { endpoints, batchData = [], scenarios = [], defaultEndpoint = null }) => {
+  const byKey = new Map();
+  changes.forEach(change => byKey.set(change.key, [...(byKey.get(change.key) || []), change]));
+  const changesFor = (endpoint) => byKey.get(operationKey(endpoint)) || [];
+  const messages = (hits) => [...new Set(hits.map(c => `${c.endpoint}: ${c.message}`))];
+
+  const rows = [];
+  batchData.forEach((row, i) => {
+    const target = resolveRowEndpoint(endpoints, row);
+    const endpoint = target ? target.endpoint : defaultEndpoint;
+    if (!endpoint) return;
+    const hits = breakingFor(changesFor(endpoint), endpoint, row, Object.keys(row).some(key => key.startsWith(BODY_ASSERTION_PREFIX)));
+    if (hits.length) rows.push({ row: i + 1, messages: messages(hits) });
+  });
+
+  const affectedScenarios = scenarios.map(scenario => {
+    const steps = scenario.steps.map(step => {
+      const endpoint = findStepEndpoint(endpoints, step);
+      if (!endpoint) return { name: step.name, messages: [] };
+      const data = stepInputsToData(step);
+      // Later steps reading {{step.body...}} depend on this step's response shape
+      const captured = scenario.steps.some(other => (other.inputs || []).some(input => String(input.value ?? '').includes(`{{${step.name}.body`)));
+      const checksBody = captured || Object.keys(data).some(key => key.startsWith(BODY_ASSERTION_PREFIX));
+      return { name: step.name, messages: messages(breakingFor(changesFor(endpoint), endpoint, data, checksBody)) };
+    }).filter(step => step.messages.length);
+    return { id: scenario.id, name: scenario.name, steps };
+  }).filter(scenario => scenario.steps.length);
+
+  return { rows, scenarios: affectedScenarios };
+};
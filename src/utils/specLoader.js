@@ -0,0 +1,186 @@
+import yaml from 'js-yaml';
+
+/**
+ * SPEC LOADING
+ * Parses JSON/YAML spec documents and bundles multi-file OpenAPI specs
+ * (local + cross-file $refs) into a single in-memory document.
+ */
+
+// Parse a spec document that may be either JSON or YAML
+export const parseSpecText = (text, fileName = 'spec') => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new Error(`${fileName} is empty`);
+
+  // JSON fast path - also gives clearer error messages for JSON documents
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      // Fall through: flow-style YAML can also start with a brace
+    }
+  }
+
+  let doc;
+  try {
+    doc = yaml.load(text, { filename: fileName });
+  } catch (e) {
+    throw new Error(`Could not parse ${fileName} as JSON or YAML: ${e.reason || e.message}`);
+  }
+  if (!doc || typeof doc !== 'object') {
+    throw new Error(`${fileName} does not contain a JSON/YAML object`);
+  }
+  return doc;
+};
+
+// Is this document the entry point of a spec (vs. a fragment like schemas/user.yaml)?
+export const isSpecRoot = (doc) => !!doc && (
+  !!doc.openapi || !!doc.swagger || (!!doc.info && !!doc.item)
+  || Array.isArray(doc.log?.entries) || (doc._type === 'export' && Array.isArray(doc.resources))
+);
+
+// --- Path helpers (POSIX-style, relative to the uploaded folder) ---
+
+const dirname = (path) => {
+  const idx = path.lastIndexOf('/');
+  return idx === -1 ? '' : path.slice(0, idx);
+};
+
+export const joinPath = (base, relative) => {
+  const parts = relative.startsWith('/') ? [] : base.split('/').filter(Boolean);
+  relative.split('/').forEach(segment => {
+    if (segment === '' || segment === '.') return;
+    if (segment === '..') parts.pop();
+    else parts.push(segment);
+  });
+  return parts.join('/');
+};
+
+// Resolve a JSON pointer ("/components/schemas/User") inside a document
+const getByPointer = (doc, pointer) => {
+  if (!pointer || pointer === '/') return doc;
+  return pointer
+    .replace(/^\//, '')
+    .split('/')
+    .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, token) => (node && typeof node === 'object' ? node[token] : undefined), doc);
+};
+
+/**
+ * Resolves every $ref in `root` (local "#/..." and cross-file "./schemas/user.yaml#/User")
+ * and returns a single self-contained document.
+ *
+ * `files` maps paths (relative to the uploaded folder) to their raw text. Circular
+ * references cannot be inlined, so they are kept as local refs; cross-file cycles are
+ * hoisted into components.schemas (or definitions for Swagger 2).
+ */
+export const bundleSpec = (root, rootPath = 'openapi.json', files = {}) => {
+  const docs = new Map([[rootPath, root]]);
+  const resolved = new Map();
+  const inProgress = new Set();
+  const hoisted = new Map(); // ref key -> schema name in the root document
+
+  const containerPath = root.swagger ? ['definitions'] : ['components', 'schemas'];
+  const usedNames = new Set(Object.keys(getByPointer(root, '/' + containerPath.join('/')) || {}));
+
+  const loadDoc = (path) => {
+    if (docs.has(path)) return docs.get(path);
+    if (!(path in files)) {
+      throw new Error(`Unresolved $ref: file "${path}" was not provided. Upload the whole spec folder or all referenced files.`);
+    }
+    const doc = parseSpecText(files[path], path);
+    docs.set(path, doc);
+    return doc;
+  };
+
+  // Name used when a cross-file cycle forces a schema into the root document
+  const hoistName = (file, pointer) => {
+    const base = (pointer ? pointer.split('/').pop() : file.split('/').pop().replace(/\.(ya?ml|json)$/i, ''))
+      .replace(/[^A-Za-z0-9_.-]/g, '_') || 'Schema';
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) name = `${base}${i}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  const resolveRef = (ref, currentFile) => {
+    const [refFile, pointer = ''] = ref.split('#');
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(refFile)) {
+      throw new Error(`Remote $ref "${ref}" is not supported. Download it and upload it with the spec.`);
+    }
+    const targetFile = refFile ? joinPath(dirname(currentFile), refFile) : currentFile;
+    let target;
+    try {
+      target = getByPointer(loadDoc(targetFile), pointer);
+    } catch (err) {
+      if (!(err instanceof URIError)) throw err;
+      throw new Error(`Bad $ref "${ref}" in ${currentFile}: "${pointer}" has a "%" that isn't an escape (write it as %25)`);
+    }
+    if (target === undefined) {
+      throw new Error(`Unresolved $ref "${ref}" in ${currentFile}: "${pointer}" not found in ${targetFile}`);
+    }
+    return resolveNode(target, targetFile, pointer.replace(/\/$/, ''));
+  };
+
+  // Every object is memoised by its location, which is also how cycles are detected
+  const resolveNode = (node, currentFile, pointer) => {
+    if (!node || typeof node !== 'object') return node;
+
+    const key = `${currentFile}#${pointer}`;
+    if (resolved.has(key)) return resolved.get(key);
+    if (inProgress.has(key)) {
+      // Circular reference: point at a location inside the bundled root document
+      if (currentFile === rootPath) return { $ref: `#${pointer}` };
+      if (!hoisted.has(key)) hoisted.set(key, hoistName(currentFile, pointer));
+      return { $ref: `#/${containerPath.join('/')}/${hoisted.get(key)}` };
+    }
+
+    inProgress.add(key);
+    let value;
+    if (Array.isArray(node)) {
+      value = node.map((item, i) => resolveNode(item, currentFile, `${pointer}/${i}`));
+    } else if (typeof node.$ref === 'string') {
+      const { $ref, ...siblings } = node;
+      const target = resolveRef($ref, currentFile);
+      // OpenAPI 3.1 allows siblings (description, summary) next to $ref
+      value = Object.keys(siblings).length ? { ...target, ...siblings } : target;
+    } else {
+      value = {};
+      Object.keys(node).forEach(prop => {
+        value[prop] = resolveNode(node[prop], currentFile, `${pointer}/${prop.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+      });
+    }
+    inProgress.delete(key);
+    resolved.set(key, value);
+    return value;
+  };
+
+  const bundled = resolveNode(root, rootPath, '');
+
+  if (hoisted.size > 0) {
+    let container = bundled;
+    containerPath.forEach(segment => {
+      container[segment] = container[segment] || {};
+      container = container[segment];
+    });
+    hoisted.forEach((name, key) => {
+      container[name] = resolved.get(key);
+    });
+  }
+
+  return bundled;
+};
+
+// Pick the entry document from a set of uploaded files
+export const findRootFile = (files) => {
+  const candidates = [];
+  Object.keys(files).forEach(path => {
+    try {
+      if (isSpecRoot(parseSpecText(files[path], path))) candidates.push(path);
+    } catch {
+      // Not a parseable document - may still be referenced as a fragment
+    }
+  });
+  // Prefer the shallowest file (e.g. "api/openapi.yaml" over "api/v1/openapi.yaml")
+  candidates.sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  return candidates[0] || null;
+};
@@ -0,0 +1,64 @@
+/**
+ * TEMPLATES
+ * {{name}} / {{step.body.items[0].id}} placeholder substitution.
+ */
+
+const TOKEN = /{{\s*([^{}]+?)\s*}}/g;
+const WHOLE_TOKEN = /^{{\s*([^{}]+?)\s*}}$/;
+
+// "body.items[0].id" -> walk the object; undefined when any segment is missing
+export const getPath = (obj, path) => path
+  .replace(/\[(\w+)\]/g, '.$1')
+  .split('.')
+  .filter(Boolean)
+  .reduce((acc, key) => (acc === undefined || acc === null ? undefined : acc[key]), obj);
+
+const lookup = (context, expr) => {
+  // Flat keys win so variables like "api.key" still work
+  if (Object.prototype.hasOwnProperty.call(context, expr)) return context[expr];
+  return getPath(context, expr);
+};
+
+export const hasPlaceholders = (value) => typeof value === 'string' && value.includes('{{');
+
+/**
+ * Replaces {{expr}} placeholders in a string. A value that is exactly one
+ * placeholder keeps the referenced value's type (numbers / objects stay as-is),
+ * so captured ids and nested objects go into bodies unchanged.
+ * Unresolved placeholders are left in place and pushed onto `missing`.
+ */
+export const interpolate = (template, context, missing = []) => {
+  if (typeof template !== 'string') return template;
+
+  const whole = template.match(WHOLE_TOKEN);
+  if (whole) {
+    const value = lookup(context, whole[1]);
+    if (value === undefined) {
+      missing.push(whole[1]);
+      return template;
+    }
+    return value;
+  }
+
+  return template.replace(TOKEN, (match, expr) => {
+    const value = lookup(context, expr);
+    if (value === undefined) {
+      missing.push(expr);
+      return match;
+    }
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+  });
+};
+
+// Interpolate every string inside an object / array
+export const interpolateDeep = (value, context, missing = []) => {
+  if (Array.isArray(value)) return value.map(item => interpolateDeep(item, context, missing));
+  if (value && typeof value === 'object' && !(value instanceof Blob)) {
+    const out = {};
+    Object.keys(value).forEach(key => {
+      out[key] = interpolateDeep(value[key], context, missing);
+    });
+    return out;
+  }
+  return interpolate(value, context, missing);
+};
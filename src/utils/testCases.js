@@ -0,0 +1,216 @@
+import { derefSchema, mergeAllOf, schemaType, getBodyTree, isTopLevelBody, isRawBody, hasRequestBody, joinFieldPath } from './schema.js';
+import { defaultMediaType, mediaExample } from './mediaTypes.js';
+import { getParamSchema } from './validation.js';
+import { createRandom, fakeValue } from './mockData.js';
+
+/**
+ * TEST CASE GENERATION
+ * Turns an endpoint's parameters and request schema into a batch dataset: one valid
+ * "happy path" row, then one row per case with a single field changed - boundary
+ * values, each enum value, missing required fields, wrong types / formats and
+ * oversized or injection-style strings. Every row carries its expected outcome in
+ * _expect_status and a description in _case.
+ *
+ * Rows are flat CSV-style rows (dotted body paths), so string fields can't be sent
+ * as another JSON type; they get wrong-format cases instead where the schema has a format.
+ * Generated values don't follow `pattern`: give such fields an example in the spec.
+ */
+
+export const CASE_COLUMN = '_case';
+
+const VALID = '2xx';
+const INVALID = '4xx';
+// Whatever the API makes of it, it shouldn't be a server error
+const NO_SERVER_ERROR = '2xx,4xx';
+
+const OVERSIZED_LENGTH = 10000;
+
+const INJECTION_STRINGS = [
+  ['SQL injection', "' OR '1'='1' --"],
+  ['script tag', '<script>alert(1)</script>'],
+  ['path traversal', '../../../../etc/passwd'],
+  ['template expression', '${7*7}<%= 7*7 %>'],
+  ['command injection', '; cat /etc/passwd'],
+  ['unicode', 'Ünïcødé ✓ 𝔘 中文']
+];
+
+const WRONG_FORMATS = {
+  'date-time': 'yesterday at noon',
+  date: '2024-13-45',
+  time: '25:61',
+  email: 'not-an-email',
+  uuid: 'not-a-uuid',
+  uri: 'not a uri',
+  url: 'not a url',
+  ipv4: '999.1.1.1',
+  ipv6: 'not:an:ip',
+  byte: '*** not base64 ***'
+};
+
+// Fails all but the loosest patterns
+const NON_MATCHING = '~~~';
+
+const matchesPattern = (pattern, value) => {
+  try {
+    return new RegExp(pattern, 'u').test(value);
+  } catch {
+    return true; // Can't tell - better no case than a wrong expectation
+  }
+};
+
+const toCell = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { address: { city: 'x' } } -> { 'address.city': 'x' }, the way CSV headers nest
+const flattenInto = (out, value, path) => {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    Object.keys(value).forEach(key => flattenInto(out, value[key], joinFieldPath(path, key)));
+  } else if (value !== undefined) {
+    out[path] = toCell(value);
+  }
+  return out;
+};
+
+// Leaf fields a case can change: { path, schema, required, kind, location }
+const listBodyFields = (node, path, fields) => {
+  if (node.kind === 'object') {
+    node.children.forEach(child => listBodyFields(child, joinFieldPath(path, child.name), fields));
+  } else if (node.kind === 'variant') {
+    // The happy path uses the first option, like the mock does
+    listBodyFields({ ...node.variants[0].node, name: node.name, required: node.required }, path, fields);
+  } else {
+    fields.push({ path, schema: node.schema, required: node.required, kind: node.kind, location: 'body' });
+  }
+  return fields;
+};
+
+const listFields = (endpoint) => {
+  const fields = (endpoint.parameters || []).map(param => ({
+    path: param.name,
+    schema: mergeAllOf(derefSchema(getParamSchema(param), endpoint.definitions), endpoint.definitions),
+    required: Boolean(param.required) || param.in === 'path',
+    kind: 'primitive',
+    location: param.in
+  }));
+  const tree = getBodyTree(endpoint);
+  if (tree && isTopLevelBody(tree)) listBodyFields(tree, '', fields);
+  return fields;
+};
+
+// A valid row: spec examples / defaults where there are any, generated values elsewhere
+const buildHappyRow = (endpoint, random) => {
+  const row = {};
+  (endpoint.parameters || []).forEach(param => {
+    const value = param.example ?? fakeValue(getParamSchema(param), endpoint.definitions, { random, name: param.name });
+    if (value !== undefined) row[param.name] = toCell(value);
+  });
+  if (!hasRequestBody(endpoint)) return row;
+  if (isRawBody(endpoint)) {
+    row._body = mediaExample(endpoint.requestBody.content[defaultMediaType(endpoint)]) ?? 'example';
+    return row;
+  }
+  const tree = getBodyTree(endpoint);
+  if (!tree) return row;
+  const body = fakeValue(tree.schema, endpoint.definitions, { random });
+  if (isTopLevelBody(tree) && isPlainObject(body)) flattenInto(row, body, '');
+  else row._body = toCell(body);
+  return row;
+};
+
+// Smallest step a numeric bound can be crossed by
+const numericStep = (schema, type) => schema.multipleOf || (type === 'integer' ? 1 : 0.01);
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// [{ label, value, expect }] for one field
+const fieldCases = (field) => {
+  const { schema } = field;
+  const type = schemaType(schema);
+  const cases = [];
+  const add = (label, value, expect) => cases.push({ label, value, expect });
+
+  if (field.required) add('missing required field', '', INVALID);
+  // Arrays / objects only get the missing case: an empty array cell is dropped like an empty one
+  if (field.kind !== 'primitive') return cases;
+
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    schema.enum.forEach(value => add(`enum value ${toCell(value)}`, toCell(value), VALID));
+    add('value outside the enum', 'not-in-enum', INVALID);
+    return cases;
+  }
+
+  if (type === 'integer' || type === 'number') {
+    const step = numericStep(schema, type);
+    const lower = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum
+      : schema.minimum !== undefined && schema.exclusiveMinimum === true ? schema.minimum : undefined;
+    const upper = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum
+      : schema.maximum !== undefined && schema.exclusiveMaximum === true ? schema.maximum : undefined;
+    if (lower !== undefined) {
+      add(`just above exclusive minimum ${lower}`, round(lower + step), VALID);
+      add(`at exclusive minimum ${lower}`, lower, INVALID);
+    } else if (schema.minimum !== undefined) {
+      add(`at minimum ${schema.minimum}`, schema.minimum, VALID);
+      add(`below minimum ${schema.minimum}`, round(schema.minimum - step), INVALID);
+    }
+    if (upper !== undefined) {
+      add(`just below exclusive maximum ${upper}`, round(upper - step), VALID);
+      add(`at exclusive maximum ${upper}`, upper, INVALID);
+    } else if (schema.maximum !== undefined) {
+      add(`at maximum ${schema.maximum}`, schema.maximum, VALID);
+      add(`above maximum ${schema.maximum}`, round(schema.maximum + step), INVALID);
+    }
+    add('text instead of a number', 'abc', INVALID);
+    if (type === 'integer') add('decimal instead of an integer', '1.5', INVALID);
+  } else if (type === 'boolean') {
+    add('text instead of a boolean', 'maybe', INVALID);
+  } else if (type === 'string') {
+    const fill = (length) => 'a'.repeat(length);
+    if (schema.minLength !== undefined) {
+      add(`at minLength ${schema.minLength}`, fill(schema.minLength), VALID);
+      if (schema.minLength > 0) add(`below minLength ${schema.minLength}`, fill(schema.minLength - 1), INVALID);
+    }
+    if (schema.maxLength !== undefined) {
+      add(`at maxLength ${schema.maxLength}`, fill(schema.maxLength), VALID);
+      add(`above maxLength ${schema.maxLength}`, fill(schema.maxLength + 1), INVALID);
+    }
+    if (WRONG_FORMATS[schema.format]) add(`invalid ${schema.format}`, WRONG_FORMATS[schema.format], INVALID);
+    if (schema.pattern && !matchesPattern(schema.pattern, NON_MATCHING)) add(`not matching pattern ${schema.pattern}`, NON_MATCHING, INVALID);
+    add(`oversized string (${OVERSIZED_LENGTH} chars)`, fill(OVERSIZED_LENGTH), schema.maxLength !== undefined ? INVALID : NO_SERVER_ERROR);
+    INJECTION_STRINGS.forEach(([label, value]) => add(label, value, NO_SERVER_ERROR));
+  }
+  return cases;
+};
+
+/**
+ * A dataset for `endpoint`: the happy path first, then one row per generated case.
+ * Rows target the endpoint by _operationId (or _method + _path), so the CSV also runs
+ * on its own - in the Batch tab or with `api-portal run`.
+ */
+export const generateTestCases = (endpoint) => {
+  const happy = buildHappyRow(endpoint, createRandom(endpoint.id));
+  const target = endpoint.operationId
+    ? { _operationId: endpoint.operationId }
+    : { _method: endpoint.method.toUpperCase(), _path: endpoint.path };
+  const rows = [{ [CASE_COLUMN]: 'happy path', ...target, ...happy, _expect_status: VALID }];
+
+  listFields(endpoint)
+    // Fields the happy path leaves out (optional ones deep in the body) aren't varied
+    .filter(field => field.path in happy || field.required)
+    .forEach(field => {
+      fieldCases(field).forEach(({ label, value, expect }) => {
+        rows.push({
+          [CASE_COLUMN]: `${field.location === 'body' ? '' : `${field.location} `}${field.path}: ${label}`,
+          ...target,
+          ...happy,
+          [field.path]: toCell(value),
+          _expect_status: expect
+        });
+      });
+    });
+
+  if (hasRequestBody(endpoint) && endpoint.requestBody.required && '_body' in happy) {
+    rows.push({ [CASE_COLUMN]: 'body: missing required body', ...target, ...happy, _body: '', _expect_status: INVALID });
+  }
+  return rows;
+};
@@ -0,0 +1,282 @@
+import { derefSchema, mergeAllOf, getBodyTree, isRawBody, buildRequestBody } from './schema.js';
+import { parseParamValue } from './params.js';
+import { bodyMediaType } from './mediaTypes.js';
+
+/**
+ * SCHEMA VALIDATION
+ * A small JSON-schema validator covering the OpenAPI subset we care about.
+ * Errors are { path, message } where path is a JSON pointer ("/address/city").
+ */
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+};
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const FORMATS = {
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(v) && !isNaN(Date.parse(v)),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  uri: (v) => /^[a-z][a-z0-9+.-]*:/i.test(v)
+};
+
+export const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Validates `value` against `schema`.
+ * options.context: 'request' ignores readOnly required props, 'response' ignores writeOnly ones.
+ * options.strict: report properties the schema doesn't declare even when additionalProperties
+ *   is left unspecified (contract drift), not only when it is `false`.
+ */
+export const validateSchema = (value, schema, definitions, pointer = '', options = {}) => {
+  const errors = [];
+  const s = derefSchema(schema, definitions);
+  if (!s || typeof s !== 'object' || value === undefined) return errors;
+  const push = (path, message) => errors.push({ path: path || '/', message });
+
+  // Composed schemas only know about part of the object, so the extra-property
+  // check runs once at the composing level against the merged property list
+  const { skipExtras, allowedProps = [], ...childOptions } = options;
+  const declaredProps = [...Object.keys(mergeAllOf(s, definitions).properties || {}), ...allowedProps];
+
+  // Composition
+  (s.allOf || []).forEach(part => errors.push(...validateSchema(value, part, definitions, pointer, { ...childOptions, skipExtras: true, allowedProps: declaredProps })));
+
+  const options_ = s.oneOf || s.anyOf;
+  if (options_) {
+    const discriminator = s.discriminator?.propertyName;
+    if (discriminator && isPlainObject(value) && value[discriminator] !== undefined) {
+      // Discriminator picks the variant, which gives precise errors instead of "no match"
+      const mapped = s.discriminator.mapping?.[value[discriminator]];
+      const target = mapped
+        ? derefSchema({ $ref: mapped }, definitions)
+        : options_.map(o => derefSchema(o, definitions)).find(o => definitions?.[value[discriminator]] === o);
+      if (target) {
+        errors.push(...validateSchema(value, target, definitions, pointer, { ...childOptions, allowedProps: declaredProps }));
+      } else {
+        push(`${pointer}/${escapePointer(discriminator)}`, `unknown ${discriminator} "${value[discriminator]}"`);
+      }
+    } else {
+      const results = options_.map(o => validateSchema(value, o, definitions, pointer, { ...childOptions, allowedProps: declaredProps }));
+      if (!results.some(r => r.length === 0)) {
+        // Report the closest variant's errors
+        errors.push(...results.reduce((best, r) => (r.length < best.length ? r : best)));
+      }
+    }
+  }
+
+  // Type
+  if (value === null) {
+    const nullable = s.nullable || (Array.isArray(s.type) && s.type.includes('null'));
+    if (!nullable && s.type) push(pointer, 'must not be null');
+    return errors;
+  }
+  let types = Array.isArray(s.type) ? s.type : s.type ? [s.type] : [];
+  if (types.length === 0 && s.properties) types = ['object'];
+  if (types.length > 0 && !types.some(t => matchesType(value, t))) {
+    push(pointer, `must be ${types.join(' or ')} (got ${typeOf(value)})`);
+    return errors;
+  }
+
+  if (s.enum && !s.enum.some(e => deepEqual(e, value))) {
+    push(pointer, `must be one of: ${s.enum.map(e => JSON.stringify(e)).join(', ')}`);
+  }
+  if (s.const !== undefined && !deepEqual(s.const, value)) {
+    push(pointer, `must be ${JSON.stringify(s.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (s.minLength !== undefined && value.length < s.minLength) push(pointer, `must be at least ${s.minLength} characters`);
+    if (s.maxLength !== undefined && value.length > s.maxLength) push(pointer, `must be at most ${s.maxLength} characters`);
+    if (s.pattern) {
+      try {
+        if (!new RegExp(s.pattern).test(value)) push(pointer, `must match pattern ${s.pattern}`);
+      } catch {
+        // Patterns using unsupported regex syntax are skipped
+      }
+    }
+    if (s.format && FORMATS[s.format] && !FORMATS[s.format](value)) push(pointer, `must be a valid ${s.format}`);
+  }
+
+  if (typeof value === 'number') {
+    const exclusiveMin = typeof s.exclusiveMinimum === 'number' ? s.exclusiveMinimum : s.exclusiveMinimum === true ? s.minimum : undefined;
+    const exclusiveMax = typeof s.exclusiveMaximum === 'number' ? s.exclusiveMaximum : s.exclusiveMaximum === true ? s.maximum : undefined;
+    if (exclusiveMin !== undefined && value <= exclusiveMin) push(pointer, `must be greater than ${exclusiveMin}`);
+    else if (s.minimum !== undefined && value < s.minimum) push(pointer, `must be >= ${s.minimum}`);
+    if (exclusiveMax !== undefined && value >= exclusiveMax) push(pointer, `must be less than ${exclusiveMax}`);
+    else if (s.maximum !== undefined && value > s.maximum) push(pointer, `must be <= ${s.maximum}`);
+    if (s.multipleOf && Math.abs(value / s.multipleOf - Math.round(value / s.multipleOf)) > 1e-9) {
+      push(pointer, `must be a multiple of ${s.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (s.minItems !== undefined && value.length < s.minItems) push(pointer, `must have at least ${s.minItems} item(s)`);
+    if (s.maxItems !== undefined && value.length > s.maxItems) push(pointer, `must have at most ${s.maxItems} item(s)`);
+    if (s.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) push(pointer, 'must not contain duplicate items');
+    if (s.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, s.items, definitions, `${pointer}/${i}`, childOptions)));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = s.properties || {};
+    (s.required || []).forEach(key => {
+      const prop = derefSchema(properties[key], definitions) || {};
+      if (options.context === 'request' && prop.readOnly) return;
+      if (options.context === 'response' && prop.writeOnly) return;
+      if (value[key] === undefined) push(`${pointer}/${escapePointer(key)}`, 'is required');
+    });
+    Object.keys(properties).forEach(key => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], properties[key], definitions, `${pointer}/${escapePointer(key)}`, childOptions));
+      }
+    });
+
+    // Extra (undeclared) properties
+    const additional = s.additionalProperties;
+    const hasShape = declaredProps.length > 0 || additional !== undefined;
+    if (!skipExtras && hasShape && !s.oneOf && !s.anyOf) {
+      Object.keys(value).filter(key => !declaredProps.includes(key)).forEach(key => {
+        const keyPointer = `${pointer}/${escapePointer(key)}`;
+        if (additional && typeof additional === 'object') {
+          errors.push(...validateSchema(value[key], additional, definitions, keyPointer, childOptions));
+        } else if (additional === false || (options.strict && additional === undefined)) {
+          push(keyPointer, 'is not declared in the schema');
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Swagger 2 puts type/enum/format directly on the parameter; OpenAPI 3 nests them under `schema`
+export const getParamSchema = (param) => param.schema || param;
+
+// JSON pointer -> dotted form field path ("/items/0/sku" -> "items.0.sku")
+export const pointerToFieldPath = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .join('.');
+
+// Picked files validate as their names (a binary field is a string to the schema)
+const filesAsNames = (value) => {
+  if (value instanceof Blob) return value.name || 'file';
+  if (Array.isArray(value)) return value.map(filesAsNames);
+  if (isPlainObject(value)) return Object.fromEntries(Object.keys(value).map(key => [key, filesAsNames(value[key])]));
+  return value;
+};
+
+/**
+ * Pre-flight check for the manual form. Returns { fieldPath: [messages] };
+ * empty when the request is valid.
+ */
+export const validateRequest = (endpoint, data) => {
+  const errors = {};
+  const add = (path, message) => {
+    errors[path] = [...(errors[path] || []), message];
+  };
+
+  (endpoint.parameters || []).forEach(param => {
+    // Arrays / objects arrive as "a,b" / JSON text from CSV cells, as real values from the form
+    const value = parseParamValue(param, data[param.name], endpoint.definitions);
+    if (value === undefined) {
+      if (param.required || param.in === 'path') add(param.name, 'is required');
+      return;
+    }
+    validateSchema(value, getParamSchema(param), endpoint.definitions)
+      .forEach(err => {
+        const itemPath = pointerToFieldPath(err.path);
+        add(itemPath ? `${param.name}.${itemPath}` : param.name, err.message);
+      });
+  });
+
+  const mediaType = bodyMediaType(endpoint, data);
+  const bodyTree = getBodyTree(endpoint, mediaType);
+  if (bodyTree) {
+    const schema = endpoint.requestBody.content[mediaType].schema;
+    const body = buildRequestBody(bodyTree, data, (endpoint.parameters || []).map(p => p.name));
+    if (body === undefined) {
+      if (endpoint.requestBody.required) add('_body', 'is required');
+    } else {
+      validateSchema(filesAsNames(body), schema, endpoint.definitions, '', { context: 'request' }).forEach(err => {
+        const fieldPath = pointerToFieldPath(err.path);
+        add(fieldPath === '' && bodyTree.kind !== 'object' ? '_body' : fieldPath, err.message);
+      });
+    }
+  } else if (isRawBody(endpoint, mediaType) && endpoint.requestBody.required && !String(data._body ?? '').trim()) {
+    add('_body', 'is required');
+  }
+
+  return errors;
+};
+
+// Find the declared response for a status: exact code, then "2XX"-style range, then default
+export const findResponseSpec = (endpoint, status) => {
+  const responses = endpoint.responses;
+  if (!responses || !status) return null;
+  const key = [String(status), `${String(status)[0]}XX`, `${String(status)[0]}xx`, 'default'].find(k => responses[k]);
+  return key ? { key, response: responses[key] } : null;
+};
+
+// Schema of a declared response: the JSON media type's (OpenAPI 3) or `schema` (Swagger 2)
+export const responseSchema = (response) => {
+  if (response.schema) return response.schema; // Swagger 2
+  const content = response.content || {};
+  const mediaType = Object.keys(content).find(type => /json/i.test(type)) || Object.keys(content)[0];
+  return mediaType ? content[mediaType].schema : undefined;
+};
+
+/**
+ * Checks an actual response against the spec's declared responses.
+ * Returns { checked, statusKey, errors } - `checked` is false when the spec declares
+ * no responses (e.g. Postman imports) or the request never got a response.
+ */
+export const validateResponse = (endpoint, status, body) => {
+  if (!endpoint.responses || Object.keys(endpoint.responses).length === 0 || !status) {
+    return { checked: false, errors: [] };
+  }
+  const match = findResponseSpec(endpoint, status);
+  if (!match) {
+    return {
+      checked: true,
+      errors: [{ path: '/', message: `status ${status} is not declared (declared: ${Object.keys(endpoint.responses).join(', ')})` }]
+    };
+  }
+  const schema = responseSchema(match.response);
+  if (!schema) return { checked: true, statusKey: match.key, errors: [] };
+  return {
+    checked: true,
+    statusKey: match.key,
+    errors: validateSchema(body, schema, endpoint.definitions, '', { context: 'response', strict: true })
+  };
+};
+
+// One-line summary for batch results / CSV export
+export const summarizeSchemaResult = (result) => {
+  if (!result.checked) return 'N/A';
+  if (result.errors.length === 0) return 'PASS';
+  return `FAIL: ${result.errors.map(e => `${e.path} ${e.message}`).join('; ')}`;
+};
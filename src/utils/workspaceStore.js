@@ -0,0 +1,181 @@
+import { createId } from './ids.js';
+import { createEnvironment } from './environments.js';
+import { isSecretHeader, isSecretName } from './secrets.js';
+
+/**
+ * WORKSPACES
+ * Everything needed to pick up where you left off (spec, environments, per-endpoint
+ * form values, batch runs, scenarios, request history), saved in IndexedDB and
+ * exportable as a file.
+ */
+
+const DB_NAME = 'api-easyportal';
+const DB_VERSION = 1;
+const STORE = 'workspaces';
+const ACTIVE_KEY = 'api-easyportal.activeWorkspace';
+
+export const WORKSPACE_FILE_FORMAT = 'api-easyportal-workspace';
+
+export const createWorkspace = (name = 'My Workspace', overrides = {}) => {
+  const env = createEnvironment('Default', { baseUrl: 'https://api.example.com' });
+  return {
+    id: createId('ws'),
+    name,
+    updatedAt: Date.now(),
+    spec: { input: '', files: {}, rootPath: '' },
+    environments: [env],
+    activeEnvId: env.id,
+    endpointForms: {}, // endpointId -> last-used formData
+    mockOverrides: {}, // endpointId -> mock server status / latency / error overrides
+    batch: { fileName: null, data: [], results: [] },
+    scenarios: [],
+    scenarioRuns: {},
+    history: [],
+    ...overrides
+  };
+};
+
+// --- IndexedDB plumbing ---
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Runs one request in its own transaction and resolves once it has committed
+const run = async (mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+};
+
+// Lightweight list for menus: [{ id, name, updatedAt }], most recent first
+export const listWorkspaces = async () => {
+  const all = await run('readonly', store => store.getAll());
+  return all
+    .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const loadWorkspace = (id) => run('readonly', store => store.get(id));
+
+export const saveWorkspace = (workspace) => run('readwrite', store => store.put({ ...workspace, updatedAt: Date.now() }));
+
+export const deleteWorkspace = (id) => run('readwrite', store => store.delete(id));
+
+export const getActiveWorkspaceId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const setActiveWorkspaceId = (id) => {
+  try {
+    localStorage.setItem(ACTIVE_KEY, id);
+  } catch {
+    // Storage disabled - the most recent workspace is opened instead
+  }
+};
+
+// --- Export / import ---
+
+const SECRET_FIELDS = ['password', 'clientSecret', 'value', 'token', 'accessToken'];
+
+// "{{apiKey}}" or "Bearer {{token}}" only point at a variable, which is stripped itself
+const isPlaceholder = (value) => /^\s*(\w+\s+)?\{\{[^}]+\}\}\s*$/.test(value || '');
+
+const stripEntries = (entries = [], isSecret) => entries.map(entry => (
+  isSecret(entry.key || '') && !isPlaceholder(entry.value) ? { ...entry, value: '' } : entry
+));
+
+// Blank out tokens, passwords and secret-looking headers / variables so a shared file doesn't leak credentials
+const stripSecrets = (environments) => environments.map(env => {
+  const auth = {};
+  Object.keys(env.auth || {}).forEach(name => {
+    auth[name] = { ...env.auth[name] };
+    SECRET_FIELDS.forEach(field => {
+      if (auth[name][field]) auth[name][field] = '';
+    });
+  });
+  return {
+    ...env,
+    token: '',
+    auth,
+    headers: stripEntries(env.headers, key => isSecretHeader(key)),
+    variables: stripEntries(env.variables, key => isSecretName(key))
+  };
+});
+
+const stripRunRequests = (runs = {}) => Object.fromEntries(Object.entries(runs).map(([id, run]) => [id, {
+  ...run,
+  steps: (run.steps || []).map(step => {
+    if (!step.response) return step;
+    const { request: _request, ...response } = step.response;
+    return { ...step, response };
+  })
+}]));
+
+export const exportWorkspace = (workspace, { includeSecrets = false } = {}) => JSON.stringify({
+  format: WORKSPACE_FILE_FORMAT,
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  workspace: {
+    ...workspace,
+    environments: includeSecrets ? workspace.environments : stripSecrets(workspace.environments),
+    // Recorded requests carry the Authorization / API key headers that were sent
+    history: includeSecrets ? workspace.history : [],
+    batch: includeSecrets || !workspace.batch ? workspace.batch : {
+      ...workspace.batch,
+      results: (workspace.batch.results || []).map(row => {
+        const { _request, ...rest } = row;
+        return rest;
+      })
+    },
+    // Scenario steps keep the whole response, including the request that was sent
+    scenarioRuns: includeSecrets ? workspace.scenarioRuns : stripRunRequests(workspace.scenarioRuns)
+  }
+}, null, 2);
+
+// Parses an exported file into a new workspace (fresh id, missing fields defaulted)
+export const importWorkspace = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('Workspace file is not valid JSON.');
+  }
+  if (file?.format !== WORKSPACE_FILE_FORMAT || !file.workspace) {
+    throw new Error('Not an API EasyPortal workspace file.');
+  }
+  const { id: _id, ...data } = file.workspace;
+  const base = createWorkspace(data.name || 'Imported workspace');
+  const workspace = { ...base, ...data, id: base.id };
+  if (!Array.isArray(workspace.environments) || workspace.environments.length === 0) {
+    workspace.environments = base.environments;
+  }
+  if (!workspace.environments.some(env => env.id === workspace.activeEnvId)) {
+    workspace.activeEnvId = workspace.environments[0].id;
+  }
+  return workspace;
+};
@@ -1,8 +1,32 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createProxyHandler } from './server/proxy.js'
+import { createMockHandler } from './server/mock.js'
+
+// Serves the CORS proxy (server/proxy.js) under /__proxy on the dev and preview servers
+const corsProxy = () => ({
+  name: 'api-portal-cors-proxy',
+  configureServer(server) {
+    server.middlewares.use(createProxyHandler())
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(createProxyHandler())
+  },
+})
+
+// Serves the spec mock (server/mock.js) under /__mock; each server keeps the spec the portal last sent
+const mockServer = () => ({
+  name: 'api-portal-mock-server',
+  configureServer(server) {
+    server.middlewares.use(createMockHandler())
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(createMockHandler())
+  },
+})
 
 // Replace 'repo-name' with your actual GitHub repository name (e.g., 'api-portal')
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), corsProxy(), mockServer()],
   base: '/api-test-portal/', 
-})
\ No newline at end of file
+})